@@ -0,0 +1,220 @@
+import express from 'express';
+import Joi from 'joi';
+import { ROLES } from '../core/auth.js';
+import { authenticate, requireRole } from '../middleware/security.js';
+
+const router = express.Router();
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
+});
+
+const passwordSchema = Joi.string().min(8).max(128);
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  password: passwordSchema.required()
+});
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  expiresAt: Joi.date().iso().greater('now')
+});
+
+const userSchema = Joi.object({
+  email: Joi.string().email().required(),
+  name: Joi.string().max(255),
+  password: passwordSchema.required(),
+  role: Joi.string().valid(...ROLES).default('viewer')
+});
+
+const userUpdateSchema = Joi.object({
+  email: Joi.string().email(),
+  name: Joi.string().max(255),
+  password: passwordSchema,
+  role: Joi.string().valid(...ROLES),
+  disabled: Joi.boolean()
+}).min(1);
+
+// Login is the only route here that works without credentials, which is why
+// these are mounted ahead of the authenticated API routes
+export function createAuthRoutes(auth, { audit } = {}) {
+  const authenticated = authenticate(auth);
+
+  // Exchange email and password for a bearer token
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const { error, value } = loginSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await auth.login(value.email, value.password);
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Current user
+  router.get('/auth/me', authenticated, (req, res) => {
+    res.json(req.user);
+  });
+
+  // Change own password
+  router.post('/auth/password', authenticated, async (req, res) => {
+    try {
+      const { error, value } = changePasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await auth.changePassword(req.user.id, value.currentPassword, value.password);
+      await audit.record({
+        entityType: 'user',
+        entityId: req.user.id,
+        action: 'change_password',
+        userId: req.user.id
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // List own API keys (only prefixes, never the keys)
+  router.get('/auth/api-keys', authenticated, async (req, res) => {
+    try {
+      const apiKeys = await auth.listApiKeys(req.user.id);
+      res.json(apiKeys);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Create an API key; the response is the only time the key is shown
+  router.post('/auth/api-keys', authenticated, async (req, res) => {
+    try {
+      const { error, value } = apiKeySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const apiKey = await auth.createApiKey(req.user.id, value);
+      await audit.record({
+        entityType: 'api_key',
+        entityId: apiKey.id,
+        action: 'create',
+        userId: req.user.id,
+        after: { name: apiKey.name, prefix: apiKey.prefix, expiresAt: apiKey.expiresAt }
+      });
+      res.status(201).json(apiKey);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Revoke an API key
+  router.delete('/auth/api-keys/:id', authenticated, async (req, res) => {
+    try {
+      const result = await auth.deleteApiKey(req.user.id, req.params.id);
+      await audit.record({
+        entityType: 'api_key',
+        entityId: req.params.id,
+        action: 'delete',
+        userId: req.user.id
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // List users
+  router.get('/users', authenticated, requireRole('admin'), async (req, res) => {
+    try {
+      const users = await auth.listUsers({ role: req.query.role });
+      res.json(users);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Create user
+  router.post('/users', authenticated, requireRole('admin'), async (req, res) => {
+    try {
+      const { error, value } = userSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const user = await auth.createUser(value);
+      await audit.record({
+        entityType: 'user',
+        entityId: user.id,
+        action: 'create',
+        userId: req.user.id,
+        after: user
+      });
+      res.status(201).json(user);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Get user
+  router.get('/users/:id', authenticated, requireRole('admin'), async (req, res) => {
+    try {
+      const user = await auth.getUser(req.params.id);
+      res.json(user);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Update user details, role, password or disable the account
+  router.put('/users/:id', authenticated, requireRole('admin'), async (req, res) => {
+    try {
+      const { error, value } = userUpdateSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const before = await auth.getUser(req.params.id);
+      const user = await auth.updateUser(req.params.id, value);
+      await audit.record({
+        entityType: 'user',
+        entityId: user.id,
+        action: 'update',
+        userId: req.user.id,
+        before,
+        after: user,
+        details: { passwordReset: value.password !== undefined }
+      });
+      res.json(user);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Delete user
+  router.delete('/users/:id', authenticated, requireRole('admin'), async (req, res) => {
+    try {
+      const before = await auth.getUser(req.params.id);
+      const result = await auth.deleteUser(req.params.id);
+      await audit.record({
+        entityType: 'user',
+        entityId: before.id,
+        action: 'delete',
+        userId: req.user.id,
+        before
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -1,11 +1,18 @@
 import express from 'express';
 import Joi from 'joi';
+import { once } from 'events';
+import { MISSED_RUN_POLICIES } from '../core/scheduler.js';
+import { CREDENTIAL_TYPES } from '../core/credentials.js';
+import { SHARE_PERMISSIONS, hasRole, runPermission } from '../core/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/security.js';
 
 const router = express.Router();
 
 // Validation schemas
 const workflowSchema = Joi.object({
   name: Joi.string().required(),
+  description: Joi.string().allow(''),
   nodes: Joi.array().items(Joi.object({
     id: Joi.string().required(),
     type: Joi.string().required(),
@@ -13,7 +20,19 @@ const workflowSchema = Joi.object({
       x: Joi.number().required(),
       y: Joi.number().required()
     }),
-    config: Joi.object().required()
+    config: Joi.object().required(),
+    retry: Joi.object({
+      attempts: Joi.number().integer().min(1).max(25),
+      backoff: Joi.string().valid('fixed', 'exponential'),
+      delay: Joi.number().integer().min(0),
+      maxDelay: Joi.number().integer().min(0),
+      retryOn: Joi.object({
+        errors: Joi.array().items(Joi.string()),
+        statuses: Joi.array().items(Joi.number().integer().min(100).max(599))
+      })
+    }),
+    timeoutMs: Joi.number().integer().min(1),
+    continueOnFail: Joi.boolean()
   })).required(),
   edges: Joi.array().items(Joi.object({
     id: Joi.string().required(),
@@ -21,10 +40,134 @@ const workflowSchema = Joi.object({
     target: Joi.string().required(),
     sourceHandle: Joi.string(),
     targetHandle: Joi.string()
-  })).required()
+  })).required(),
+  settings: Joi.object({
+    errorWorkflowId: Joi.string(),
+    webhook: Joi.object({
+      path: Joi.string().pattern(/^[\w-]+$/).required(),
+      methods: Joi.array().items(Joi.string().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS')),
+      credentialId: Joi.string().guid(),
+      signatureHeader: Joi.string(),
+      algorithm: Joi.string().valid('sha1', 'sha256', 'sha512'),
+      responseMode: Joi.string().valid('immediate', 'onFinish'),
+      timeoutMs: Joi.number().integer().min(1)
+    })
+  })
+});
+
+const versionSchema = Joi.number().integer().min(1).required();
+
+const diffSchema = Joi.object({
+  from: versionSchema,
+  to: versionSchema
+});
+
+const scheduleSchema = Joi.object({
+  workflowId: Joi.string().required(),
+  cron: Joi.string().required(),
+  timezone: Joi.string().default('UTC'),
+  missedRunPolicy: Joi.string().valid(...MISSED_RUN_POLICIES).default('skip'),
+  input: Joi.object().default({})
+});
+
+const previewSchema = Joi.object({
+  cron: Joi.string().required(),
+  timezone: Joi.string().default('UTC'),
+  count: Joi.number().integer().min(1).max(100).default(5)
+});
+
+const previewCountSchema = Joi.number().integer().min(1).max(100).default(5);
+
+const executionQuerySchema = Joi.object({
+  workflowId: Joi.string(),
+  status: Joi.string().pattern(/^[a-z]+(,[a-z]+)*$/),
+  triggerType: Joi.string().valid('manual', 'schedule', 'webhook', 'subworkflow', 'error'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  sort: Joi.string().valid('startedAt', 'duration').default('startedAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string()
+});
+
+const retrySchema = Joi.object({
+  latestVersion: Joi.boolean().default(false)
+});
+
+const nodeTestSchema = Joi.object({
+  config: Joi.object().default({}),
+  input: Joi.any().default({}),
+  context: Joi.object().default({}),
+  timeoutMs: Joi.number().integer().min(1).max(300000)
+});
+
+const shareSchema = Joi.object({
+  email: Joi.string().email().required(),
+  permission: Joi.string().valid(...SHARE_PERMISSIONS).default('view')
+});
+
+const auditQuerySchema = Joi.object({
+  entityType: Joi.string().valid('workflow', 'execution', 'schedule', 'credential', 'user', 'api_key'),
+  entityId: Joi.string().guid(),
+  userId: Joi.string(),
+  action: Joi.string(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  cursor: Joi.string()
+});
+
+const diagnosticsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const credentialShareSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const credentialSchema = Joi.object({
+  name: Joi.string().required(),
+  type: Joi.string().valid(...Object.keys(CREDENTIAL_TYPES)).required(),
+  data: Joi.object().pattern(Joi.string(), Joi.string()).required()
 });
 
-export function createRoutes(engine) {
+const credentialUpdateSchema = Joi.object({
+  name: Joi.string(),
+  data: Joi.object().pattern(Joi.string(), Joi.string())
+}).min(1);
+
+// Every route runs behind authenticate(), so req.user is always set. Roles
+// gate what a route does; ownership and shares gate which workflows, the
+// executions and schedules that belong to them, and credentials it may touch.
+// Running a workflow is the exception: see runPermission() in core/auth.js.
+export function createRoutes(engine, { scheduler, credentials, auth, audit, health } = {}) {
+  // Non-admins only list what they can access
+  const accessibleBy = (req) => (hasRole(req.user, 'admin') ? undefined : req.user.id);
+
+  async function authorizeWorkflow(req, workflowId, permission) {
+    const workflow = await engine.getWorkflow(workflowId);
+    if (!workflow) {
+      throw new AppError('Workflow not found', 404);
+    }
+    await auth.assertWorkflowAccess(req.user, workflow, permission);
+    return workflow;
+  }
+
+  async function authorizeExecution(req, executionId, permission) {
+    const execution = await engine.getExecution(executionId);
+    if (!execution) {
+      throw new AppError('Execution not found', 404);
+    }
+    await authorizeWorkflow(req, execution.workflowId, permission);
+    return execution;
+  }
+
+  async function authorizeSchedule(req, scheduleId, permission) {
+    const schedule = await scheduler.getSchedule(scheduleId);
+    await authorizeWorkflow(req, schedule.workflowId, permission);
+    return schedule;
+  }
+
   // Health check
   router.get('/health', (req, res) => {
     res.json({ 
@@ -35,74 +178,693 @@ export function createRoutes(engine) {
   });
 
   // Create workflow
-  router.post('/workflows', async (req, res) => {
+  router.post('/workflows', requireRole('editor'), async (req, res) => {
     try {
       const { error, value } = workflowSchema.validate(req.body);
       if (error) {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const workflow = await engine.createWorkflow(value);
+      await credentials.assertUsable(value, req.user);
+      const workflow = await engine.createWorkflow(value, { createdBy: req.user.id });
+      await audit.record({
+        entityType: 'workflow',
+        entityId: workflow.id,
+        action: 'create',
+        userId: req.user.id,
+        after: workflow
+      });
       res.status(201).json(workflow);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message, errors: error.errors });
     }
   });
 
   // Get workflow
   router.get('/workflows/:id', async (req, res) => {
     try {
-      const workflow = await engine.getWorkflow(req.params.id);
+      const workflow = await authorizeWorkflow(req, req.params.id, 'view');
+      res.json(workflow);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Update workflow (saves a new version)
+  router.put('/workflows/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const { error, value } = workflowSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const before = await authorizeWorkflow(req, req.params.id, 'edit');
+      await credentials.assertUsable(value, req.user);
+      const workflow = await engine.updateWorkflow(req.params.id, value, { createdBy: req.user.id });
       if (!workflow) {
         return res.status(404).json({ error: 'Workflow not found' });
       }
+      await audit.record({
+        entityType: 'workflow',
+        entityId: workflow.id,
+        action: 'update',
+        userId: req.user.id,
+        before,
+        after: workflow
+      });
       res.json(workflow);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message, errors: error.errors });
+    }
+  });
+
+  // List workflow versions
+  router.get('/workflows/:id/versions', async (req, res) => {
+    try {
+      await authorizeWorkflow(req, req.params.id, 'view');
+      const versions = await engine.listWorkflowVersions(req.params.id);
+      res.json(versions);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Get a specific workflow version
+  router.get('/workflows/:id/versions/:version', async (req, res) => {
+    try {
+      const { error, value: version } = versionSchema.validate(req.params.version);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      await authorizeWorkflow(req, req.params.id, 'view');
+      const workflow = await engine.getWorkflow(req.params.id, version);
+      if (!workflow) {
+        return res.status(404).json({ error: 'Workflow version not found' });
+      }
+      res.json(workflow);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Diff two workflow versions
+  router.get('/workflows/:id/diff', async (req, res) => {
+    try {
+      const { error, value } = diffSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      await authorizeWorkflow(req, req.params.id, 'view');
+      const diff = await engine.diffWorkflowVersions(req.params.id, value.from, value.to);
+      if (!diff) {
+        return res.status(404).json({ error: 'Workflow version not found' });
+      }
+      res.json(diff);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Roll back to a previous version
+  router.post('/workflows/:id/rollback', requireRole('editor'), async (req, res) => {
+    try {
+      const { error, value: version } = versionSchema.validate(req.body.version);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const before = await authorizeWorkflow(req, req.params.id, 'edit');
+      const target = await engine.getWorkflow(req.params.id, version);
+      if (target) {
+        await credentials.assertUsable(target, req.user);
+      }
+      const workflow = await engine.rollbackWorkflow(req.params.id, version, { createdBy: req.user.id });
+      if (!workflow) {
+        return res.status(404).json({ error: 'Workflow version not found' });
+      }
+      await audit.record({
+        entityType: 'workflow',
+        entityId: workflow.id,
+        action: 'rollback',
+        userId: req.user.id,
+        before,
+        after: workflow,
+        details: { rolledBackTo: version }
+      });
+      res.json(workflow);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   });
 
   // List workflows
   router.get('/workflows', async (req, res) => {
     try {
-      const workflows = Array.from(engine.workflows.values());
+      const workflows = await engine.listWorkflows({ accessibleBy: accessibleBy(req) });
       res.json(workflows);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
+  // Delete workflow with its versions, executions, schedules and shares
+  router.delete('/workflows/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const workflow = await authorizeWorkflow(req, req.params.id, 'owner');
+      const schedules = await scheduler.listSchedules({ workflowId: workflow.id, status: 'active' });
+      const result = await engine.deleteWorkflow(workflow.id);
+      for (const schedule of schedules) {
+        await scheduler.unregister(schedule);
+      }
+      await audit.record({
+        entityType: 'workflow',
+        entityId: workflow.id,
+        action: 'delete',
+        userId: req.user.id,
+        before: workflow
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
   // Execute workflow
   router.post('/workflows/:id/execute', async (req, res) => {
     try {
-      const result = await engine.executeWorkflow(req.params.id, req.body);
+      await authorizeWorkflow(req, req.params.id, runPermission(req.user));
+      const result = await engine.executeWorkflow(req.params.id, req.body, { createdBy: req.user.id });
       res.json(result);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Users a workflow is shared with; only its owner and admins manage shares
+  router.get('/workflows/:id/shares', requireRole('editor'), async (req, res) => {
+    try {
+      await authorizeWorkflow(req, req.params.id, 'owner');
+      const shares = await auth.listShares(req.params.id);
+      res.json(shares);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Share a workflow, or change what an existing share allows
+  router.post('/workflows/:id/shares', requireRole('editor'), async (req, res) => {
+    try {
+      const { error, value } = shareSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const workflow = await authorizeWorkflow(req, req.params.id, 'owner');
+      const share = await auth.shareWorkflow(workflow, value, req.user.id);
+      await audit.record({
+        entityType: 'workflow',
+        entityId: workflow.id,
+        action: 'share',
+        userId: req.user.id,
+        details: { sharedWith: share.userId, email: share.email, permission: share.permission }
+      });
+      res.status(201).json(share);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Stop sharing a workflow with a user
+  router.delete('/workflows/:id/shares/:userId', requireRole('editor'), async (req, res) => {
+    try {
+      await authorizeWorkflow(req, req.params.id, 'owner');
+      const result = await auth.unshareWorkflow(req.params.id, req.params.userId);
+      await audit.record({
+        entityType: 'workflow',
+        entityId: req.params.id,
+        action: 'unshare',
+        userId: req.user.id,
+        details: { sharedWith: req.params.userId }
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   });
 
-  // Get execution status
+  // List executions across workflows
+  router.get('/executions', async (req, res) => {
+    await listExecutions({ ...req.query, accessibleBy: accessibleBy(req) }, res);
+  });
+
+  // Get execution status and node-level history
   router.get('/executions/:id', async (req, res) => {
     try {
-      const execution = await engine.getExecution(req.params.id);
+      await authorizeExecution(req, req.params.id, 'view');
+      const execution = await engine.getExecutionDetail(req.params.id);
       if (!execution) {
         return res.status(404).json({ error: 'Execution not found' });
       }
       res.json(execution);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Full result of one node; large results are only references in the execution
+  router.get('/executions/:id/nodes/:nodeId/output', async (req, res) => {
+    try {
+      await authorizeExecution(req, req.params.id, 'view');
+      const output = await engine.getNodeOutput(req.params.id, req.params.nodeId);
+      res.json(output ?? null);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Cancel execution
+  router.post('/executions/:id/cancel', async (req, res) => {
+    try {
+      const execution = await authorizeExecution(req, req.params.id, runPermission(req.user));
+      const result = await engine.cancelExecution(req.params.id);
+      await audit.record({
+        entityType: 'execution',
+        entityId: req.params.id,
+        action: 'cancel',
+        userId: req.user.id,
+        details: { workflowId: execution.workflowId }
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Retry a failed or cancelled execution from where it stopped
+  router.post('/executions/:id/retry', async (req, res) => {
+    try {
+      const { error, value } = retrySchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      await authorizeExecution(req, req.params.id, runPermission(req.user));
+      const result = await engine.retryExecution(req.params.id, { ...value, createdBy: req.user.id });
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Pause execution
+  router.post('/executions/:id/pause', async (req, res) => {
+    try {
+      const execution = await authorizeExecution(req, req.params.id, runPermission(req.user));
+      const result = await engine.pauseExecution(req.params.id);
+      await audit.record({
+        entityType: 'execution',
+        entityId: req.params.id,
+        action: 'pause',
+        userId: req.user.id,
+        details: { workflowId: execution.workflowId }
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Resume execution
+  router.post('/executions/:id/resume', async (req, res) => {
+    try {
+      const execution = await authorizeExecution(req, req.params.id, runPermission(req.user));
+      const result = await engine.resumeExecution(req.params.id);
+      await audit.record({
+        entityType: 'execution',
+        entityId: req.params.id,
+        action: 'resume',
+        userId: req.user.id,
+        details: { workflowId: execution.workflowId }
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   });
 
   // List executions for workflow
   router.get('/workflows/:id/executions', async (req, res) => {
     try {
-      const executions = Array.from(engine.executions.values())
-        .filter(e => e.workflowId === req.params.id);
-      res.json(executions);
+      await authorizeWorkflow(req, req.params.id, 'view');
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+    await listExecutions({ ...req.query, workflowId: req.params.id }, res);
+  });
+
+  async function listExecutions({ accessibleBy, ...query }, res) {
+    try {
+      const { error, value } = executionQuerySchema.validate(query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { status, ...filters } = value;
+      const result = await engine.listExecutions({
+        ...filters,
+        accessibleBy,
+        statuses: status?.split(',')
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  }
+
+  // List schedules
+  router.get('/schedules', async (req, res) => {
+    try {
+      const schedules = await scheduler.listSchedules({
+        workflowId: req.query.workflowId,
+        status: req.query.status,
+        accessibleBy: accessibleBy(req)
+      });
+      res.json(schedules);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Create schedule
+  router.post('/schedules', async (req, res) => {
+    try {
+      const { error, value } = scheduleSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      await authorizeWorkflow(req, value.workflowId, runPermission(req.user));
+      const schedule = await scheduler.createSchedule(value, { createdBy: req.user.id });
+      res.status(201).json(schedule);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Preview fire times of a cron expression before saving it
+  router.post('/schedules/preview', async (req, res) => {
+    try {
+      const { error, value } = previewSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const nextRuns = scheduler.nextRunTimes(value.cron, value.timezone, value.count);
+      res.json({ cron: value.cron, timezone: value.timezone, nextRuns });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Get schedule
+  router.get('/schedules/:id', async (req, res) => {
+    try {
+      const schedule = await authorizeSchedule(req, req.params.id, 'view');
+      res.json(schedule);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Next fire times of a saved schedule
+  router.get('/schedules/:id/preview', async (req, res) => {
+    try {
+      const { error, value: count } = previewCountSchema.validate(req.query.count);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const schedule = await authorizeSchedule(req, req.params.id, 'view');
+      const nextRuns = scheduler.nextRunTimes(schedule.cron, schedule.timezone, count);
+      res.json({ scheduleId: schedule.id, cron: schedule.cron, timezone: schedule.timezone, nextRuns });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Pause schedule
+  router.post('/schedules/:id/pause', async (req, res) => {
+    try {
+      await authorizeSchedule(req, req.params.id, runPermission(req.user));
+      const schedule = await scheduler.pauseSchedule(req.params.id);
+      res.json(schedule);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Resume schedule
+  router.post('/schedules/:id/resume', async (req, res) => {
+    try {
+      await authorizeSchedule(req, req.params.id, runPermission(req.user));
+      const schedule = await scheduler.resumeSchedule(req.params.id);
+      res.json(schedule);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Delete schedule
+  router.delete('/schedules/:id', async (req, res) => {
+    try {
+      await authorizeSchedule(req, req.params.id, runPermission(req.user));
+      const result = await scheduler.deleteSchedule(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // List credentials (values are never returned)
+  router.get('/credentials', async (req, res) => {
+    try {
+      const result = await credentials.listCredentials({ type: req.query.type, accessibleBy: accessibleBy(req) });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Credential types and their fields
+  router.get('/credentials/types', (req, res) => {
+    res.json(Object.entries(CREDENTIAL_TYPES).map(([type, fields]) => ({ type, fields })));
+  });
+
+  // Create credential
+  router.post('/credentials', requireRole('editor'), async (req, res) => {
+    try {
+      const { error, value } = credentialSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const credential = await credentials.createCredential(value, { createdBy: req.user.id });
+      await audit.record({
+        entityType: 'credential',
+        entityId: credential.id,
+        action: 'create',
+        userId: req.user.id,
+        after: credential
+      });
+      res.status(201).json(credential);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Get credential
+  router.get('/credentials/:id', async (req, res) => {
+    try {
+      const credential = await credentials.getCredential(req.params.id, req.user);
+      await audit.record({
+        entityType: 'credential',
+        entityId: credential.id,
+        action: 'read',
+        userId: req.user.id
+      });
+      res.json(credential);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Update credential name or replace its values
+  router.put('/credentials/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const { error, value } = credentialUpdateSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const before = await credentials.getCredential(req.params.id, req.user);
+      const credential = await credentials.updateCredential(req.params.id, value, req.user);
+      await audit.record({
+        entityType: 'credential',
+        entityId: credential.id,
+        action: 'update',
+        userId: req.user.id,
+        before,
+        after: credential,
+        details: { valuesReplaced: value.data !== undefined }
+      });
+      res.json(credential);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Delete credential
+  router.delete('/credentials/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const before = await credentials.getCredential(req.params.id, req.user);
+      const result = await credentials.deleteCredential(req.params.id, req.user);
+      await audit.record({
+        entityType: 'credential',
+        entityId: before.id,
+        action: 'delete',
+        userId: req.user.id,
+        before
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Users a credential is shared with; only its owner and admins manage shares
+  router.get('/credentials/:id/shares', requireRole('editor'), async (req, res) => {
+    try {
+      await credentials.findOrFail(req.params.id, req.user, { owner: true });
+      const shares = await auth.listCredentialShares(req.params.id);
+      res.json(shares);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Share a credential so the user can use it in their workflows
+  router.post('/credentials/:id/shares', requireRole('editor'), async (req, res) => {
+    try {
+      const { error, value } = credentialShareSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const credential = await credentials.findOrFail(req.params.id, req.user, { owner: true });
+      const share = await auth.shareCredential(credential, value, req.user.id);
+      await audit.record({
+        entityType: 'credential',
+        entityId: credential.id,
+        action: 'share',
+        userId: req.user.id,
+        details: { sharedWith: share.userId, email: share.email }
+      });
+      res.status(201).json(share);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Stop sharing a credential with a user
+  router.delete('/credentials/:id/shares/:userId', requireRole('editor'), async (req, res) => {
+    try {
+      await credentials.findOrFail(req.params.id, req.user, { owner: true });
+      const result = await auth.unshareCredential(req.params.id, req.params.userId);
+      await audit.record({
+        entityType: 'credential',
+        entityId: req.params.id,
+        action: 'unshare',
+        userId: req.user.id,
+        details: { sharedWith: req.params.userId }
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Audit trail, newest first
+  router.get('/audit', requireRole('admin'), async (req, res) => {
+    try {
+      const { error, value } = auditQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await audit.list(value);
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Every matching audit entry as newline-delimited JSON, for compliance reviews
+  router.get('/audit/export', requireRole('admin'), async (req, res) => {
+    try {
+      const { error, value } = auditQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { limit, cursor, ...filters } = value;
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+      for await (const entry of audit.export(filters)) {
+        if (!res.write(`${JSON.stringify(entry)}\n`)) {
+          await once(res, 'drain');
+        }
+      }
+      res.end();
+    } catch (error) {
+      // Once streaming has begun the status is sent; cut the download short
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Dependency health with stuck queue jobs and the longest running executions
+  router.get('/diagnostics', requireRole('admin'), async (req, res) => {
+    try {
+      const { error, value } = diagnosticsQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const diagnostics = await health.diagnose(value);
+      res.json(diagnostics);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Run a single node with sample input, without creating an execution
+  router.post('/nodes/:type/test', requireRole('editor'), async (req, res) => {
+    try {
+      const { error, value } = nodeTestSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await engine.testNode(req.params.type, { ...value, user: req.user });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   });
 
@@ -121,6 +883,7 @@ export function createRoutes(engine) {
           url: { type: 'string', required: true },
           method: { type: 'select', options: ['GET', 'POST', 'PUT', 'DELETE'], default: 'GET' },
           headers: { type: 'json', default: {} },
+          credentialId: { type: 'credential', credentialTypes: ['httpHeader', 'httpBasicAuth', 'httpBearerToken'] },
           timeout: { type: 'number', default: 30000 }
         }
       },
@@ -133,7 +896,7 @@ export function createRoutes(engine) {
         inputs: 1,
         outputs: 1,
         config: {
-          connectionString: { type: 'string', required: true, encrypted: true },
+          credentialId: { type: 'credential', credentialTypes: ['database'], required: true },
           query: { type: 'sql', required: true }
         }
       },
@@ -149,8 +912,50 @@ export function createRoutes(engine) {
           code: { type: 'code', language: 'python', required: true },
           timeout: { type: 'number', default: 30000 }
         }
-    }
-];
+      },
+      {
+        type: 'foreach',
+        name: 'For Each',
+        description: 'Run the nodes on the "item" output once per array item',
+        icon: '🔁',
+        color: '#009688',
+        inputs: 1,
+        outputs: ['item', 'done'],
+        config: {
+          path: { type: 'string', required: true },
+          concurrency: { type: 'number', default: 1 },
+          batchSize: { type: 'number' }
+        }
+      },
+      {
+        type: 'subworkflow',
+        name: 'Execute Workflow',
+        description: 'Run another workflow and use its output',
+        icon: '🧩',
+        color: '#607D8B',
+        inputs: 1,
+        outputs: 1,
+        config: {
+          workflowId: { type: 'string', required: true },
+          inputMapping: { type: 'json' },
+          waitForCompletion: { type: 'boolean', default: true }
+        }
+      },
+      {
+        type: 'respond',
+        name: 'Respond to Webhook',
+        description: 'Set the status, headers and body returned to a webhook caller',
+        icon: '↩️',
+        color: '#795548',
+        inputs: 1,
+        outputs: 1,
+        config: {
+          statusCode: { type: 'number', default: 200 },
+          headers: { type: 'json', default: {} },
+          body: { type: 'json' }
+        }
+      }
+    ];
     res.json(types);
   });
   return router;
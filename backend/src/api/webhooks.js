@@ -0,0 +1,127 @@
+import express from 'express';
+import crypto from 'crypto';
+import { collectOutput } from '../core/graph.js';
+import { workflowActor } from '../core/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const DEFAULT_SIGNATURE_HEADER = 'x-hub-signature-256';
+const DEFAULT_RESPONSE_TIMEOUT = 30000;
+
+const hasBody = (req) => req.get('transfer-encoding') !== undefined || Number(req.get('content-length')) > 0;
+
+// Accepts "sha256=<hex>" (GitHub style) as well as a bare hex digest. The
+// signature covers the raw bytes, so a body that arrived without them can't
+// be verified.
+function verifySignature(req, webhook, secret) {
+  const algorithm = webhook.algorithm || 'sha256';
+  const header = req.get(webhook.signatureHeader || DEFAULT_SIGNATURE_HEADER);
+  if (!header || (!req.rawBody && hasBody(req))) {
+    return false;
+  }
+
+  const signature = header.startsWith(`${algorithm}=`) ? header.slice(algorithm.length + 1) : header;
+  const expected = crypto
+    .createHmac(algorithm, secret)
+    .update(req.rawBody || '')
+    .digest('hex');
+
+  const a = Buffer.from(signature, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The signing secret is a webhookSecret credential, decrypted per request for
+// the workflow's owner
+async function loadSecret(engine, workflow, webhook) {
+  const { type, data } = await engine.credentials.resolve(webhook.credentialId, workflowActor(workflow));
+  if (type !== 'webhookSecret') {
+    throw new AppError(`Webhooks cannot use a ${type} credential`, 500);
+  }
+  engine.emit('credential:used', { credentialId: webhook.credentialId, workflowId: workflow.id });
+  return data.secret;
+}
+
+// The last Respond node that ran decides the response; without one the
+// caller gets the workflow output as JSON
+function sendExecutionResponse(res, workflow, execution) {
+  if (execution.status !== 'completed') {
+    return res.status(500).json({
+      error: execution.error || `Execution ${execution.status}`,
+      executionId: execution.id
+    });
+  }
+
+  const respondNodeId = workflow.nodes
+    .filter(node => node.type === 'respond' && execution.nodeResults[node.id]?.response)
+    .map(node => node.id)
+    .pop();
+  if (!respondNodeId) {
+    return res.json(collectOutput(workflow, execution.nodeResults));
+  }
+
+  const { statusCode, headers, body } = execution.nodeResults[respondNodeId].response;
+  res.status(statusCode).set(headers);
+  return typeof body === 'object' && body !== null ? res.json(body) : res.send(body ?? '');
+}
+
+export function createWebhookRoutes(engine) {
+  // Bodies that are not JSON or form data arrive as plain text
+  router.use(express.text({
+    type: () => true,
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+
+  router.all('/:workflowId/:path', async (req, res) => {
+    let executionId;
+    try {
+      const workflow = await engine.getWorkflow(req.params.workflowId);
+      const webhook = workflow?.settings?.webhook;
+      if (!webhook || webhook.path !== req.params.path) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      if (webhook.methods?.length && !webhook.methods.includes(req.method)) {
+        res.set('Allow', webhook.methods.join(', '));
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+      }
+
+      // Secrets stored inline before they became credentials are refused
+      // rather than ignored, so those webhooks don't turn unauthenticated
+      if (webhook.secret) {
+        return res.status(401).json({ error: 'Webhook secret must be moved to a webhookSecret credential' });
+      }
+      if (webhook.credentialId && !verifySignature(req, webhook, await loadSecret(engine, workflow, webhook))) {
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      ({ executionId } = await engine.executeWorkflow(workflow.id, {
+        method: req.method,
+        path: req.params.path,
+        headers: req.headers,
+        query: req.query,
+        body: req.body
+      }, { triggerType: 'webhook' }));
+
+      if (webhook.responseMode !== 'onFinish') {
+        return res.status(202).json({ executionId, status: 'started' });
+      }
+
+      const execution = await engine.waitForExecution(executionId, {
+        timeoutMs: webhook.timeoutMs || DEFAULT_RESPONSE_TIMEOUT
+      });
+      sendExecutionResponse(res, workflow, {
+        ...execution,
+        nodeResults: await engine.resolveResults(execution.nodeResults, await engine.loadUnredacted(executionId))
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, executionId });
+    }
+  });
+
+  return router;
+}
@@ -1,19 +1,26 @@
 import { WebSocketServer } from 'ws';
-import jwt from 'jsonwebtoken';
+import { redactor } from '../utils/redact.js';
 
 export class WebSocketHandler {
-  constructor(server, engine) {
+  constructor(server, engine, auth) {
     this.wss = new WebSocketServer({ server, path: '/ws' });
     this.engine = engine;
+    this.auth = auth;
     this.clients = new Map();
     
     this.initialize();
   }
 
   initialize() {
-    this.wss.on('connection', (ws, req) => {
+    this.wss.on('connection', async (ws, req) => {
+      const user = await this.authenticate(req).catch(() => null);
+      if (!user) {
+        ws.close(1008, 'Unauthorized');
+        return;
+      }
+
       const clientId = this.generateClientId();
-      this.clients.set(clientId, { ws, subscriptions: new Set() });
+      this.clients.set(clientId, { ws, user, subscriptions: new Set() });
       
       console.log(`WebSocket client connected: ${clientId}`);
       
@@ -42,18 +49,70 @@ export class WebSocketHandler {
     this.setupEngineListeners();
   }
 
+  // Browsers can't set headers on WebSocket requests, so a token or API key
+  // may also be passed as ?token=
+  async authenticate(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const token = url.searchParams.get('token') ||
+      req.headers.authorization?.match(/^Bearer (.+)$/i)?.[1];
+    const apiKey = req.headers['x-api-key'] || (token?.startsWith('wfe_') ? token : null);
+
+    if (apiKey) {
+      return this.auth.authenticateApiKey(apiKey);
+    }
+    return token ? this.auth.authenticateToken(token) : null;
+  }
+
+  // Clients only hear about workflows their user can see
+  async canView(user, workflowId) {
+    const workflow = workflowId ? await this.engine.getWorkflow(workflowId) : null;
+    if (!workflow) {
+      return false;
+    }
+    try {
+      await this.auth.assertWorkflowAccess(user, workflow, 'view');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   setupEngineListeners() {
+    // Results are sent as previews; clients fetch full outputs from the API
+    const { results } = this.engine;
     this.engine.on('workflow:completed', (data) => {
-      this.broadcast('workflow:completed', data);
+      this.broadcast('workflow:completed', {
+        ...data,
+        results: Object.fromEntries(Object.entries(data.results || {})
+          .map(([nodeId, result]) => [nodeId, results.preview(result)]))
+      });
+    });
+    
+    this.engine.on('workflow:failed', (data) => {
+      this.broadcast('workflow:failed', data);
     });
     
     this.engine.on('node:completed', (data) => {
-      this.broadcast('node:completed', data);
+      this.broadcast('node:completed', { ...data, result: results.preview(data.result) });
     });
     
     this.engine.on('node:failed', (data) => {
       this.broadcast('node:failed', data);
     });
+    
+    this.engine.on('node:skipped', (data) => {
+      this.broadcast('node:skipped', data);
+    });
+    
+    this.engine.on('node:log', (data) => {
+      this.broadcast('node:log', data);
+    });
+    
+    for (const event of ['execution:cancelled', 'execution:paused', 'execution:resumed']) {
+      this.engine.on(event, (data) => {
+        this.broadcast(event, data);
+      });
+    }
   }
 
   handleMessage(clientId, message) {
@@ -63,7 +122,9 @@ export class WebSocketHandler {
       
       switch (data.type) {
         case 'subscribe':
-          this.handleSubscribe(clientId, data);
+          this.handleSubscribe(clientId, data).catch(error => {
+            console.error(`Error subscribing client ${clientId}:`, error);
+          });
           break;
         case 'unsubscribe':
           this.handleUnsubscribe(clientId, data);
@@ -79,8 +140,22 @@ export class WebSocketHandler {
     }
   }
 
-  handleSubscribe(clientId, data) {
+  async handleSubscribe(clientId, data) {
     const client = this.clients.get(clientId);
+    const execution = data.executionId ? await this.engine.getExecution(data.executionId) : null;
+    const allowed = (!data.executionId || await this.canView(client.user, execution?.workflowId)) &&
+      (!data.workflowId || await this.canView(client.user, data.workflowId));
+    if (!allowed) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        error: 'Not found',
+        executionId: data.executionId,
+        workflowId: data.workflowId,
+        timestamp: new Date().toISOString()
+      }));
+      return;
+    }
+
     if (data.executionId) {
       client.subscriptions.add(`execution:${data.executionId}`);
       client.ws.send(JSON.stringify({
@@ -112,7 +187,7 @@ export class WebSocketHandler {
   broadcast(event, data) {
     const message = JSON.stringify({
       type: event,
-      data,
+      data: redactor.redact(data),
       timestamp: new Date().toISOString()
     });
     
@@ -40,6 +40,14 @@ const config = {
     jwtSecret: process.env.JWT_SECRET || 'change-this-secret',
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10,
     sessionSecret: process.env.SESSION_SECRET || 'change-this-secret',
+    credentialsKey: process.env.CREDENTIALS_KEY || 'change-this-secret',
+  },
+  
+  auth: {
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '12h',
+    // Used to create the first admin while there are no users
+    adminEmail: process.env.ADMIN_EMAIL,
+    adminPassword: process.env.ADMIN_PASSWORD,
   },
   
   rateLimit: {
@@ -47,6 +55,11 @@ const config = {
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
   },
   
+  redaction: {
+    // Comma separated; replaces the default list of sensitive keys when set
+    keys: process.env.REDACT_KEYS ? process.env.REDACT_KEYS.split(',').map(key => key.trim()) : undefined,
+  },
+  
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     file: process.env.LOG_FILE || 'logs/app.log',
@@ -59,19 +72,58 @@ const config = {
     retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY, 10) || 5000,
   },
   
+  scheduler: {
+    misfireThresholdMs: parseInt(process.env.SCHEDULER_MISFIRE_THRESHOLD_MS, 10) || 60000,
+    maxCatchUpRuns: parseInt(process.env.SCHEDULER_MAX_CATCH_UP_RUNS, 10) || 100,
+  },
+  
+  sandbox: {
+    memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB, 10) || 64,
+    maxLogs: parseInt(process.env.SANDBOX_MAX_LOGS, 10) || 100,
+    poolSize: parseInt(process.env.SANDBOX_POOL_SIZE, 10) || 2,
+  },
+  
   python: {
+    executorUrl: process.env.PYTHON_EXECUTOR_URL || 'http://localhost:5000',
     timeout: parseInt(process.env.PYTHON_TIMEOUT, 10) || 30000,
     maxMemory: parseInt(process.env.PYTHON_MAX_MEMORY, 10) || 512,
   },
   
+  health: {
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000,
+    slowCheckMs: parseInt(process.env.HEALTH_SLOW_CHECK_MS, 10) || 1000,
+    heartbeatIntervalMs: parseInt(process.env.WORKER_HEARTBEAT_INTERVAL_MS, 10) || 10000,
+    queueBacklogThreshold: parseInt(process.env.QUEUE_BACKLOG_THRESHOLD, 10) || 1000,
+    // Active or waiting jobs older than this are listed as stuck in diagnostics
+    stuckJobMs: parseInt(process.env.STUCK_JOB_THRESHOLD_MS, 10) || 10 * 60 * 1000,
+  },
+  
+  blobs: {
+    store: process.env.BLOB_STORE || 'local',
+    directory: process.env.BLOB_DIRECTORY || 'data/blobs',
+    // Node results larger than this are kept out of the execution record
+    offloadThresholdBytes: parseInt(process.env.BLOB_OFFLOAD_THRESHOLD_BYTES, 10) || 256 * 1024,
+    // Results sent over WebSocket are cut to previews of this size
+    previewBytes: parseInt(process.env.RESULT_PREVIEW_BYTES, 10) || 2048,
+  },
+  
+  tracing: {
+    // 'otlp' posts to a collector, 'file' appends OTLP/JSON lines; unset disables tracing
+    exporter: process.env.TRACING_EXPORTER,
+    otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318',
+    file: process.env.TRACING_FILE || 'logs/traces.jsonl',
+    serviceName: process.env.OTEL_SERVICE_NAME || 'workflow-engine',
+  },
+  
   monitoring: {
     enableMetrics: process.env.ENABLE_METRICS === 'true',
-    metricsPort: parseInt(process.env.METRICS_PORT, 10) || 9090,
+    // Serves /metrics on the main port when unset
+    metricsPort: parseInt(process.env.METRICS_PORT, 10) || null,
   },
 };
 
 // Validate required configuration
-const requiredEnvVars = ['DATABASE_URL', 'JWT_SECRET'];
+const requiredEnvVars = ['DATABASE_URL', 'JWT_SECRET', 'CREDENTIALS_KEY'];
 if (config.isProduction) {
   requiredEnvVars.forEach(varName => {
     if (!process.env[varName]) {
@@ -0,0 +1,127 @@
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import db from '../db/index.js';
+import { AuditRepository } from '../db/repositories/audit.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { diffObjects } from '../utils/diff.js';
+import { redactor, redactionHooks } from '../utils/redact.js';
+
+const logger = pino({ level: 'info', hooks: redactionHooks });
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Change on every save or use and would only add noise to diffs
+const VOLATILE_FIELDS = ['updatedAt', 'lastLoginAt', 'lastUsedAt'];
+
+const withoutVolatileFields = (entity) => Object.fromEntries(
+  Object.entries(entity).filter(([field]) => !VOLATILE_FIELDS.includes(field))
+);
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  if (!cursor?.createdAt || !cursor.id) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  return cursor;
+};
+
+// Who did what to which workflow, execution, credential, user or API key.
+// Updates store a diff of the entity before and after; creations and
+// deletions store a snapshot. Secrets are redacted before anything is
+// written. A failed write is logged but never fails the audited action.
+export class AuditLog {
+  constructor() {
+    this.auditRepository = new AuditRepository(db);
+  }
+
+  async record({ entityType, entityId, action, userId, before, after, details = {} }) {
+    const entry = {
+      id: uuidv4(),
+      entityType,
+      entityId,
+      action,
+      userId: userId || null,
+      details: redactor.redact({ ...details, ...this.describeChange(before, after) })
+    };
+
+    try {
+      await this.auditRepository.create(entry);
+    } catch (error) {
+      logger.error(`Failed to write audit entry for ${action} on ${entityType} ${entityId}: ${error.message}`);
+    }
+    return entry;
+  }
+
+  describeChange(before, after) {
+    if (before && after) {
+      return { changes: diffObjects(withoutVolatileFields(before), withoutVolatileFields(after)) };
+    }
+    if (after) {
+      return { after: withoutVolatileFields(after) };
+    }
+    if (before) {
+      return { before: withoutVolatileFields(before) };
+    }
+    return {};
+  }
+
+  // Executions also start from schedules, webhooks and other workflows, and
+  // credentials are decrypted inside the engine, so those come from events.
+  // Entries without a user were started by the system.
+  watch(engine) {
+    engine.on('execution:started', (event) => this.record({
+      entityType: 'execution',
+      entityId: event.executionId,
+      action: event.retryOfExecutionId ? 'retry' : 'start',
+      userId: event.createdBy,
+      details: {
+        workflowId: event.workflowId,
+        workflowVersion: event.workflowVersion,
+        triggerType: event.triggerType,
+        retryOfExecutionId: event.retryOfExecutionId,
+        parentExecutionId: event.parentExecutionId
+      }
+    }));
+
+    engine.on('credential:used', (event) => this.record({
+      entityType: 'credential',
+      entityId: event.credentialId,
+      action: 'use',
+      userId: event.userId,
+      details: {
+        executionId: event.executionId,
+        workflowId: event.workflowId,
+        nodeId: event.nodeId
+      }
+    }));
+  }
+
+  async list({ cursor, ...filters } = {}) {
+    const { entries, next } = await this.auditRepository.list({
+      ...filters,
+      cursor: cursor ? decodeCursor(cursor) : undefined
+    });
+    return { entries, nextCursor: next ? encodeCursor(next) : null };
+  }
+
+  // Every matching entry, newest first, fetched a batch at a time
+  async *export(filters = {}) {
+    let cursor;
+    do {
+      const { entries, next } = await this.auditRepository.list({
+        ...filters,
+        limit: EXPORT_BATCH_SIZE,
+        cursor
+      });
+      yield* entries;
+      cursor = next;
+    } while (cursor);
+  }
+}
@@ -0,0 +1,355 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/index.js';
+import { UserRepository } from '../db/repositories/users.js';
+import { ApiKeyRepository } from '../db/repositories/apiKeys.js';
+import { WorkflowRepository } from '../db/repositories/workflows.js';
+import { CredentialRepository } from '../db/repositories/credentials.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { redactionHooks } from '../utils/redact.js';
+
+const logger = pino({ level: 'info', hooks: redactionHooks });
+
+// Each role can do everything the roles before it can:
+//   viewer   - read workflows, executions, schedules and credential names
+//   editor   - create and edit workflows and credentials, test nodes
+//   operator - also run the workflows they can view, control their
+//              executions and manage their schedules
+//   admin    - manage users; sees and changes every workflow
+export const ROLES = ['viewer', 'editor', 'operator', 'admin'];
+
+// What a share grants on one workflow, also ordered
+export const SHARE_PERMISSIONS = ['view', 'run', 'edit'];
+
+const API_KEY_PREFIX = 'wfe_';
+const API_KEY_DISPLAY_LENGTH = 12;
+
+export const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+// Who a workflow's nodes act for when they use credentials or start other
+// workflows: its owner. Workflows without an owner predate ownership and only
+// admins can reach them, so they act as an admin.
+export const workflowActor = (workflow) => (workflow.createdBy ? { id: workflow.createdBy } : { role: 'admin' });
+
+// Owners and users with a run share run a workflow, control its executions
+// and manage its schedules whatever their role; operators can also do so
+// for the workflows they can only view
+export const runPermission = (user) => (hasRole(user, 'operator') ? 'view' : 'run');
+
+// Admins reach every workflow and workflows without an owner are left to
+// them. Otherwise the owner can do anything and other users what their share
+// allows. Users who can't see a workflow get a 404 so its existence isn't
+// revealed.
+export async function assertWorkflowAccess(workflowRepository, user, workflow, permission = 'view') {
+  if (hasRole(user, 'admin') || (workflow.createdBy && workflow.createdBy === user?.id)) {
+    return;
+  }
+
+  const share = user?.id ? await workflowRepository.findShare(workflow.id, user.id) : null;
+  if (!share) {
+    throw new AppError('Workflow not found', 404);
+  }
+  if (permission === 'owner' || SHARE_PERMISSIONS.indexOf(share.permission) < SHARE_PERMISSIONS.indexOf(permission)) {
+    throw new AppError(`Workflow access requires ${permission} permission`, 403);
+  }
+}
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Users, their sessions and API keys, and who may touch which workflow.
+// Passwords are bcrypt hashes; API keys are random and stored as SHA-256
+// hashes, so a key is only ever shown once, when it is created. Tokens carry
+// just the user id: the user is reloaded on every request so role changes
+// and disabled accounts take effect immediately.
+export class AuthService {
+  constructor({ jwtSecret, jwtExpiresIn = '12h', bcryptRounds = 10 }) {
+    if (!jwtSecret) {
+      throw new Error('Auth service requires a JWT secret');
+    }
+    this.jwtSecret = jwtSecret;
+    this.jwtExpiresIn = jwtExpiresIn;
+    this.bcryptRounds = bcryptRounds;
+    this.dummyHash = null;
+
+    this.userRepository = new UserRepository(db);
+    this.apiKeyRepository = new ApiKeyRepository(db);
+    this.workflowRepository = new WorkflowRepository(db);
+    this.credentialRepository = new CredentialRepository(db);
+  }
+
+  // Creates the first admin from configuration so a fresh install can log in
+  async ensureAdmin({ adminEmail, adminPassword } = {}) {
+    if (await this.userRepository.count() > 0) {
+      return null;
+    }
+    if (!adminEmail || !adminPassword) {
+      logger.warn('No users exist; set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+      return null;
+    }
+
+    const admin = await this.createUser({ email: adminEmail, password: adminPassword, role: 'admin' });
+    logger.info(`Created admin user ${admin.email}`);
+    return admin;
+  }
+
+  async login(email, password) {
+    const user = await this.userRepository.findByEmail(normalizeEmail(email));
+
+    // Compare against a throwaway hash for unknown emails so response times
+    // don't reveal which accounts exist
+    if (!this.dummyHash) {
+      this.dummyHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), this.bcryptRounds);
+    }
+    const matches = await bcrypt.compare(password, user?.passwordHash || this.dummyHash);
+    if (!user || !matches || user.disabled) {
+      throw new AppError('Invalid email or password', 401);
+    }
+
+    await this.userRepository.update(user.id, { lastLoginAt: new Date() });
+    return {
+      token: this.issueToken(user),
+      expiresIn: this.jwtExpiresIn,
+      user: this.toPublic(user)
+    };
+  }
+
+  issueToken(user) {
+    return jwt.sign({ role: user.role }, this.jwtSecret, {
+      subject: user.id,
+      expiresIn: this.jwtExpiresIn
+    });
+  }
+
+  // Both return null rather than throwing so the caller decides the response
+  async authenticateToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.jwtSecret);
+    } catch (error) {
+      return null;
+    }
+    return this.findActiveUser(payload.sub);
+  }
+
+  async authenticateApiKey(key) {
+    const apiKey = await this.apiKeyRepository.findByHash(hashApiKey(key));
+    if (!apiKey || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+      return null;
+    }
+
+    const user = await this.findActiveUser(apiKey.userId);
+    if (user) {
+      await this.apiKeyRepository.touch(apiKey.id);
+    }
+    return user;
+  }
+
+  async findActiveUser(id) {
+    const user = id ? await this.userRepository.findById(id) : null;
+    return user && !user.disabled ? this.toPublic(user) : null;
+  }
+
+  async createUser({ email, name, password, role = 'viewer' }) {
+    this.assertValidRole(role);
+    const normalized = normalizeEmail(email);
+    if (await this.userRepository.findByEmail(normalized)) {
+      throw new AppError(`User ${normalized} already exists`, 409);
+    }
+
+    const user = await this.userRepository.create({
+      id: uuidv4(),
+      email: normalized,
+      name,
+      passwordHash: await bcrypt.hash(password, this.bcryptRounds),
+      role
+    });
+    return this.toPublic(user);
+  }
+
+  async updateUser(id, { email, name, password, role, disabled }) {
+    const existing = await this.findOrFail(id);
+    if (role !== undefined) {
+      this.assertValidRole(role);
+    }
+    if (email !== undefined && normalizeEmail(email) !== existing.email) {
+      if (await this.userRepository.findByEmail(normalizeEmail(email))) {
+        throw new AppError(`User ${normalizeEmail(email)} already exists`, 409);
+      }
+    }
+    if ((role !== undefined && role !== 'admin') || disabled === true) {
+      await this.assertNotLastAdmin(existing);
+    }
+
+    const user = await this.userRepository.update(id, {
+      email: email === undefined ? undefined : normalizeEmail(email),
+      name,
+      passwordHash: password === undefined ? undefined : await bcrypt.hash(password, this.bcryptRounds),
+      role,
+      disabled
+    });
+    return this.toPublic(user);
+  }
+
+  async changePassword(userId, currentPassword, password) {
+    const user = await this.findOrFail(userId);
+    if (!await bcrypt.compare(currentPassword, user.passwordHash)) {
+      throw new AppError('Current password is incorrect', 400);
+    }
+    await this.userRepository.update(userId, {
+      passwordHash: await bcrypt.hash(password, this.bcryptRounds)
+    });
+    return { userId, status: 'password changed' };
+  }
+
+  async listUsers(filters = {}) {
+    const users = await this.userRepository.list(filters);
+    return users.map(user => this.toPublic(user));
+  }
+
+  async getUser(id) {
+    return this.toPublic(await this.findOrFail(id));
+  }
+
+  async deleteUser(id) {
+    const user = await this.findOrFail(id);
+    await this.assertNotLastAdmin(user);
+    await this.userRepository.delete(id);
+    return { userId: id, status: 'deleted' };
+  }
+
+  async findOrFail(id) {
+    const user = await this.userRepository.findById(id);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return user;
+  }
+
+  assertValidRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new AppError(`Unknown role: ${role}`, 400);
+    }
+  }
+
+  async assertNotLastAdmin(user) {
+    if (user.role === 'admin' && !user.disabled && await this.userRepository.countActiveAdmins() <= 1) {
+      throw new AppError('The last active admin cannot be removed', 409);
+    }
+  }
+
+  async createApiKey(userId, { name, expiresAt }) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await this.apiKeyRepository.create({
+      id: uuidv4(),
+      userId,
+      name,
+      prefix: key.slice(0, API_KEY_DISPLAY_LENGTH),
+      keyHash: hashApiKey(key),
+      expiresAt
+    });
+    return { ...this.toPublicApiKey(apiKey), key };
+  }
+
+  async listApiKeys(userId) {
+    const apiKeys = await this.apiKeyRepository.listByUser(userId);
+    return apiKeys.map(apiKey => this.toPublicApiKey(apiKey));
+  }
+
+  async deleteApiKey(userId, id) {
+    if (!await this.apiKeyRepository.delete(id, userId)) {
+      throw new AppError('API key not found', 404);
+    }
+    return { apiKeyId: id, status: 'deleted' };
+  }
+
+  async assertWorkflowAccess(user, workflow, permission = 'view') {
+    return assertWorkflowAccess(this.workflowRepository, user, workflow, permission);
+  }
+
+  async listShares(workflowId) {
+    return this.workflowRepository.listShares(workflowId);
+  }
+
+  async shareWorkflow(workflow, { email, permission }, sharedBy) {
+    const user = await this.userRepository.findByEmail(normalizeEmail(email));
+    if (!user) {
+      throw new AppError(`User ${normalizeEmail(email)} not found`, 404);
+    }
+    if (user.id === workflow.createdBy) {
+      throw new AppError('Workflows cannot be shared with their owner', 400);
+    }
+
+    const share = await this.workflowRepository.saveShare({
+      workflowId: workflow.id,
+      userId: user.id,
+      permission,
+      createdBy: sharedBy
+    });
+    return { ...share, email: user.email, name: user.name };
+  }
+
+  async unshareWorkflow(workflowId, userId) {
+    if (!await this.workflowRepository.deleteShare(workflowId, userId)) {
+      throw new AppError('Share not found', 404);
+    }
+    return { workflowId, userId, status: 'unshared' };
+  }
+
+  async listCredentialShares(credentialId) {
+    return this.credentialRepository.listShares(credentialId);
+  }
+
+  // A share lets the user see the credential and use it in their workflows
+  async shareCredential(credential, { email }, sharedBy) {
+    const user = await this.userRepository.findByEmail(normalizeEmail(email));
+    if (!user) {
+      throw new AppError(`User ${normalizeEmail(email)} not found`, 404);
+    }
+    if (user.id === credential.createdBy) {
+      throw new AppError('Credentials cannot be shared with their owner', 400);
+    }
+
+    const share = await this.credentialRepository.saveShare({
+      credentialId: credential.id,
+      userId: user.id,
+      createdBy: sharedBy
+    });
+    return { ...share, email: user.email, name: user.name };
+  }
+
+  async unshareCredential(credentialId, userId) {
+    if (!await this.credentialRepository.deleteShare(credentialId, userId)) {
+      throw new AppError('Share not found', 404);
+    }
+    return { credentialId, userId, status: 'unshared' };
+  }
+
+  toPublic(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      disabled: user.disabled,
+      lastLoginAt: user.lastLoginAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    };
+  }
+
+  toPublicApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      createdAt: apiKey.createdAt
+    };
+  }
+}
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Keys are generated here as <workflowId>/<executionId>/<nodeId>-<uuid>.json;
+// anything else is refused so a crafted reference can't reach other files
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*(\.json)?$/;
+
+const assertValidKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+};
+
+export const isBlobRef = (value) =>
+  typeof value === 'object' && value !== null && typeof value.$blob === 'string';
+
+// Stores blobs as files under one directory. Other stores (e.g. S3) only need
+// the same three methods and can be passed to the engine as blobs.store.
+export class LocalBlobStore {
+  constructor({ directory = 'data/blobs' } = {}) {
+    this.directory = path.resolve(directory);
+  }
+
+  pathFor(key) {
+    assertValidKey(key);
+    return path.join(this.directory, key);
+  }
+
+  async put(key, data) {
+    const file = this.pathFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  }
+
+  async get(key) {
+    return fs.readFile(this.pathFor(key), 'utf8');
+  }
+
+  async deletePrefix(prefix) {
+    await fs.rm(this.pathFor(prefix), { recursive: true, force: true });
+  }
+}
+
+const createBlobStore = ({ store = 'local', directory }) => {
+  if (typeof store === 'object') {
+    return store;
+  }
+  switch (store) {
+    case 'local':
+      return new LocalBlobStore({ directory });
+    default:
+      throw new Error(`Unknown blob store: ${store}`);
+  }
+};
+
+// Keeps large node results out of the execution record. Results whose JSON
+// is bigger than offloadThresholdBytes go to the blob store and the execution
+// holds a { $blob, size, preview } reference instead, which is resolved only
+// where the full value is needed: node inputs and context, sub-workflow and
+// webhook output, error workflow input, and the node output API.
+//
+// seal() stores values that must not be readable at rest, e.g. results from
+// before redaction, encrypted with `sealer` (the credential store) whatever
+// their size; resolve() decrypts them.
+export class ResultStore {
+  constructor(config = {}) {
+    this.config = {
+      offloadThresholdBytes: 256 * 1024,
+      previewBytes: 2048,
+      ...config
+    };
+    this.store = createBlobStore(this.config);
+  }
+
+  async offload(value, keyPrefix) {
+    if (value === undefined || isBlobRef(value)) {
+      return value;
+    }
+    const json = JSON.stringify(value);
+    const size = Buffer.byteLength(json);
+    if (size <= this.config.offloadThresholdBytes) {
+      return value;
+    }
+
+    const key = `${keyPrefix}-${uuidv4()}.json`;
+    await this.store.put(key, json);
+    return { $blob: key, size, preview: this.truncate(json) };
+  }
+
+  async seal(value, keyPrefix) {
+    const key = `${keyPrefix}-${uuidv4()}.json`;
+    const sealed = this.config.sealer.encrypt(key, value);
+    await this.store.put(key, sealed);
+    return { $blob: key, size: Buffer.byteLength(sealed), sealed: true };
+  }
+
+  async resolve(value) {
+    if (!isBlobRef(value)) {
+      return value;
+    }
+    const data = await this.store.get(value.$blob);
+    return value.sealed ? this.config.sealer.decrypt(value.$blob, data) : JSON.parse(data);
+  }
+
+  // Resolves every reference in a map of results keyed by node id
+  async resolveAll(results = {}) {
+    const entries = await Promise.all(Object.entries(results)
+      .map(async ([nodeId, result]) => [nodeId, await this.resolve(result)]));
+    return Object.fromEntries(entries);
+  }
+
+  // A value small enough to send to clients as-is, or a truncated preview
+  preview(value) {
+    if (value === undefined || isBlobRef(value)) {
+      return value;
+    }
+    const json = JSON.stringify(value);
+    const size = Buffer.byteLength(json);
+    if (size <= this.config.previewBytes) {
+      return value;
+    }
+    return { truncated: true, size, preview: this.truncate(json) };
+  }
+
+  truncate(json) {
+    return Buffer.from(json).subarray(0, this.config.previewBytes).toString('utf8');
+  }
+
+  async deleteWorkflowResults(workflowId) {
+    await this.store.deletePrefix(workflowId);
+  }
+}
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/index.js';
+import { CredentialRepository } from '../db/repositories/credentials.js';
+import { hasRole } from './auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const KEY_SALT = 'workflow-engine-credentials';
+
+// Fields each credential type must provide
+export const CREDENTIAL_TYPES = {
+  httpHeader: ['name', 'value'],
+  httpBasicAuth: ['username', 'password'],
+  httpBearerToken: ['token'],
+  database: ['connectionString'],
+  webhookSecret: ['secret']
+};
+
+// Credentials a workflow definition points at, from its nodes and webhook
+export const referencedCredentialIds = (definition) => [...new Set([
+  ...(definition.nodes || []).map(node => node.config?.credentialId),
+  definition.settings?.webhook?.credentialId
+].filter(Boolean))];
+
+// Secrets for nodes, kept out of workflow definitions. Values are encrypted
+// with AES-256-GCM under a key derived from the master key, and the
+// credential id is bound in as associated data so ciphertexts can't be
+// swapped between rows. Only resolve() returns decrypted values, and only the
+// engine calls it, right before a node runs.
+//
+// Credentials belong to the user who created them. Admins reach every
+// credential; others only the ones they own or that were shared with them,
+// and only owners change them. Credentials created before ownership are left
+// to admins. Users who can't see a credential get a 404 so its existence
+// isn't revealed.
+export class CredentialStore {
+  constructor(masterKey) {
+    if (!masterKey) {
+      throw new Error('Credential store requires a master key');
+    }
+    this.key = crypto.scryptSync(masterKey, KEY_SALT, 32);
+    this.credentialRepository = new CredentialRepository(db);
+  }
+
+  async createCredential({ name, type, data }, { createdBy } = {}) {
+    this.assertValidData(type, data);
+
+    const id = uuidv4();
+    const credential = await this.credentialRepository.create({
+      id,
+      name,
+      type,
+      encryptedData: this.encrypt(id, data),
+      createdBy
+    });
+    return this.toPublic(credential);
+  }
+
+  async updateCredential(id, { name, data }, user) {
+    const existing = await this.findOrFail(id, user, { owner: true });
+    if (data !== undefined) {
+      this.assertValidData(existing.type, data);
+    }
+
+    const credential = await this.credentialRepository.update(id, {
+      name,
+      encryptedData: data === undefined ? undefined : this.encrypt(id, data)
+    });
+    return this.toPublic(credential);
+  }
+
+  async listCredentials(filters = {}) {
+    const credentials = await this.credentialRepository.list(filters);
+    return credentials.map(credential => this.toPublic(credential));
+  }
+
+  async getCredential(id, user) {
+    return this.toPublic(await this.findOrFail(id, user));
+  }
+
+  async deleteCredential(id, user) {
+    await this.findOrFail(id, user, { owner: true });
+
+    const workflows = await this.credentialRepository.findWorkflowsUsing(id);
+    if (workflows.length > 0) {
+      throw new AppError(
+        `Credential is used by workflows: ${workflows.map(w => w.name || w.id).join(', ')}`,
+        409
+      );
+    }
+
+    await this.credentialRepository.delete(id);
+    return { credentialId: id, status: 'deleted' };
+  }
+
+  // `user` is who the values are decrypted for: the owner of the running
+  // workflow, or whoever tests a node
+  async resolve(id, user) {
+    const credential = await this.credentialRepository.findById(id);
+    if (!credential || !await this.canUse(credential, user)) {
+      throw new Error(`Credential ${id} not found`);
+    }
+    return { type: credential.type, data: this.decrypt(id, credential.encryptedData) };
+  }
+
+  async findOrFail(id, user, { owner = false } = {}) {
+    const credential = await this.credentialRepository.findById(id);
+    if (!credential || !await this.canUse(credential, user)) {
+      throw new AppError('Credential not found', 404);
+    }
+    if (owner && !this.isOwner(credential, user)) {
+      throw new AppError('Only the owner of a credential can change it', 403);
+    }
+    return credential;
+  }
+
+  // Workflows decrypt their credentials for their owner, so whoever saves a
+  // definition must be able to use every credential it references themselves
+  async assertUsable(definition, user) {
+    for (const id of referencedCredentialIds(definition)) {
+      const credential = await this.credentialRepository.findById(id);
+      if (!credential || !await this.canUse(credential, user)) {
+        throw new AppError(`Credential ${id} cannot be used by ${user.id}`, 403);
+      }
+    }
+  }
+
+  isOwner(credential, user) {
+    return hasRole(user, 'admin') || Boolean(credential.createdBy && credential.createdBy === user?.id);
+  }
+
+  async canUse(credential, user) {
+    if (this.isOwner(credential, user)) {
+      return true;
+    }
+    return Boolean(user?.id && await this.credentialRepository.findShare(credential.id, user.id));
+  }
+
+  assertValidData(type, data) {
+    const fields = CREDENTIAL_TYPES[type];
+    if (!fields) {
+      throw new AppError(`Unknown credential type: ${type}`, 400);
+    }
+    const missing = fields.filter(field => typeof data?.[field] !== 'string' || data[field] === '');
+    if (missing.length > 0) {
+      throw new AppError(`${type} credential requires ${missing.join(', ')}`, 400);
+    }
+  }
+
+  encrypt(id, data) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    cipher.setAAD(Buffer.from(id));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':');
+  }
+
+  decrypt(id, payload) {
+    const [version, iv, authTag, ciphertext] = payload.split(':');
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Credential ${id} uses unsupported format ${version}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(id));
+      decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+      ]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Credential ${id} could not be decrypted; check the master key`);
+    }
+  }
+
+  // What the API may show: never the values, only which fields are set
+  toPublic(credential) {
+    return {
+      id: credential.id,
+      name: credential.name,
+      type: credential.type,
+      fields: CREDENTIAL_TYPES[credential.type] || [],
+      createdBy: credential.createdBy,
+      createdAt: credential.createdAt,
+      updatedAt: credential.updatedAt
+    };
+  }
+}
@@ -3,8 +3,77 @@ import Queue from 'bull';
 import Redis from 'redis';
 import pino from 'pino';
 import { EventEmitter } from 'events';
+import db from '../db/index.js';
+import { WorkflowRepository } from '../db/repositories/workflows.js';
+import { ExecutionRepository } from '../db/repositories/executions.js';
+import { diffWorkflows } from '../utils/diff.js';
+import { validateWorkflow } from './validator.js';
+import { AppError, ValidationError } from '../middleware/errorHandler.js';
+import { NodeExecutionError, NodeTimeoutError } from './errors.js';
+import {
+  ERROR_HANDLE,
+  LOOP_ITEM_HANDLE,
+  collectLoopBody,
+  collectOutput,
+  hasLoopBody
+} from './graph.js';
+import { SubgraphExecutor } from './executor.js';
+import { CredentialStore } from './credentials.js';
+import { assertWorkflowAccess, workflowActor } from './auth.js';
+import { Tracer, newSpanId, newTraceId } from './tracing.js';
+import { ResultStore } from './blobs.js';
+import { redactionHooks, redactor } from '../utils/redact.js';
+import {
+  BACKOFF_STRATEGY,
+  computeBackoff,
+  isRetryable,
+  resolveRetryPolicy,
+  toJobOptions
+} from './retry.js';
 
-const logger = pino({ level: 'info' });
+const logger = pino({ level: 'info', hooks: redactionHooks });
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Nodes tested from the editor always get a timeout
+const TEST_NODE_TIMEOUT_MS = 30000;
+
+// How long a cancel stays visible to nodes that were already running
+const CANCEL_CONTROL_TTL_MS = 24 * 60 * 60 * 1000;
+
+const loopBodyNodeIds = (workflow) => new Set(workflow.nodes
+  .filter(node => hasLoopBody(workflow, node.id))
+  .flatMap(node => [...collectLoopBody(workflow, node.id)]));
+
+// A node's result can only be reused if it would run the same way again
+const isSameNodeDefinition = (before, after) =>
+  Boolean(before && after) &&
+  before.type === after.type &&
+  JSON.stringify(before.config) === JSON.stringify(after.config);
+
+// Node results by id, with the unredacted original wherever one was kept
+const withUnredacted = (results, unredacted = {}) => Object.fromEntries(
+  Object.entries(results).map(([nodeId, result]) => [
+    nodeId,
+    unredacted.hasOwnProperty(nodeId) ? unredacted[nodeId] : result
+  ])
+);
+
+// Cursors are opaque to clients and only valid for the sort they came from
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value, { sort, order }) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  if (cursor?.sort !== sort || cursor?.order !== order || cursor.id === undefined) {
+    throw new AppError('Cursor does not match the requested sort', 400);
+  }
+  return cursor;
+};
 
 export class WorkflowEngine extends EventEmitter {
   constructor(config = {}) {
@@ -12,16 +81,29 @@ export class WorkflowEngine extends EventEmitter {
     this.config = {
       redis: { host: 'localhost', port: 6379 },
       maxConcurrency: 10,
+      retry: {},
+      maxWorkflowDepth: 10,
       ...config
     };
     
     this.queue = new Queue('workflow-execution', {
-      redis: this.config.redis
+      redis: this.config.redis,
+      settings: {
+        backoffStrategies: { [BACKOFF_STRATEGY]: computeBackoff }
+      }
     });
     
     this.redis = Redis.createClient(this.config.redis);
-    this.workflows = new Map();
+    this.workflowRepository = new WorkflowRepository(db);
+    this.executionRepository = new ExecutionRepository(db);
+    this.credentials = new CredentialStore(this.config.credentialsKey);
+    this.tracer = new Tracer(this.config.tracing);
+    this.results = new ResultStore({ ...this.config.blobs, sealer: this.credentials });
+    this.redactor = redactor;
+    // Executions driven by this process; Postgres and Redis hold the durable copy
     this.executions = new Map();
+    // Per execution, what redaction removed from its stored state; see unredactedState()
+    this.unredacted = new WeakMap();
     this.nodes = new Map();
     
     this.initialize();
@@ -36,10 +118,14 @@ export class WorkflowEngine extends EventEmitter {
   setupQueueHandlers() {
     this.queue.process(this.config.maxConcurrency, async (job) => {
       const { workflowId, executionId, nodeId, input } = job.data;
-      return await this.executeNode(workflowId, executionId, nodeId, input);
+      return await this.executeNode(workflowId, executionId, nodeId, input, job);
     });
 
     this.queue.on('completed', (job, result) => {
+      // Jobs held back by a pause or dropped by a cancel never ran the node
+      if (result === undefined) {
+        return;
+      }
       this.emit('node:completed', { 
         executionId: job.data.executionId, 
         nodeId: job.data.nodeId, 
@@ -51,7 +137,10 @@ export class WorkflowEngine extends EventEmitter {
       this.emit('node:failed', { 
         executionId: job.data.executionId, 
         nodeId: job.data.nodeId, 
-        error: err.message 
+        error: err.message,
+        attempt: job.attemptsMade,
+        maxAttempts: job.opts.attempts,
+        willRetry: job.attemptsMade < job.opts.attempts && !job.isDiscarded()
       });
     });
   }
@@ -61,43 +150,122 @@ export class WorkflowEngine extends EventEmitter {
     logger.info(`Registered node type: ${type}`);
   }
 
-  async createWorkflow(definition) {
+  async createWorkflow(definition, options = {}) {
+    this.assertValidWorkflow(definition);
+
     const workflowId = uuidv4();
-    const workflow = {
+    const workflow = await this.workflowRepository.create({
       id: workflowId,
       name: definition.name,
+      description: definition.description,
       nodes: definition.nodes,
       edges: definition.edges,
-      createdAt: new Date(),
-      status: 'active'
-    };
+      settings: definition.settings,
+      status: 'active',
+      createdBy: options.createdBy
+    });
     
-    this.workflows.set(workflowId, workflow);
     await this.redis.set(`workflow:${workflowId}`, JSON.stringify(workflow));
     
     logger.info(`Created workflow: ${workflowId}`);
     return workflow;
   }
 
-  async executeWorkflow(workflowId, initialData = {}) {
-    const workflow = this.workflows.get(workflowId);
+  async updateWorkflow(workflowId, definition, options = {}) {
+    this.assertValidWorkflow(definition);
+
+    const workflow = await this.workflowRepository.createVersion(workflowId, {
+      name: definition.name,
+      description: definition.description,
+      nodes: definition.nodes,
+      edges: definition.edges,
+      settings: definition.settings,
+      createdBy: options.createdBy
+    });
     if (!workflow) {
-      throw new Error(`Workflow ${workflowId} not found`);
+      return null;
     }
 
-    const executionId = uuidv4();
-    const execution = {
-      id: executionId,
+    await this.redis.set(`workflow:${workflowId}`, JSON.stringify(workflow));
+
+    logger.info(`Saved workflow ${workflowId} version ${workflow.version}`);
+    return workflow;
+  }
+
+  // Rolling back saves the old definition as a new version so history stays append-only
+  async rollbackWorkflow(workflowId, version, options = {}) {
+    const target = await this.getWorkflow(workflowId, version);
+    if (!target) {
+      return null;
+    }
+    return this.updateWorkflow(workflowId, target, options);
+  }
+
+  // Versions, executions, schedules and shares go with the workflow through
+  // ON DELETE CASCADE, so it can't be deleted while any of its executions run.
+  // Offloaded results are stored under the workflow and removed with it.
+  async deleteWorkflow(workflowId) {
+    const workflow = await this.workflowRepository.findById(workflowId);
+    if (!workflow) {
+      throw new AppError('Workflow not found', 404);
+    }
+    const { executions } = await this.executionRepository.list({
       workflowId,
-      status: 'running',
-      startTime: new Date(),
-      data: initialData,
-      nodeResults: {},
-      currentNodes: []
-    };
+      statuses: ['running', 'paused'],
+      limit: 1
+    });
+    if (executions.length > 0) {
+      throw new AppError(`Workflow ${workflowId} has running executions`, 409);
+    }
 
-    this.executions.set(executionId, execution);
-    await this.redis.set(`execution:${executionId}`, JSON.stringify(execution));
+    await this.workflowRepository.delete(workflowId);
+    const cacheKeys = Array.from({ length: workflow.version }, (_, i) => `workflow:${workflowId}:v${i + 1}`);
+    await this.redis.del([`workflow:${workflowId}`, ...cacheKeys]);
+    await this.results.deleteWorkflowResults(workflowId);
+
+    logger.info(`Deleted workflow ${workflowId}`);
+    return { workflowId, status: 'deleted' };
+  }
+
+  async listWorkflowVersions(workflowId) {
+    return this.workflowRepository.listVersions(workflowId);
+  }
+
+  async diffWorkflowVersions(workflowId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getWorkflow(workflowId, fromVersion),
+      this.getWorkflow(workflowId, toVersion)
+    ]);
+    if (!from || !to) {
+      return null;
+    }
+    return diffWorkflows(from, to);
+  }
+
+  assertValidWorkflow(definition) {
+    const { valid, errors } = validateWorkflow(definition, this.nodes);
+    if (!valid) {
+      throw new ValidationError('Workflow definition is invalid', errors);
+    }
+  }
+
+  async listWorkflows(filters = {}) {
+    return this.workflowRepository.list(filters);
+  }
+
+  async executeWorkflow(workflowId, initialData = {}, options = {}) {
+    const workflow = await this.getWorkflow(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const depth = options.depth || 0;
+    if (depth > this.config.maxWorkflowDepth) {
+      throw new Error(`Sub-workflow nesting exceeds ${this.config.maxWorkflowDepth} levels`);
+    }
+
+    const execution = await this.createExecution(workflow, initialData, { ...options, depth });
+    const executionId = execution.id;
 
     // Find start nodes (nodes with no incoming edges)
     const startNodes = workflow.nodes.filter(node => 
@@ -106,28 +274,187 @@ export class WorkflowEngine extends EventEmitter {
 
     // Queue start nodes for execution
     for (const node of startNodes) {
-      await this.queueNode(workflowId, executionId, node.id, initialData);
+      execution.currentNodes.push(node.id);
+      await this.queueNode(workflowId, executionId, node.id, execution.data);
     }
+    await this.saveExecution(execution);
 
     logger.info(`Started workflow execution: ${executionId}`);
     return { executionId, status: 'started' };
   }
 
+  // Trigger data is stored redacted; start nodes get it as it arrived.
+  // `options.secrets` are credential values already decrypted upstream, e.g.
+  // by the parent of a sub-workflow, which must stay masked here too.
+  async createExecution(workflow, initialData, options = {}) {
+    const secrets = options.secrets || [];
+    const data = this.redactor.withSecrets(secrets).redact(initialData);
+    const execution = {
+      id: uuidv4(),
+      workflowId: workflow.id,
+      workflowVersion: workflow.version,
+      parentExecutionId: options.parentExecutionId,
+      parentNodeId: options.parentNodeId,
+      retryOfExecutionId: options.retryOfExecutionId,
+      triggerType: options.triggerType || 'manual',
+      createdBy: options.createdBy,
+      depth: options.depth || 0,
+      // Sub-workflows join the trace of the node that started them
+      traceId: options.traceContext?.traceId || newTraceId(),
+      spanId: newSpanId(),
+      parentSpanId: options.traceContext?.spanId,
+      status: 'running',
+      startTime: new Date(),
+      data,
+      nodeResults: {},
+      edgeStates: {},
+      skippedNodes: [],
+      currentNodes: [],
+      jobIds: {},
+      heldJobs: [],
+      nodeAttempts: {},
+      childExecutionIds: []
+    };
+
+    if (secrets.length > 0 || data !== initialData) {
+      this.unredacted.set(execution, { data: initialData, nodeResults: {}, secrets: [...secrets] });
+    }
+
+    await this.executionRepository.create(execution);
+    this.executions.set(execution.id, execution);
+    await this.saveExecution(execution);
+
+    this.emit('execution:started', {
+      executionId: execution.id,
+      workflowId: workflow.id,
+      workflowVersion: workflow.version,
+      triggerType: execution.triggerType,
+      parentExecutionId: execution.parentExecutionId,
+      retryOfExecutionId: execution.retryOfExecutionId,
+      createdBy: execution.createdBy
+    });
+    return execution;
+  }
+
+  // Starts a new execution linked to a failed or cancelled one. Results of
+  // nodes that succeeded are carried over when everything upstream of them
+  // is carried over too; the failed node and everything after it run again.
+  // Against the latest version, nodes whose definition changed also run again.
+  async retryExecution(originalId, { latestVersion = false, createdBy } = {}) {
+    const original = await this.getExecution(originalId);
+    if (!original) {
+      throw new AppError(`Execution ${originalId} not found`, 404);
+    }
+    if (!['failed', 'cancelled'].includes(original.status)) {
+      throw new AppError(`Execution ${originalId} is ${original.status}`, 409);
+    }
+
+    const originalWorkflow = await this.getWorkflow(original.workflowId, original.workflowVersion);
+    const workflow = latestVersion ? await this.getWorkflow(original.workflowId) : originalWorkflow;
+    if (!workflow) {
+      throw new AppError(`Workflow ${original.workflowId} not found`, 404);
+    }
+
+    const reused = this.collectReusableResults(originalWorkflow, workflow, original.nodeResults);
+    const unredacted = await this.loadUnredacted(original.id);
+    const execution = await this.createExecution(workflow, unredacted ? unredacted.data : original.data, {
+      retryOfExecutionId: original.id,
+      triggerType: original.triggerType,
+      createdBy,
+      secrets: unredacted?.secrets
+    });
+
+    for (const [nodeId, result] of Object.entries(reused)) {
+      execution.nodeResults[nodeId] = result;
+      if (unredacted?.nodeResults.hasOwnProperty(nodeId)) {
+        this.unredactedState(execution).nodeResults[nodeId] = unredacted.nodeResults[nodeId];
+      }
+      const outgoing = workflow.edges.filter(edge => edge.source === nodeId);
+      Object.assign(execution.edgeStates, this.routeEdges(outgoing, await this.results.resolve(result), false));
+    }
+
+    // Loop bodies are run by their loop node, never scheduled on their own
+    const loopBodyNodes = loopBodyNodeIds(workflow);
+    for (const node of workflow.nodes) {
+      if (reused[node.id] || loopBodyNodes.has(node.id)) {
+        continue;
+      }
+      if (!workflow.edges.some(edge => edge.target === node.id)) {
+        execution.currentNodes.push(node.id);
+        await this.queueNode(workflow.id, execution.id, node.id, execution.data);
+      } else {
+        await this.advanceNode(workflow, execution, node.id);
+      }
+    }
+    await this.saveExecution(execution);
+
+    // Everything was reused or skipped, e.g. the failed node was removed
+    if (execution.currentNodes.length === 0) {
+      await this.finishIfComplete(workflow, execution);
+    }
+
+    logger.info(`Retrying execution ${original.id} as ${execution.id} with ${Object.keys(reused).length} reused results`);
+    return {
+      executionId: execution.id,
+      status: 'started',
+      retryOfExecutionId: original.id,
+      workflowVersion: workflow.version,
+      reusedNodes: Object.keys(reused)
+    };
+  }
+
+  // Successful results that a retry can keep, by node id
+  collectReusableResults(originalWorkflow, workflow, nodeResults = {}) {
+    const reusable = new Map();
+    const isReusable = (nodeId) => {
+      if (!reusable.has(nodeId)) {
+        const result = nodeResults[nodeId];
+        const node = workflow.nodes.find(n => n.id === nodeId);
+        const before = originalWorkflow?.nodes.find(n => n.id === nodeId);
+        reusable.set(nodeId,
+          result !== undefined &&
+          result?.success !== false &&
+          isSameNodeDefinition(before, node) &&
+          workflow.edges.filter(edge => edge.target === nodeId).every(edge => isReusable(edge.source))
+        );
+      }
+      return reusable.get(nodeId);
+    };
+
+    return Object.fromEntries(workflow.nodes
+      .filter(node => isReusable(node.id))
+      .map(node => [node.id, nodeResults[node.id]]));
+  }
+
   async queueNode(workflowId, executionId, nodeId, input) {
-    await this.queue.add({
+    const execution = await this.loadExecution(executionId);
+    const control = await this.getExecutionControl(executionId);
+    if (control === 'cancelled') {
+      return;
+    }
+    if (control === 'paused') {
+      execution.heldJobs.push({ nodeId, input });
+      await this.saveExecution(execution);
+      return;
+    }
+
+    const workflow = await this.getWorkflow(workflowId, execution.workflowVersion);
+    const nodeConfig = workflow.nodes.find(n => n.id === nodeId);
+    const policy = resolveRetryPolicy(nodeConfig?.retry, this.config.retry);
+
+    const job = await this.queue.add({
       workflowId,
       executionId,
       nodeId,
       input
-    }, {
-      attempts: 3,
-      backoff: { type: 'exponential', delay: 2000 }
-    });
+    }, toJobOptions(policy));
+    execution.jobIds[nodeId] = job.id;
+    await this.saveExecution(execution);
   }
 
-  async executeNode(workflowId, executionId, nodeId, input) {
-    const workflow = this.workflows.get(workflowId);
-    const execution = this.executions.get(executionId);
+  async executeNode(workflowId, executionId, nodeId, input, job) {
+    const execution = await this.loadExecution(executionId);
+    const workflow = await this.getWorkflow(workflowId, execution.workflowVersion);
     const nodeConfig = workflow.nodes.find(n => n.id === nodeId);
 
     if (!nodeConfig) {
@@ -139,76 +466,882 @@ export class WorkflowEngine extends EventEmitter {
       throw new Error(`Node type ${nodeConfig.type} not registered`);
     }
 
-    logger.info(`Executing node: ${nodeId} (${nodeConfig.type})`);
+    const control = await this.getExecutionControl(executionId);
+    if (control === 'cancelled') {
+      logger.info(`Dropping node ${nodeId} of cancelled execution ${executionId}`);
+      return undefined;
+    }
+    if (control === 'paused') {
+      execution.heldJobs.push({ nodeId, input });
+      await this.saveExecution(execution);
+      return undefined;
+    }
+
+    const policy = resolveRetryPolicy(nodeConfig.retry, this.config.retry);
+    const retryCount = job?.attemptsMade || 0;
+    const attempt = retryCount + 1;
+
+    logger.info(`Executing node: ${nodeId} (${nodeConfig.type}), attempt ${attempt} of ${policy.attempts}`);
+
+    // Retries wait from the previous failure, so their wait includes the backoff
+    if (job) {
+      this.tracer.startSpan('queue wait', {
+        traceId: execution.traceId,
+        parentSpanId: execution.spanId,
+        startTime: retryCount > 0 ? execution.nodeAttempts[nodeId]?.failedAt || job.timestamp : job.timestamp,
+        attributes: {
+          'workflow.execution.id': executionId,
+          'workflow.node.id': nodeId,
+          'workflow.node.type': nodeConfig.type,
+          'workflow.node.attempt': attempt,
+          'queue.job.id': job.id
+        }
+      }).end({ endTime: job.processedOn || Date.now() });
+    }
 
+    execution.nodeAttempts[nodeId] = { attempt, maxAttempts: policy.attempts };
+    const nodeStartTime = Date.now();
+    const nodeExecutionId = await this.executionRepository.createNodeExecution({
+      executionId,
+      nodeId,
+      nodeType: nodeConfig.type,
+      input,
+      retryCount,
+      maxAttempts: policy.attempts
+    });
+
+    // Jobs carry the redacted values the execution stores; the node gets them
+    // as they were produced. Only inputs merged from upstream results can hold
+    // blob references; start nodes get the trigger data as it arrived.
+    const unredacted = this.unredacted.get(execution);
+    const resultKey = this.resultKey(execution, nodeId);
+    let result;
     try {
-      const node = new NodeClass(nodeConfig.config);
-      const result = await node.execute(input, execution.nodeResults);
+      const hasUpstream = workflow.edges.some(edge => edge.target === nodeId);
+      result = await this.runNode(
+        workflow,
+        execution,
+        nodeConfig,
+        hasUpstream
+          ? await this.resolveResults(input, unredacted)
+          : (unredacted ? unredacted.data : input),
+        await this.resolveResults(execution.nodeResults, unredacted),
+        { attempt, maxAttempts: policy.attempts }
+      );
+    } catch (error) {
+      logger.error(`Node execution failed: ${nodeId} (attempt ${attempt} of ${policy.attempts})`, error);
+      await this.executionRepository.completeNodeExecution(nodeExecutionId, {
+        status: 'failed',
+        output: await this.results.offload(this.executionRedactor(execution).redact(error.result), resultKey),
+        error: error.message,
+        executionTimeMs: Date.now() - nodeStartTime
+      });
 
-      // Store result
-      execution.nodeResults[nodeId] = result;
-      await this.redis.set(`execution:${executionId}`, JSON.stringify(execution));
-
-      // Find and queue next nodes
-      const nextEdges = workflow.edges.filter(edge => edge.source === nodeId);
-      for (const edge of nextEdges) {
-        const nextNode = workflow.nodes.find(n => n.id === edge.target);
-        if (nextNode) {
-          // Check if all dependencies are met
-          const dependencies = workflow.edges
-            .filter(e => e.target === nextNode.id)
-            .map(e => e.source);
-          
-          const allDependenciesMet = dependencies.every(depId => 
-            execution.nodeResults.hasOwnProperty(depId)
-          );
-
-          if (allDependenciesMet) {
-            // Merge all dependency results as input
-            const mergedInput = dependencies.reduce((acc, depId) => ({
-              ...acc,
-              [depId]: execution.nodeResults[depId]
-            }), {});
-
-            await this.queueNode(workflowId, executionId, nextNode.id, mergedInput);
+      if (await this.getExecutionControl(executionId) === 'cancelled') {
+        this.executions.delete(executionId);
+        throw error;
+      }
+
+      const willRetry = attempt < policy.attempts && isRetryable(error, policy);
+      if (willRetry) {
+        this.emitRetrying(execution, nodeConfig, attempt, error);
+        execution.nodeAttempts[nodeId].lastError = error.message;
+        execution.nodeAttempts[nodeId].failedAt = Date.now();
+        await this.saveExecution(execution);
+        throw error;
+      }
+      job?.discard();
+
+      const failure = {
+        success: false,
+        error: error.message,
+        status: error.status,
+        timestamp: new Date().toISOString()
+      };
+
+      const hasErrorOutput = workflow.edges.some(edge =>
+        edge.source === nodeId && edge.sourceHandle === ERROR_HANDLE
+      );
+      if (hasErrorOutput || nodeConfig.continueOnFail) {
+        logger.warn(`Node ${nodeId} failed, continuing via ${hasErrorOutput ? 'error output' : 'continueOnFail'}`);
+        await this.completeNode(workflow, execution, nodeId, failure, { failed: true });
+        return failure;
+      }
+
+      execution.status = 'failed';
+      execution.error = error.message;
+      execution.failedNodeId = nodeId;
+      execution.endTime = new Date();
+      await this.persistExecution(execution);
+      await this.clearExecutionControl(executionId);
+      this.emit('workflow:failed', {
+        executionId,
+        workflowId: workflow.id,
+        nodeId,
+        error: error.message
+      });
+      await this.runErrorWorkflow(workflow, execution);
+      throw error;
+    }
+
+    // The queue keeps the return value too, so it gets the reference as well.
+    // What redaction changed is kept sealed in the blob store, referenced
+    // from the unredacted state.
+    const redacted = this.executionRedactor(execution).redact(result);
+    if (redacted !== result) {
+      this.unredactedState(execution).nodeResults[nodeId] =
+        await this.results.seal(result, `${resultKey}-unredacted`);
+    }
+    const stored = await this.results.offload(redacted, resultKey);
+    await this.executionRepository.completeNodeExecution(nodeExecutionId, {
+      status: 'completed',
+      output: stored,
+      executionTimeMs: Date.now() - nodeStartTime
+    });
+
+    await this.completeNode(workflow, execution, nodeId, result, { failed: false, stored });
+    return stored;
+  }
+
+  resultKey(execution, nodeId) {
+    return `${execution.workflowId}/${execution.id}/${nodeId.replace(/[^\w-]/g, '_')}`;
+  }
+
+  // Stores a node's outcome, routes it along the outgoing edges and finishes
+  // the execution once every node has either run or been skipped. `stored` is
+  // what the execution keeps: the result or its blob reference.
+  async completeNode(workflow, execution, nodeId, result, { failed, stored = result }) {
+    const executionId = execution.id;
+
+    execution.nodeResults[nodeId] = stored;
+    execution.currentNodes = execution.currentNodes.filter(id => id !== nodeId);
+    delete execution.jobIds[nodeId];
+
+    // A cancel that arrived while the node was running stops the run here
+    if (await this.getExecutionControl(executionId) === 'cancelled') {
+      await this.saveExecution(execution);
+      this.executions.delete(executionId);
+      return;
+    }
+
+    const outgoing = workflow.edges.filter(edge => edge.source === nodeId);
+    Object.assign(execution.edgeStates, this.routeEdges(outgoing, result, failed));
+    await this.saveExecution(execution);
+
+    // Find and queue (or skip) next nodes; loop bodies already ran inside the node
+    const nextNodeIds = [...new Set(outgoing
+      .filter(edge => execution.edgeStates[edge.id] !== 'loop')
+      .map(edge => edge.target))];
+    for (const nextNodeId of nextNodeIds) {
+      await this.advanceNode(workflow, execution, nextNodeId);
+    }
+
+    await this.finishIfComplete(workflow, execution);
+  }
+
+  async finishIfComplete(workflow, execution) {
+    const loopBodyNodes = new Set(Object.keys(execution.nodeResults)
+      .filter(id => hasLoopBody(workflow, id))
+      .flatMap(id => [...collectLoopBody(workflow, id)]));
+    const allNodesExecuted = workflow.nodes.every(node => 
+      execution.nodeResults.hasOwnProperty(node.id) ||
+      execution.skippedNodes.includes(node.id) ||
+      loopBodyNodes.has(node.id)
+    );
+
+    if (allNodesExecuted) {
+      execution.status = 'completed';
+      execution.endTime = new Date();
+      await this.persistExecution(execution);
+      await this.clearExecutionControl(execution.id);
+      this.emit('workflow:completed', {
+        executionId: execution.id,
+        workflowId: workflow.id,
+        results: execution.nodeResults
+      });
+    }
+  }
+
+  // Runs another workflow on behalf of a node. The child is linked to the
+  // parent execution and, unless `wait` is false, the call resolves with the
+  // child's final output once it completes. A worker slot stays busy while
+  // waiting, so deep nesting needs a queue concurrency to match.
+  async executeChildWorkflow(parent, parentNodeId, workflowId, input, { wait = true, signal, traceContext } = {}) {
+    await this.assertCanStart(await this.getWorkflow(parent.workflowId, parent.workflowVersion), workflowId);
+    const { executionId } = await this.executeWorkflow(workflowId, input, {
+      parentExecutionId: parent.id,
+      parentNodeId,
+      triggerType: 'subworkflow',
+      depth: (parent.depth || 0) + 1,
+      traceContext,
+      secrets: this.unredacted.get(parent)?.secrets
+    });
+    parent.childExecutionIds.push(executionId);
+    await this.saveExecution(parent);
+
+    if (!wait) {
+      return { executionId, status: 'started' };
+    }
+
+    // A timed-out parent node takes its child down with it
+    const onAbort = () => this.cancelExecution(executionId).catch(() => {});
+    signal?.addEventListener('abort', onAbort);
+
+    let child;
+    try {
+      child = await this.waitForExecution(executionId);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (child.status !== 'completed') {
+      throw new NodeExecutionError(
+        `Sub-workflow execution ${executionId} ${child.status}${child.error ? `: ${child.error}` : ''}`
+      );
+    }
+
+    // The parent node gets the child's output as produced, so credentials the
+    // child decrypted are masked in the parent's stored state as well
+    const unredacted = await this.loadUnredacted(executionId);
+    if (unredacted) {
+      this.addSecrets(parent, unredacted.secrets);
+    }
+    const childWorkflow = await this.getWorkflow(child.workflowId, child.workflowVersion);
+    return {
+      executionId,
+      status: child.status,
+      output: collectOutput(childWorkflow, await this.resolveResults(child.nodeResults, unredacted))
+    };
+  }
+
+  // Resolves once the execution reaches a terminal status. Engine events wake
+  // it up immediately when the execution runs in this process; polling covers
+  // executions finished by other workers. Rejects with a 504 AppError if
+  // timeoutMs passes first.
+  waitForExecution(executionId, { pollInterval = 1000, timeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+      const events = ['workflow:completed', 'workflow:failed', 'execution:cancelled'];
+      let timer;
+      let deadline;
+
+      const cleanup = () => {
+        clearInterval(timer);
+        clearTimeout(deadline);
+        events.forEach(event => this.off(event, onEvent));
+      };
+
+      const check = async () => {
+        try {
+          const execution = await this.getExecution(executionId);
+          if (execution && TERMINAL_STATUSES.includes(execution.status)) {
+            cleanup();
+            resolve(execution);
           }
+        } catch (error) {
+          cleanup();
+          reject(error);
+        }
+      };
+
+      const onEvent = (data) => {
+        if (data.executionId === executionId) {
+          check();
         }
+      };
+
+      events.forEach(event => this.on(event, onEvent));
+      timer = setInterval(check, pollInterval);
+      if (timeoutMs) {
+        deadline = setTimeout(() => {
+          cleanup();
+          reject(new AppError(`Execution ${executionId} did not finish within ${timeoutMs}ms`, 504));
+        }, timeoutMs);
       }
+      check();
+    });
+  }
 
-      // Check if workflow is complete
-      const allNodesExecuted = workflow.nodes.every(node => 
-        execution.nodeResults.hasOwnProperty(node.id)
-      );
+  // Workflows start sub-workflows and error handlers on their owner's behalf,
+  // so the owner needs run access to the workflow being started
+  async assertCanStart(workflow, workflowId) {
+    const target = await this.getWorkflow(workflowId);
+    if (!target) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+    await assertWorkflowAccess(this.workflowRepository, workflowActor(workflow), target, 'run');
+  }
+
+  // Starts the workflow's configured error handler with the failed run's context
+  async runErrorWorkflow(workflow, execution) {
+    const errorWorkflowId = workflow.settings?.errorWorkflowId;
+    if (!errorWorkflowId || errorWorkflowId === workflow.id) {
+      return;
+    }
+
+    try {
+      await this.assertCanStart(workflow, errorWorkflowId);
+      const { executionId } = await this.executeWorkflow(errorWorkflowId, {
+        execution: {
+          id: execution.id,
+          workflowId: workflow.id,
+          workflowName: workflow.name,
+          workflowVersion: execution.workflowVersion,
+          error: execution.error,
+          failedNodeId: execution.failedNodeId,
+          nodeResults: await this.results.resolveAll(execution.nodeResults),
+          startTime: execution.startTime,
+          endTime: execution.endTime
+        }
+      }, { triggerType: 'error' });
+      logger.info(`Started error workflow ${errorWorkflowId} (${executionId}) for execution ${execution.id}`);
+    } catch (error) {
+      logger.error(`Failed to start error workflow ${errorWorkflowId}`, error);
+    }
+  }
 
-      if (allNodesExecuted) {
-        execution.status = 'completed';
-        execution.endTime = new Date();
-        await this.redis.set(`execution:${executionId}`, JSON.stringify(execution));
-        this.emit('workflow:completed', { executionId, results: execution.nodeResults });
+  // Instantiates and runs a node. Nodes get an executeWorkflow() callback for
+  // sub-workflows, nodes with a loop body get runBody(), and results reported
+  // as { success: false } are raised as errors. A referenced credential is
+  // decrypted here and only handed to the node instance; its values are
+  // masked in the node's logs and errors, and in whatever the execution
+  // stores from then on. The result is returned unredacted for the nodes
+  // downstream. Each call is one attempt and one span; loop body nodes are
+  // traced under their loop node.
+  async runNode(workflow, execution, nodeConfig, input, context, { attempt = 1, maxAttempts = 1, parentSpanId } = {}) {
+    const span = this.tracer.startSpan(`node ${nodeConfig.type}`, {
+      traceId: execution.traceId,
+      parentSpanId: parentSpanId || execution.spanId,
+      attributes: {
+        'workflow.id': workflow.id,
+        'workflow.execution.id': execution.id,
+        'workflow.node.id': nodeConfig.id,
+        'workflow.node.type': nodeConfig.type,
+        'workflow.node.attempt': attempt,
+        'workflow.node.max_attempts': maxAttempts,
+        'workflow.node.retries': attempt - 1
       }
+    });
+    const startTime = Date.now();
+    let status = 'failed';
+    let failure;
+
+    try {
+      const node = await this.instantiateNode(nodeConfig, workflowActor(workflow), {
+        executionId: execution.id,
+        workflowId: workflow.id,
+        userId: execution.createdBy
+      });
+      node.traceparent = this.tracer.enabled ? span.traceparent : null;
+      if (node.credentials) {
+        this.addSecrets(execution, Object.values(node.credentials.data));
+      }
+      const redactor = this.executionRedactor(execution);
+
+      node.onLog = (entry) => this.emit('node:log', {
+        executionId: execution.id,
+        workflowId: workflow.id,
+        nodeId: nodeConfig.id,
+        ...redactor.redact(entry),
+        timestamp: new Date().toISOString()
+      });
 
+      node.executeWorkflow = (workflowId, data, options = {}) =>
+        this.executeChildWorkflow(execution, nodeConfig.id, workflowId, data, {
+          ...options,
+          signal: node.signal,
+          traceContext: span.context
+        });
+
+      if (hasLoopBody(workflow, nodeConfig.id)) {
+        const executor = new SubgraphExecutor(this, workflow, execution, nodeConfig.id, span.spanId);
+        node.runBody = (item) => executor.run(item, context);
+      }
+
+      const result = await this.invokeNode(node, nodeConfig, input, context, redactor);
+      status = 'completed';
       return result;
     } catch (error) {
-      logger.error(`Node execution failed: ${nodeId}`, error);
-      execution.status = 'failed';
-      execution.error = error.message;
-      await this.redis.set(`execution:${executionId}`, JSON.stringify(execution));
+      failure = error.message;
+      throw error;
+    } finally {
+      span.end({
+        status: status === 'completed' ? 'ok' : 'error',
+        error: failure,
+        attributes: { 'workflow.node.status': status }
+      });
+      this.emit('node:attempt', {
+        executionId: execution.id,
+        workflowId: workflow.id,
+        nodeId: nodeConfig.id,
+        nodeType: nodeConfig.type,
+        attempt,
+        status,
+        durationMs: Date.now() - startTime
+      });
+    }
+  }
+
+  emitRetrying(execution, nodeConfig, attempt, error) {
+    this.emit('node:retrying', {
+      executionId: execution.id,
+      workflowId: execution.workflowId,
+      nodeId: nodeConfig.id,
+      nodeType: nodeConfig.type,
+      attempt,
+      error: error.message
+    });
+  }
+
+  // A credential is only decrypted if `user` may use it; `origin` says on
+  // whose behalf it was, for the audit log
+  async instantiateNode(nodeConfig, user, origin = {}) {
+    const NodeClass = this.nodes.get(nodeConfig.type);
+    const node = new NodeClass(nodeConfig.config);
+
+    if (nodeConfig.config?.credentialId) {
+      node.credentials = await this.credentials.resolve(nodeConfig.config.credentialId, user);
+      this.emit('credential:used', {
+        credentialId: nodeConfig.config.credentialId,
+        nodeId: nodeConfig.id,
+        ...origin
+      });
+    }
+    return node;
+  }
+
+  // Errors are raised with `redactor` applied, since they end up in logs and
+  // stored state; results are returned as the node produced them. Each node
+  // instance serves one attempt, so whatever it holds (e.g. DatabaseNode's
+  // pool) is released afterwards, without waiting on work a timeout left
+  // running.
+  async invokeNode(node, nodeConfig, input, context, redactor) {
+    let result;
+    try {
+      result = await this.runWithTimeout(node, nodeConfig, input, context);
+    } catch (error) {
+      error.message = redactor.redactString(error.message);
       throw error;
+    } finally {
+      Promise.resolve(node.cleanup?.()).catch(error => {
+        logger.warn(`Cleanup of node ${nodeConfig.id} failed: ${redactor.redactString(error.message)}`);
+      });
+    }
+
+    if (result?.success === false) {
+      throw new NodeExecutionError(
+        redactor.redactString(result.error || `Node ${nodeConfig.id} failed with status ${result.status}`),
+        {
+          status: result.status,
+          cause: result.name || result.code ? { name: result.name, code: result.code } : undefined,
+          result: redactor.redact(result)
+        }
+      );
+    }
+    return result;
+  }
+
+  // Runs a single node outside any workflow so a config can be tried out in
+  // the editor. Nothing is stored, and the node gets no sub-workflow or loop
+  // body callbacks, so those nodes run without them.
+  async testNode(type, { config = {}, input = {}, context = {}, timeoutMs = TEST_NODE_TIMEOUT_MS, user } = {}) {
+    if (!this.nodes.has(type)) {
+      throw new AppError(`Node type ${type} not registered`, 404);
+    }
+
+    const nodeConfig = { id: `test-${type}`, type, config, timeoutMs };
+    let node;
+    try {
+      node = await this.instantiateNode(nodeConfig, user, { userId: user?.id });
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    const redactor = this.redactor.withSecrets(Object.values(node.credentials?.data || {}));
+    const logs = [];
+    node.onLog = (entry) => logs.push(redactor.redact({ ...entry, timestamp: new Date().toISOString() }));
+
+    const startTime = Date.now();
+    try {
+      const output = redactor.redact(await this.invokeNode(node, nodeConfig, input, context, redactor));
+      return { success: true, output, logs, durationMs: Date.now() - startTime };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        output: error.result,
+        logs,
+        durationMs: Date.now() - startTime
+      };
+    }
+  }
+
+  // Races the node against its timeoutMs. The abort signal lets nodes that
+  // support it (e.g. HTTPNode) stop their own work when the timer fires.
+  async runWithTimeout(node, nodeConfig, input, context) {
+    if (!nodeConfig.timeoutMs) {
+      return node.execute(input, context);
+    }
+
+    const controller = new AbortController();
+    node.signal = controller.signal;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new NodeTimeoutError(nodeConfig.id, nodeConfig.timeoutMs));
+      }, nodeConfig.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([node.execute(input, context), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Failures follow the error output when one is connected; otherwise
+  // (continueOnFail) they travel along the regular edges like a result.
+  // Loop item edges are marked separately since the loop node runs its body.
+  routeEdges(outgoing, result, failed) {
+    const useErrorOutput = failed && outgoing.some(edge => edge.sourceHandle === ERROR_HANDLE);
+    const states = {};
+    for (const edge of outgoing) {
+      if (edge.sourceHandle === LOOP_ITEM_HANDLE) {
+        states[edge.id] = 'loop';
+        continue;
+      }
+      const taken = edge.sourceHandle === ERROR_HANDLE
+        ? useErrorOutput
+        : !useErrorOutput && this.isEdgeTaken(edge, result);
+      states[edge.id] = taken ? 'taken' : 'skipped';
+    }
+    return states;
+  }
+
+  // An edge without a sourceHandle always fires; otherwise it only fires when
+  // the handle matches the branch the node reported (e.g. ConditionalNode).
+  isEdgeTaken(edge, result) {
+    if (!edge.sourceHandle || result?.branch === undefined) {
+      return true;
+    }
+    return edge.sourceHandle === String(result.branch);
+  }
+
+  async advanceNode(workflow, execution, nodeId) {
+    if (!workflow.nodes.some(n => n.id === nodeId)) {
+      return;
+    }
+
+    const alreadyHandled =
+      execution.nodeResults.hasOwnProperty(nodeId) ||
+      execution.skippedNodes.includes(nodeId) ||
+      execution.currentNodes.includes(nodeId);
+    if (alreadyHandled) {
+      return;
+    }
+
+    // Wait until every incoming edge has been settled
+    const incoming = workflow.edges.filter(edge => edge.target === nodeId);
+    if (!incoming.every(edge => execution.edgeStates[edge.id])) {
+      return;
+    }
+
+    const activeEdges = incoming.filter(edge => execution.edgeStates[edge.id] === 'taken');
+
+    if (activeEdges.length === 0) {
+      // Nothing reached this node, so it and its downstream path are skipped
+      execution.skippedNodes.push(nodeId);
+      await this.executionRepository.createNodeExecution({
+        executionId: execution.id,
+        nodeId,
+        nodeType: workflow.nodes.find(n => n.id === nodeId).type,
+        status: 'skipped'
+      });
+      const outgoing = workflow.edges.filter(edge => edge.source === nodeId);
+      for (const edge of outgoing) {
+        execution.edgeStates[edge.id] = 'skipped';
+      }
+      await this.saveExecution(execution);
+      this.emit('node:skipped', { executionId: execution.id, workflowId: workflow.id, nodeId });
+
+      for (const nextNodeId of new Set(outgoing.map(edge => edge.target))) {
+        await this.advanceNode(workflow, execution, nextNodeId);
+      }
+      return;
+    }
+
+    // Merge the results of the dependencies that actually fired as input
+    const mergedInput = activeEdges.reduce((acc, edge) => ({
+      ...acc,
+      [edge.source]: execution.nodeResults[edge.source]
+    }), {});
+
+    execution.currentNodes.push(nodeId);
+    await this.queueNode(workflow.id, execution.id, nodeId, mergedInput);
+  }
+
+  async cancelExecution(executionId) {
+    const execution = await this.loadControllableExecution(executionId, ['running', 'paused']);
+
+    await this.redis.set(`execution:${executionId}:control`, 'cancelled', { PX: CANCEL_CONTROL_TTL_MS });
+    await this.removePendingJobs(execution);
+
+    execution.status = 'cancelled';
+    execution.heldJobs = [];
+    execution.endTime = new Date();
+    await this.persistExecution(execution);
+
+    for (const childId of execution.childExecutionIds || []) {
+      await this.cancelExecution(childId).catch(error => {
+        if (error.statusCode !== 409) {
+          logger.error(`Failed to cancel child execution ${childId}`, error);
+        }
+      });
+    }
+
+    logger.info(`Cancelled execution: ${executionId}`);
+    this.emit('execution:cancelled', { executionId, workflowId: execution.workflowId });
+    return { executionId, status: execution.status };
+  }
+
+  async pauseExecution(executionId) {
+    const execution = await this.loadControllableExecution(executionId, ['running']);
+
+    // Nodes already running finish; anything they would queue is held instead
+    await this.redis.set(`execution:${executionId}:control`, 'paused');
+    const removed = await this.removePendingJobs(execution);
+    execution.heldJobs.push(...removed.map(({ nodeId, input }) => ({ nodeId, input })));
+
+    execution.status = 'paused';
+    await this.saveExecution(execution);
+    await this.executionRepository.update(executionId, { status: execution.status });
+
+    logger.info(`Paused execution: ${executionId}`);
+    this.emit('execution:paused', { executionId, workflowId: execution.workflowId });
+    return { executionId, status: execution.status };
+  }
+
+  async resumeExecution(executionId) {
+    const execution = await this.loadControllableExecution(executionId, ['paused']);
+
+    await this.clearExecutionControl(executionId);
+    const heldJobs = execution.heldJobs;
+    execution.heldJobs = [];
+    execution.status = 'running';
+    await this.saveExecution(execution);
+    await this.executionRepository.update(executionId, { status: execution.status });
+
+    for (const { nodeId, input } of heldJobs) {
+      await this.queueNode(execution.workflowId, executionId, nodeId, input);
+    }
+    await this.saveExecution(execution);
+
+    logger.info(`Resumed execution: ${executionId}`);
+    this.emit('execution:resumed', { executionId, workflowId: execution.workflowId });
+    return { executionId, status: execution.status };
+  }
+
+  async loadControllableExecution(executionId, allowedStatuses) {
+    const current = await this.getExecution(executionId);
+    if (!current) {
+      throw new AppError(`Execution ${executionId} not found`, 404);
+    }
+    if (!allowedStatuses.includes(current.status)) {
+      throw new AppError(`Execution ${executionId} is ${current.status}`, 409);
+    }
+    return this.loadExecution(executionId);
+  }
+
+  // Removes the execution's jobs that have not started yet and returns their data
+  async removePendingJobs(execution) {
+    const removed = [];
+    for (const jobId of Object.values(execution.jobIds)) {
+      const job = await this.queue.getJob(jobId);
+      if (job && ['waiting', 'delayed', 'paused'].includes(await job.getState())) {
+        await job.remove();
+        removed.push(job.data);
+      }
+    }
+    execution.jobIds = {};
+    return removed;
+  }
+
+  async getExecutionControl(executionId) {
+    return this.redis.get(`execution:${executionId}:control`);
+  }
+
+  // A pause that was still set when the execution completed or failed
+  async clearExecutionControl(executionId) {
+    await this.redis.del(`execution:${executionId}:control`);
+  }
+
+  // Writes the terminal state to Postgres and releases the in-process copy
+  async persistExecution(execution) {
+    this.traceExecution(execution);
+    await this.saveExecution(execution);
+    await this.executionRepository.update(execution.id, {
+      status: execution.status,
+      endTime: execution.endTime,
+      nodeResults: execution.nodeResults,
+      error: execution.error,
+      executionTimeMs: execution.endTime - new Date(execution.startTime)
+    });
+    this.executions.delete(execution.id);
+  }
+
+  // The execution span is recorded once the execution ends, by whichever
+  // worker ends it, from the times stored on the execution
+  traceExecution(execution) {
+    const statuses = { completed: 'ok', failed: 'error' };
+    this.tracer.startSpan('execution', {
+      traceId: execution.traceId,
+      spanId: execution.spanId,
+      parentSpanId: execution.parentSpanId,
+      startTime: execution.startTime,
+      attributes: {
+        'workflow.id': execution.workflowId,
+        'workflow.version': execution.workflowVersion,
+        'workflow.execution.id': execution.id,
+        'workflow.execution.status': execution.status,
+        'workflow.trigger.type': execution.triggerType,
+        'workflow.parent_execution.id': execution.parentExecutionId,
+        'workflow.retry_of_execution.id': execution.retryOfExecutionId
+      }
+    }).end({
+      status: statuses[execution.status] || 'unset',
+      error: execution.error,
+      endTime: execution.endTime
+    });
+  }
+
+  async loadExecution(executionId) {
+    if (this.executions.has(executionId)) {
+      return this.executions.get(executionId);
+    }
+
+    const cached = await this.redis.get(`execution:${executionId}`);
+    if (!cached) {
+      throw new Error(`Execution ${executionId} not found`);
+    }
+
+    const execution = JSON.parse(cached);
+    const unredacted = await this.loadUnredacted(executionId);
+    if (unredacted) {
+      this.unredacted.set(execution, unredacted);
+    }
+    this.executions.set(executionId, execution);
+    return execution;
+  }
+
+  // Redis holds the execution as stored everywhere else, redacted. What
+  // redaction removed (the original trigger data, the original results of
+  // nodes whose output it changed, and the credential values decrypted so
+  // far) is kept next to it, encrypted like credentials, for nodes only.
+  async saveExecution(execution) {
+    await this.redis.set(`execution:${execution.id}`, JSON.stringify(execution));
+    const unredacted = this.unredacted.get(execution);
+    if (unredacted) {
+      await this.redis.set(
+        `execution:${execution.id}:unredacted`,
+        this.credentials.encrypt(`execution:${execution.id}`, unredacted)
+      );
     }
   }
 
+  async loadUnredacted(executionId) {
+    const sealed = await this.redis.get(`execution:${executionId}:unredacted`);
+    return sealed ? this.credentials.decrypt(`execution:${executionId}`, sealed) : null;
+  }
+
+  // Node results as they were produced: the unredacted original wherever one
+  // was kept, with blob references resolved
+  async resolveResults(results, unredacted) {
+    return this.results.resolveAll(withUnredacted(results, unredacted?.nodeResults));
+  }
+
+  unredactedState(execution) {
+    if (!this.unredacted.has(execution)) {
+      this.unredacted.set(execution, { data: execution.data, nodeResults: {}, secrets: [] });
+    }
+    return this.unredacted.get(execution);
+  }
+
+  addSecrets(execution, values) {
+    const state = this.unredactedState(execution);
+    state.secrets = [...new Set([...state.secrets, ...values])];
+  }
+
+  // Masks sensitive keys, URL passwords and every credential value decrypted
+  // so far in the execution
+  executionRedactor(execution) {
+    return this.redactor.withSecrets(this.unredacted.get(execution)?.secrets || []);
+  }
+
   async getExecution(executionId) {
     const cached = await this.redis.get(`execution:${executionId}`);
-    return cached ? JSON.parse(cached) : this.executions.get(executionId);
+    return cached ? JSON.parse(cached) : this.executionRepository.findById(executionId);
   }
 
-  async getWorkflow(workflowId) {
-    const cached = await this.redis.get(`workflow:${workflowId}`);
-    return cached ? JSON.parse(cached) : this.workflows.get(workflowId);
+  // Execution history from Postgres, newest first unless sorted otherwise
+  async listExecutions({ sort = 'startedAt', order = 'desc', cursor, ...filters } = {}) {
+    const { executions, next } = await this.executionRepository.list({
+      ...filters,
+      sort,
+      order,
+      cursor: cursor ? decodeCursor(cursor, { sort, order }) : undefined
+    });
+    return {
+      executions,
+      nextCursor: next ? encodeCursor({ ...next, sort, order }) : null
+    };
+  }
+
+  // The full result of a node, loading it from the blob store if it was offloaded
+  async getNodeOutput(executionId, nodeId) {
+    const execution = await this.getExecution(executionId);
+    if (!execution) {
+      throw new AppError('Execution not found', 404);
+    }
+    if (!execution.nodeResults?.hasOwnProperty(nodeId)) {
+      throw new AppError(`Node ${nodeId} has no result in execution ${executionId}`, 404);
+    }
+    return this.results.resolve(execution.nodeResults[nodeId]);
+  }
+
+  // The execution plus one record per node attempt, with input and output.
+  // Offloaded outputs stay references; getNodeOutput() loads them.
+  async getExecutionDetail(executionId) {
+    const execution = await this.getExecution(executionId);
+    if (!execution) {
+      return null;
+    }
+    return {
+      ...execution,
+      nodeExecutions: await this.executionRepository.listNodeExecutions(executionId)
+    };
+  }
+
+  // Without a version this resolves the current definition
+  async getWorkflow(workflowId, version) {
+    const cacheKey = version ? `workflow:${workflowId}:v${version}` : `workflow:${workflowId}`;
+    const cached = await this.redis.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const workflow = version
+      ? await this.workflowRepository.findVersion(workflowId, version)
+      : await this.workflowRepository.findById(workflowId);
+    if (workflow) {
+      await this.redis.set(cacheKey, JSON.stringify(workflow));
+    }
+    return workflow;
   }
 
   async shutdown() {
     await this.queue.close();
+    await this.tracer.shutdown();
     await this.redis.quit();
     logger.info('Workflow engine shutdown');
   }
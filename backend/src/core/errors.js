@@ -0,0 +1,40 @@
+// Errors raised while running a node. `status` carries an HTTP status when the
+// failure came from a response, `cause` the name and code of the error a node
+// caught and reported (e.g. an AxiosError with ECONNREFUSED), so retry
+// policies can match on either, and `result` keeps the node's own
+// { success: false } output when it had one.
+export class NodeExecutionError extends Error {
+  constructor(message, { status, code, cause, result } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'NodeExecutionError';
+    this.status = status;
+    this.code = code;
+    this.result = result;
+  }
+}
+
+export class NodeTimeoutError extends NodeExecutionError {
+  constructor(nodeId, timeoutMs) {
+    super(`Node ${nodeId} timed out after ${timeoutMs}ms`, { code: 'ETIMEDOUT' });
+    this.name = 'NodeTimeoutError';
+  }
+}
+
+// A {{ }} expression that does not parse or cannot be evaluated
+export class ExpressionError extends Error {
+  constructor(message, expression) {
+    super(`${message} in expression "${expression}"`);
+    this.name = 'ExpressionError';
+    this.expression = expression;
+  }
+}
+
+// User JavaScript that threw, ran past its time limit (code ETIMEDOUT) or
+// exhausted the sandbox's memory (code ERR_SANDBOX_MEMORY)
+export class SandboxError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'SandboxError';
+    this.code = code;
+  }
+}
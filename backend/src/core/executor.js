@@ -0,0 +1,119 @@
+import { ERROR_HANDLE, LOOP_ITEM_HANDLE, collectLoopBody, collectOutput } from './graph.js';
+import { computeBackoff, isRetryable, resolveRetryPolicy } from './retry.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs a loop body in-process for one item at a time. Body nodes follow the
+// same branching, error output, continueOnFail, retry and timeout rules as
+// queued nodes, but their results stay local to the item instead of being
+// written to the execution.
+export class SubgraphExecutor {
+  constructor(engine, workflow, execution, loopNodeId, spanId) {
+    this.engine = engine;
+    this.workflow = workflow;
+    this.execution = execution;
+    this.loopNodeId = loopNodeId;
+    // Span of the loop node's attempt, which body node spans nest under
+    this.spanId = spanId;
+
+    const bodyNodeIds = collectLoopBody(workflow, loopNodeId);
+    this.nodes = workflow.nodes.filter(node => bodyNodeIds.has(node.id));
+    this.edges = workflow.edges.filter(edge =>
+      bodyNodeIds.has(edge.target) &&
+      (bodyNodeIds.has(edge.source) || this.isEntryEdge(edge))
+    );
+  }
+
+  isEntryEdge(edge) {
+    return edge.source === this.loopNodeId && edge.sourceHandle === LOOP_ITEM_HANDLE;
+  }
+
+  // Returns the body's output for the item: the result of its last node, or
+  // an object keyed by node id when the body ends in several nodes. Throws
+  // when a node fails without an error output or continueOnFail.
+  async run(item, context = {}) {
+    const results = {};
+    const edgeStates = {};
+    const settled = new Set();
+
+    for (const edge of this.edges.filter(e => this.isEntryEdge(e))) {
+      edgeStates[edge.id] = 'taken';
+    }
+
+    while (settled.size < this.nodes.length) {
+      const ready = this.nodes.filter(node =>
+        !settled.has(node.id) &&
+        this.edges.filter(edge => edge.target === node.id).every(edge => edgeStates[edge.id])
+      );
+      if (ready.length === 0) {
+        throw new Error(`Loop body of ${this.loopNodeId} cannot be scheduled`);
+      }
+
+      for (const nodeConfig of ready) {
+        settled.add(nodeConfig.id);
+        const incoming = this.edges.filter(edge => edge.target === nodeConfig.id);
+        const outgoing = this.edges.filter(edge => edge.source === nodeConfig.id);
+        const activeEdges = incoming.filter(edge => edgeStates[edge.id] === 'taken');
+
+        if (activeEdges.length === 0) {
+          for (const edge of outgoing) {
+            edgeStates[edge.id] = 'skipped';
+          }
+          continue;
+        }
+
+        // Entry nodes receive the item itself, like start nodes receive the trigger data
+        const input = activeEdges.every(edge => this.isEntryEdge(edge))
+          ? item
+          : activeEdges.reduce((acc, edge) => ({
+            ...acc,
+            [edge.source]: this.isEntryEdge(edge) ? item : results[edge.source]
+          }), {});
+
+        let result;
+        let failed = false;
+        try {
+          result = await this.runWithRetries(nodeConfig, input, { ...context, ...results });
+        } catch (error) {
+          const hasErrorOutput = outgoing.some(edge => edge.sourceHandle === ERROR_HANDLE);
+          if (!hasErrorOutput && !nodeConfig.continueOnFail) {
+            error.nodeId = nodeConfig.id;
+            throw error;
+          }
+          failed = true;
+          result = {
+            success: false,
+            error: error.message,
+            status: error.status,
+            timestamp: new Date().toISOString()
+          };
+        }
+
+        results[nodeConfig.id] = result;
+        Object.assign(edgeStates, this.engine.routeEdges(outgoing, result, failed));
+      }
+    }
+
+    return collectOutput({ nodes: this.nodes, edges: this.edges }, results);
+  }
+
+  async runWithRetries(nodeConfig, input, context) {
+    const policy = resolveRetryPolicy(nodeConfig.retry, this.engine.config.retry);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.engine.runNode(this.workflow, this.execution, nodeConfig, input, context, {
+          attempt,
+          maxAttempts: policy.attempts,
+          parentSpanId: this.spanId
+        });
+      } catch (error) {
+        if (attempt >= policy.attempts || !isRetryable(error, policy)) {
+          throw error;
+        }
+        this.engine.emitRetrying(this.execution, nodeConfig, attempt, error);
+        await sleep(computeBackoff(attempt, error, policy));
+      }
+    }
+  }
+}
@@ -0,0 +1,454 @@
+import { ExpressionError } from './errors.js';
+
+// Expressions used in node configuration, written inside {{ }}:
+//
+//   {{ nodeA.data.items[0].id }}          paths into upstream results
+//   {{ $json.user.name }}                 the node's own input
+//   {{ $node["http-1"].status }}          a result by node id
+//   {{ $json.count ?? 10 }}               defaults with ?? or ||
+//   {{ upper(trim($json.name)) }}         built-in helpers
+//
+// They are parsed and interpreted here rather than run as JavaScript: only
+// own properties can be read and only the helpers below can be called.
+
+export const EXPRESSION_PATTERN = /\{\{([\s\S]+?)\}\}/g;
+const WHOLE_EXPRESSION = /^\{\{((?:(?!\}\})[\s\S])+)\}\}$/;
+
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const toDate = (value) => {
+  const date = value === undefined ? new Date() : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const numbers = (values) => values.flat().map(Number);
+
+const HELPERS = {
+  // Strings
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  trim: (value) => String(value ?? '').trim(),
+  capitalize: (value) => {
+    const text = String(value ?? '');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  replace: (value, search, replacement = '') => String(value ?? '').split(search).join(replacement),
+  split: (value, separator = ',') => String(value ?? '').split(separator),
+  join: (values, separator = ',') => (Array.isArray(values) ? values.join(separator) : ''),
+  substring: (value, start, end) => String(value ?? '').substring(start, end),
+  includes: (value, search) => (Array.isArray(value) || typeof value === 'string') && value.includes(search),
+  length: (value) => (value == null ? 0 : value.length ?? Object.keys(value).length),
+  string: (value) => (value == null ? '' : String(value)),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+
+  // Dates, as ISO strings
+  now: () => new Date().toISOString(),
+  today: () => new Date().toISOString().slice(0, 10),
+  toISO: (value) => toDate(value).toISOString(),
+  timestamp: (value) => toDate(value).getTime(),
+  addDays: (value, days) => {
+    const date = toDate(value);
+    date.setUTCDate(date.getUTCDate() + Number(days));
+    return date.toISOString();
+  },
+  addHours: (value, hours) => new Date(toDate(value).getTime() + Number(hours) * 3600000).toISOString(),
+  // UTC, with YYYY MM DD HH mm ss tokens
+  formatDate: (value, format = 'YYYY-MM-DD') => {
+    const date = toDate(value);
+    const tokens = {
+      YYYY: date.getUTCFullYear(),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+  },
+
+  // Math
+  number: (value) => Number(value),
+  round: (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+  },
+  floor: (value) => Math.floor(value),
+  ceil: (value) => Math.ceil(value),
+  abs: (value) => Math.abs(value),
+  min: (...values) => Math.min(...numbers(values)),
+  max: (...values) => Math.max(...numbers(values)),
+  sum: (...values) => numbers(values).reduce((total, value) => total + value, 0),
+  avg: (...values) => {
+    const list = numbers(values);
+    return list.length ? list.reduce((total, value) => total + value, 0) / list.length : 0;
+  },
+
+  // JSON
+  json: (value, indent) => JSON.stringify(value, null, indent),
+  parseJson: (value) => JSON.parse(value),
+  keys: (value) => (value && typeof value === 'object' ? Object.keys(value) : []),
+  values: (value) => (value && typeof value === 'object' ? Object.values(value) : [])
+};
+
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '>': 5, '<=': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7
+};
+
+const PUNCTUATORS = [
+  '===', '!==', '??', '||', '&&', '==', '!=', '<=', '>=',
+  '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']'
+];
+
+const LITERALS = { true: true, false: false, null: null, undefined };
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9]/.test(char)) {
+      const match = source.slice(i).match(/^\d+(\.\d+)?/);
+      tokens.push({ type: 'literal', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (char === '"' || char === '\'') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+          value += { n: '\n', t: '\t' }[source[i]] ?? source[i];
+        } else {
+          value += source[i];
+        }
+        i++;
+      }
+      if (i >= source.length) {
+        throw new Error('Unterminated string');
+      }
+      i++;
+      tokens.push({ type: 'literal', value });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const [name] = source.slice(i).match(/^[\w$]+/);
+      tokens.push(Object.hasOwn(LITERALS, name)
+        ? { type: 'literal', value: LITERALS[name] }
+        : { type: 'identifier', value: name });
+      i += name.length;
+    } else {
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+      if (!punctuator) {
+        throw new Error(`Unexpected character "${char}"`);
+      }
+      tokens.push({ type: 'punctuator', value: punctuator });
+      i += punctuator.length;
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.position];
+    return token && token.type === 'punctuator' && (value === undefined || token.value === value)
+      ? token
+      : null;
+  }
+
+  expect(value) {
+    if (!this.peek(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    this.position++;
+  }
+
+  parse() {
+    const node = this.parseConditional();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected "${this.tokens[this.position].value}"`);
+    }
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(1);
+    if (!this.peek('?')) {
+      return test;
+    }
+    this.position++;
+    const consequent = this.parseConditional();
+    this.expect(':');
+    const alternate = this.parseConditional();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      const precedence = token && BINARY_PRECEDENCE[token.value];
+      if (!precedence || precedence < minPrecedence) {
+        return left;
+      }
+      this.position++;
+      const right = this.parseBinary(precedence + 1);
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token && ['!', '-', '+'].includes(token.value)) {
+      this.position++;
+      return { type: 'unary', operator: token.value, argument: this.parseUnary() };
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'identifier') {
+      return { type: 'identifier', name: token.value };
+    }
+    if (token.value === '(') {
+      const node = this.parseConditional();
+      this.expect(')');
+      return node;
+    }
+    if (token.value === '[') {
+      return { type: 'array', elements: this.parseList(']') };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  parsePostfix(node) {
+    for (;;) {
+      if (this.peek('.')) {
+        this.position++;
+        const token = this.tokens[this.position++];
+        // Numeric segments keep "items.0.id" working like items[0].id
+        if (!token || !(token.type === 'identifier' || typeof token.value === 'number')) {
+          throw new Error('Expected property name after "."');
+        }
+        node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+      } else if (this.peek('[')) {
+        this.position++;
+        const property = this.parseConditional();
+        this.expect(']');
+        node = { type: 'member', object: node, property };
+      } else if (this.peek('(')) {
+        if (node.type !== 'identifier') {
+          throw new Error('Only helper functions can be called');
+        }
+        this.position++;
+        node = { type: 'call', callee: node.name, args: this.parseList(')') };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseList(closing) {
+    const items = [];
+    while (!this.peek(closing)) {
+      items.push(this.parseConditional());
+      if (!this.peek(closing)) {
+        this.expect(',');
+      }
+    }
+    this.position++;
+    return items;
+  }
+}
+
+function readProperty(object, key) {
+  if (BLOCKED_PROPERTIES.has(key)) {
+    throw new Error(`Access to "${key}" is not allowed`);
+  }
+  if (object === null || object === undefined) {
+    return undefined;
+  }
+  if (key === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+    return object.length;
+  }
+  return typeof object === 'object' && Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+function interpret(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return Object.hasOwn(scope, node.name) ? scope[node.name] : undefined;
+    case 'array':
+      return node.elements.map(element => interpret(element, scope));
+    case 'member':
+      return readProperty(interpret(node.object, scope), String(interpret(node.property, scope)));
+    case 'call': {
+      if (!Object.hasOwn(HELPERS, node.callee)) {
+        throw new Error(`Unknown function "${node.callee}"`);
+      }
+      return HELPERS[node.callee](...node.args.map(arg => interpret(arg, scope)));
+    }
+    case 'unary': {
+      const value = interpret(node.argument, scope);
+      return node.operator === '!' ? !value : node.operator === '-' ? -value : +value;
+    }
+    case 'conditional':
+      return interpret(node.test, scope)
+        ? interpret(node.consequent, scope)
+        : interpret(node.alternate, scope);
+    case 'binary':
+      return interpretBinary(node, scope);
+    default:
+      throw new Error(`Unsupported syntax "${node.type}"`);
+  }
+}
+
+function interpretBinary({ operator, left, right }, scope) {
+  const a = interpret(left, scope);
+  switch (operator) {
+    case '??': return a ?? interpret(right, scope);
+    case '||': return a || interpret(right, scope);
+    case '&&': return a && interpret(right, scope);
+  }
+
+  const b = interpret(right, scope);
+  switch (operator) {
+    case '==': return a == b;
+    case '!=': return a != b;
+    case '===': return a === b;
+    case '!==': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return a / b;
+    case '%': return a % b;
+  }
+}
+
+const MAX_CACHED_EXPRESSIONS = 1000;
+const parsedExpressions = new Map();
+
+function parse(expression) {
+  let ast = parsedExpressions.get(expression);
+  if (!ast) {
+    ast = new Parser(tokenize(expression)).parse();
+    if (parsedExpressions.size >= MAX_CACHED_EXPRESSIONS) {
+      parsedExpressions.clear();
+    }
+    parsedExpressions.set(expression, ast);
+  }
+  return ast;
+}
+
+// Evaluates a single expression, without the surrounding {{ }}
+export function evaluate(expression, scope = {}) {
+  try {
+    return interpret(parse(expression.trim()), scope);
+  } catch (error) {
+    throw new ExpressionError(error.message, expression.trim());
+  }
+}
+
+// Scope for a node: its input as $json, upstream results as $node, and both
+// merged at the top level so {{ nodeA.data }} and {{ key }} keep working
+export function buildScope(input, context = {}) {
+  const inputFields = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  return { ...inputFields, ...context, $json: input, $node: context };
+}
+
+// Resolves every {{ }} in a string, array or object. A string that is a
+// single expression keeps the value's type; otherwise values are
+// stringified into the text.
+export function renderTemplate(template, scope) {
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_EXPRESSION);
+    if (whole) {
+      return evaluate(whole[1], scope);
+    }
+    return template.replace(EXPRESSION_PATTERN, (match, expression) =>
+      stringify(evaluate(expression, scope))
+    );
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, scope));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, renderTemplate(value, scope)])
+    );
+  }
+  return template;
+}
+
+// Parse errors for every {{ }} in a config value, so broken expressions are
+// reported when a workflow is saved rather than when it runs. Code fields are
+// run as code, not rendered, and are left alone.
+export function findExpressionErrors(template) {
+  if (typeof template === 'string') {
+    return [...template.matchAll(EXPRESSION_PATTERN)].flatMap(([, expression]) => {
+      try {
+        parse(expression.trim());
+        return [];
+      } catch (error) {
+        return [new ExpressionError(error.message, expression.trim()).message];
+      }
+    });
+  }
+  if (template && typeof template === 'object') {
+    return Object.entries(template)
+      .filter(([key]) => key !== 'code')
+      .flatMap(([, value]) => findExpressionErrors(value));
+  }
+  return [];
+}
+
+export function stringify(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Reads a path such as "data.items[0].id" or "data['odd key']". Used for
+// config fields that name a location rather than hold an expression.
+export function getValueByPath(object, path) {
+  if (!path) {
+    return object;
+  }
+  const keys = [];
+  path.replace(/\[(?:(\d+)|"([^"]*)"|'([^']*)')\]|[^.[\]]+/g, (match, index, double, single) => {
+    keys.push(index ?? double ?? single ?? match);
+  });
+  return keys.reduce((value, key) => readProperty(value, key), object);
+}
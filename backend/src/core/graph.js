@@ -0,0 +1,46 @@
+// Edges leaving this handle only fire when the source node fails
+export const ERROR_HANDLE = 'error';
+
+// Edges leaving this handle form a loop body that runs once per item
+export const LOOP_ITEM_HANDLE = 'item';
+
+// Node ids reachable from a node's loop item edges
+export function collectLoopBody(workflow, loopNodeId) {
+  const body = new Set();
+  const pending = workflow.edges
+    .filter(edge => edge.source === loopNodeId && edge.sourceHandle === LOOP_ITEM_HANDLE)
+    .map(edge => edge.target);
+
+  while (pending.length > 0) {
+    const nodeId = pending.pop();
+    if (body.has(nodeId) || nodeId === loopNodeId) {
+      continue;
+    }
+    body.add(nodeId);
+    for (const edge of workflow.edges) {
+      if (edge.source === nodeId) {
+        pending.push(edge.target);
+      }
+    }
+  }
+  return body;
+}
+
+// The output of a finished run: the result of its last node, or an object
+// keyed by node id when several end nodes produced a result
+export function collectOutput(workflow, results) {
+  const endNodeIds = workflow.nodes
+    .filter(node => !workflow.edges.some(edge => edge.source === node.id))
+    .map(node => node.id)
+    .filter(id => results.hasOwnProperty(id));
+
+  return endNodeIds.length === 1
+    ? results[endNodeIds[0]]
+    : Object.fromEntries(endNodeIds.map(id => [id, results[id]]));
+}
+
+export function hasLoopBody(workflow, nodeId) {
+  return workflow.edges.some(edge =>
+    edge.source === nodeId && edge.sourceHandle === LOOP_ITEM_HANDLE
+  );
+}
@@ -0,0 +1,223 @@
+import os from 'os';
+import axios from 'axios';
+import pino from 'pino';
+import { testConnection } from '../db/index.js';
+import { redactionHooks } from '../utils/redact.js';
+
+const logger = pino({ level: 'info', hooks: redactionHooks });
+
+const HEARTBEAT_PREFIX = 'worker:heartbeat:';
+
+// Worst first, so a report takes the worst state of its components
+const STATES = ['down', 'degraded', 'healthy'];
+
+const worstState = (states) => STATES.find(state => states.includes(state)) || 'healthy';
+
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Checks each dependency of the engine and reports it as healthy, degraded
+// or down with the time the check took. Without Redis, Postgres or the queue
+// nothing can run, so those being down takes the whole report down; the
+// Python executor and the workers only degrade it, since most workflows run
+// without Python and a missing worker leaves executions waiting, not failing.
+//
+// Every process writes a heartbeat to Redis that expires on its own, so the
+// workers listed are the ones alive within the last few intervals.
+export class HealthMonitor {
+  constructor(engine, config = {}) {
+    this.engine = engine;
+    this.config = {
+      pythonExecutorUrl: 'http://localhost:5000',
+      checkTimeoutMs: 5000,
+      slowCheckMs: 1000,
+      heartbeatIntervalMs: 10000,
+      queueBacklogThreshold: 1000,
+      stuckJobMs: 10 * 60 * 1000,
+      ...config
+    };
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.startedAt = new Date();
+    this.heartbeatTimer = null;
+  }
+
+  start() {
+    const beat = () => this.heartbeat().catch(error => {
+      logger.warn(`Failed to write worker heartbeat: ${error.message}`);
+    });
+    beat();
+    this.heartbeatTimer = setInterval(beat, this.config.heartbeatIntervalMs);
+    this.heartbeatTimer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    await this.engine.redis.del(`${HEARTBEAT_PREFIX}${this.workerId}`).catch(() => {});
+  }
+
+  async heartbeat() {
+    const beat = {
+      workerId: this.workerId,
+      hostname: os.hostname(),
+      pid: process.pid,
+      concurrency: this.engine.config.maxConcurrency,
+      runningExecutions: this.engine.executions.size,
+      startedAt: this.startedAt.toISOString(),
+      lastSeenAt: new Date().toISOString()
+    };
+    await this.engine.redis.set(`${HEARTBEAT_PREFIX}${this.workerId}`, JSON.stringify(beat), {
+      PX: this.config.heartbeatIntervalMs * 3
+    });
+  }
+
+  async check() {
+    const components = await Promise.all([
+      this.runCheck('redis', true, () => this.checkRedis()),
+      this.runCheck('postgres', true, () => this.checkPostgres()),
+      this.runCheck('queue', true, () => this.checkQueue()),
+      this.runCheck('pythonExecutor', false, () => this.checkPythonExecutor()),
+      this.runCheck('workers', false, () => this.checkWorkers())
+    ]);
+
+    const status = worstState(components.map(component =>
+      component.status === 'down' && !component.critical ? 'degraded' : component.status
+    ));
+    return { status, timestamp: new Date().toISOString(), components };
+  }
+
+  // A check resolves with its details, optionally marking itself degraded,
+  // and throws when the component is down
+  async runCheck(name, critical, check) {
+    const startTime = Date.now();
+    try {
+      const { degraded, ...details } = await withTimeout(check(), this.config.checkTimeoutMs, name);
+      const latencyMs = Date.now() - startTime;
+      const slow = latencyMs > this.config.slowCheckMs;
+      return {
+        name,
+        critical,
+        status: degraded || slow ? 'degraded' : 'healthy',
+        latencyMs,
+        ...(degraded ? { reason: degraded } : slow ? { reason: `slow response (${latencyMs}ms)` } : {}),
+        ...details
+      };
+    } catch (error) {
+      return { name, critical, status: 'down', latencyMs: Date.now() - startTime, error: error.message };
+    }
+  }
+
+  async checkRedis() {
+    await this.engine.redis.ping();
+    return {};
+  }
+
+  async checkPostgres() {
+    await testConnection({ quiet: true });
+    return {};
+  }
+
+  async checkQueue() {
+    const { queue } = this.engine;
+    const [counts, paused] = await Promise.all([queue.getJobCounts(), queue.isPaused()]);
+    if (paused) {
+      return { degraded: 'queue is paused', counts };
+    }
+    if (counts.waiting > this.config.queueBacklogThreshold) {
+      return { degraded: `${counts.waiting} jobs waiting`, counts };
+    }
+    return { counts };
+  }
+
+  async checkPythonExecutor() {
+    await axios.get(`${this.config.pythonExecutorUrl}/health`, { timeout: this.config.checkTimeoutMs });
+    return {};
+  }
+
+  async checkWorkers() {
+    const workers = await this.listWorkers();
+    if (workers.length === 0) {
+      throw new Error('No worker heartbeats');
+    }
+
+    const staleAfter = Date.now() - this.config.heartbeatIntervalMs * 2;
+    const stale = workers.filter(worker => new Date(worker.lastSeenAt).getTime() < staleAfter);
+    return {
+      ...(stale.length > 0 ? { degraded: `${stale.length} of ${workers.length} workers missed a heartbeat` } : {}),
+      workers
+    };
+  }
+
+  async listWorkers() {
+    const keys = [];
+    for await (const key of this.engine.redis.scanIterator({ MATCH: `${HEARTBEAT_PREFIX}*` })) {
+      keys.push(key);
+    }
+    if (keys.length === 0) {
+      return [];
+    }
+    const beats = await this.engine.redis.mGet(keys);
+    return beats.filter(Boolean).map(beat => JSON.parse(beat));
+  }
+
+  // Health plus what's piling up: jobs that have been active or waiting for
+  // longer than stuckJobMs and the executions that have been running longest
+  async diagnose({ limit = 20 } = {}) {
+    const [health, stuckJobs, { executions }] = await Promise.all([
+      this.check(),
+      this.findStuckJobs(limit),
+      this.engine.executionRepository.list({
+        statuses: ['running'],
+        sort: 'startedAt',
+        order: 'asc',
+        limit
+      })
+    ]);
+
+    const now = Date.now();
+    return {
+      ...health,
+      stuckJobs,
+      oldestRunningExecutions: executions.map(execution => ({
+        ...execution,
+        ageMs: now - new Date(execution.startTime).getTime()
+      }))
+    };
+  }
+
+  // Bull lists both oldest first, so the first `limit` of each are enough
+  async findStuckJobs(limit) {
+    const { queue } = this.engine;
+    const now = Date.now();
+    const [active, waiting] = await Promise.all([
+      queue.getActive(0, limit - 1),
+      queue.getWaiting(0, limit - 1)
+    ]);
+
+    return [
+      ...active.filter(Boolean).map(job => this.describeJob(job, 'active', now - job.processedOn)),
+      ...waiting.filter(Boolean).map(job => this.describeJob(job, 'waiting', now - job.timestamp))
+    ]
+      .filter(job => job.ageMs > this.config.stuckJobMs)
+      .sort((a, b) => b.ageMs - a.ageMs)
+      .slice(0, limit);
+  }
+
+  describeJob(job, state, ageMs) {
+    return {
+      jobId: job.id,
+      state,
+      executionId: job.data.executionId,
+      workflowId: job.data.workflowId,
+      nodeId: job.data.nodeId,
+      attemptsMade: job.attemptsMade,
+      ageMs
+    };
+  }
+}
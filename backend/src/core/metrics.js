@@ -0,0 +1,108 @@
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from 'prom-client';
+
+const QUEUE_STATES = ['waiting', 'active', 'delayed', 'failed', 'paused'];
+
+// Seconds; node runs range from in-process transforms to long HTTP calls
+const NODE_DURATION_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+// Prometheus metrics for the engine, built from the events it emits plus
+// gauges read from Bull and the WebSocket handler at scrape time. Uses its
+// own registry so nothing else in the process can register into it.
+export class Metrics {
+  constructor() {
+    this.registry = new Registry();
+    collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+    this.executionsStarted = new Counter({
+      name: 'workflow_executions_started_total',
+      help: 'Executions started, by workflow and trigger',
+      labelNames: ['workflow_id', 'trigger_type'],
+      registers
+    });
+    this.executionsFinished = new Counter({
+      name: 'workflow_executions_total',
+      help: 'Executions finished, by workflow and final status',
+      labelNames: ['workflow_id', 'status'],
+      registers
+    });
+    this.nodeDuration = new Histogram({
+      name: 'workflow_node_duration_seconds',
+      help: 'Duration of node attempts, by node type and outcome',
+      labelNames: ['node_type', 'status'],
+      buckets: NODE_DURATION_BUCKETS,
+      registers
+    });
+    this.nodeRetries = new Counter({
+      name: 'workflow_node_retries_total',
+      help: 'Failed node attempts that will be retried, by node type',
+      labelNames: ['node_type'],
+      registers
+    });
+
+    this.queues = [];
+    const queues = this.queues;
+    new Gauge({
+      name: 'workflow_queue_jobs',
+      help: 'Jobs in each Bull queue, by state',
+      labelNames: ['queue', 'state'],
+      registers,
+      async collect() {
+        for (const queue of queues) {
+          const counts = await queue.getJobCounts();
+          for (const state of QUEUE_STATES) {
+            this.set({ queue: queue.name, state }, counts[state] || 0);
+          }
+        }
+      }
+    });
+
+    this.websocketHandler = null;
+    const metrics = this;
+    new Gauge({
+      name: 'workflow_websocket_clients',
+      help: 'Connected WebSocket clients',
+      registers,
+      collect() {
+        this.set(metrics.websocketHandler?.clients.size || 0);
+      }
+    });
+  }
+
+  watch(engine) {
+    engine.on('execution:started', ({ workflowId, triggerType }) => {
+      this.executionsStarted.inc({ workflow_id: workflowId, trigger_type: triggerType });
+    });
+    engine.on('workflow:completed', ({ workflowId }) => {
+      this.executionsFinished.inc({ workflow_id: workflowId, status: 'completed' });
+    });
+    engine.on('workflow:failed', ({ workflowId }) => {
+      this.executionsFinished.inc({ workflow_id: workflowId, status: 'failed' });
+    });
+    engine.on('execution:cancelled', ({ workflowId }) => {
+      this.executionsFinished.inc({ workflow_id: workflowId, status: 'cancelled' });
+    });
+    engine.on('node:attempt', ({ nodeType, status, durationMs }) => {
+      this.nodeDuration.observe({ node_type: nodeType, status }, durationMs / 1000);
+    });
+    engine.on('node:retrying', ({ nodeType }) => {
+      this.nodeRetries.inc({ node_type: nodeType });
+    });
+  }
+
+  watchQueue(queue) {
+    this.queues.push(queue);
+  }
+
+  watchWebSocket(websocketHandler) {
+    this.websocketHandler = websocketHandler;
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
@@ -0,0 +1,46 @@
+export const BACKOFF_STRATEGY = 'retryPolicy';
+
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  backoff: 'exponential',
+  delay: 2000,
+  maxDelay: 5 * 60 * 1000
+};
+
+// Node-level settings win over the engine defaults
+export function resolveRetryPolicy(nodeRetry = {}, defaults = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...defaults, ...nodeRetry };
+}
+
+export function toJobOptions(policy) {
+  return {
+    attempts: policy.attempts,
+    backoff: {
+      type: BACKOFF_STRATEGY,
+      options: { backoff: policy.backoff, delay: policy.delay, maxDelay: policy.maxDelay }
+    }
+  };
+}
+
+// Registered with Bull as a custom backoff strategy
+export function computeBackoff(attemptsMade, error, options) {
+  const { backoff, delay, maxDelay } = options;
+  const wait = backoff === 'fixed'
+    ? delay
+    : Math.round((Math.pow(2, attemptsMade) - 1) * delay);
+  return Math.min(wait, maxDelay);
+}
+
+// Without a `retryOn` filter every error is retried. Otherwise the error, or
+// the error a node reported as its cause, must match by name or code (e.g.
+// NodeTimeoutError, ECONNRESET) or the error must match by HTTP status.
+export function isRetryable(error, policy) {
+  if (!policy.retryOn) {
+    return true;
+  }
+
+  const { errors = [], statuses = [] } = policy.retryOn;
+  return [error, error.cause].some(candidate =>
+    candidate && (errors.includes(candidate.name) || errors.includes(candidate.code))
+  ) || statuses.includes(error.status);
+}
@@ -0,0 +1,105 @@
+import vm from 'vm';
+
+// Runs inside a fresh context before the user's code. It strips every global
+// that is not allow-listed, limits stack traces to the user's own frames so
+// they don't reveal host paths, freezes the remaining built-ins, installs a
+// console that only collects messages and defines the task's data as
+// read-only globals. Returns the helpers the host side needs.
+const PRELUDE = `(() => {
+  const { deleteProperty } = Reflect;
+  const allowed = new Set(JSON.parse(__allowedGlobals));
+  const data = JSON.parse(__data);
+  const maxLogs = __maxLogs;
+  for (const name of Object.getOwnPropertyNames(globalThis)) {
+    if (!allowed.has(name)) {
+      deleteProperty(globalThis, name);
+    }
+  }
+
+  Error.prepareStackTrace = (error, frames) => [String(error), ...frames
+    .filter(frame => frame.getFileName() === 'sandbox.js')
+    .map(frame => '    at ' + frame)
+  ].join('\\n');
+
+  const logs = [];
+  const format = (args) => args
+    .map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg)))
+    .join(' ');
+  const console = {};
+  for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[level] = (...args) => {
+      if (logs.length < maxLogs) {
+        logs.push({ level, message: format(args) });
+      }
+    };
+  }
+
+  const globals = { ...data, console: Object.freeze(console) };
+  for (const [name, value] of Object.entries(globals)) {
+    Object.defineProperty(globalThis, name, { value, enumerable: true });
+  }
+
+  for (const name of allowed) {
+    const value = globalThis[name];
+    if (value && value !== globalThis && (typeof value === 'object' || typeof value === 'function')) {
+      Object.freeze(value);
+      if (value.prototype) {
+        Object.freeze(value.prototype);
+      }
+    }
+    if (Object.getOwnPropertyDescriptor(globalThis, name)?.configurable) {
+      // The value must be restated; node:vm drops it from partial descriptors
+      Object.defineProperty(globalThis, name, { value, writable: false, configurable: false });
+    }
+  }
+
+  return {
+    serialize: (value) => JSON.stringify(value),
+    logs: () => JSON.stringify(logs)
+  };
+})()`;
+
+function runTask({ code, data }, { allowedGlobals, timeoutMs, maxLogs }) {
+  // Only primitives go in, on a null-prototype object: anything created in
+  // this realm would lead back to its unrestricted Function constructor
+  const globals = Object.assign(Object.create(null), {
+    __allowedGlobals: JSON.stringify(allowedGlobals),
+    __data: JSON.stringify(data),
+    __maxLogs: maxLogs
+  });
+  const context = vm.createContext(
+    globals,
+    { codeGeneration: { strings: false, wasm: false }, microtaskMode: 'afterEvaluate' }
+  );
+  const helpers = vm.runInContext(PRELUDE, context);
+
+  try {
+    const value = new vm.Script(code, { filename: 'sandbox.js' }).runInContext(context, { timeout: timeoutMs });
+    return { value: helpers.serialize(value), logs: helpers.logs() };
+  } catch (error) {
+    const timedOut = error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    return {
+      error: {
+        message: timedOut ? `Script timed out after ${timeoutMs}ms` : String(error?.message ?? error),
+        code: timedOut ? 'ETIMEDOUT' : undefined
+      },
+      logs: helpers.logs()
+    };
+  }
+}
+
+// Started by runInSandbox(), which sends one message of tasks at a time and
+// reuses the process while it stays healthy. The process goes away with its
+// host.
+process.on('disconnect', () => process.exit(0));
+process.on('message', ({ tasks, ...options }) => {
+  const results = [];
+  for (const task of tasks) {
+    const result = runTask(task, options);
+    results.push(result);
+    if (result.error) {
+      break;
+    }
+  }
+  process.send(results);
+});
@@ -0,0 +1,148 @@
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+import { SandboxError } from './errors.js';
+
+// The only globals user code can see besides its own data and console.
+// Everything else a fresh context provides (eval, Function, WebAssembly,
+// SharedArrayBuffer, Atomics, ...) is removed, and these are frozen.
+export const ALLOWED_GLOBALS = [
+  'globalThis', 'undefined', 'NaN', 'Infinity',
+  'Object', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt',
+  'Math', 'JSON', 'Date', 'RegExp', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Promise',
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite',
+  'encodeURI', 'encodeURIComponent', 'decodeURI', 'decodeURIComponent'
+];
+
+// Time a sandbox process gets to boot before its scripts' own limits start counting
+const STARTUP_GRACE_MS = 2000;
+
+const WORKER_PATH = fileURLToPath(new URL('./sandbox-worker.js', import.meta.url));
+
+// Sandbox processes still running, killed if this process exits first
+const children = new Set();
+process.on('exit', () => {
+  for (const child of children) {
+    child.kill('SIGKILL');
+  }
+});
+
+// Idle sandbox processes by heap limit, reused by later evaluations
+const idle = new Map();
+
+const spawnSandbox = (memoryMb) => {
+  const child = fork(WORKER_PATH, [], {
+    execArgv: [
+      `--max-old-space-size=${memoryMb}`,
+      `--max-semi-space-size=${Math.max(1, Math.floor(memoryMb / 8))}`
+    ],
+    env: {},
+    stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+    serialization: 'json'
+  });
+  // Idle processes must not keep the host running; pending evaluations do
+  child.unref();
+  child.channel?.unref();
+  children.add(child);
+  child.on('exit', () => {
+    children.delete(child);
+    const pool = idle.get(memoryMb);
+    if (pool?.includes(child)) {
+      pool.splice(pool.indexOf(child), 1);
+    }
+  });
+  return child;
+};
+
+const acquire = (memoryMb) => idle.get(memoryMb)?.pop() || spawnSandbox(memoryMb);
+
+const release = (child, memoryMb) => {
+  const pool = idle.get(memoryMb) || [];
+  idle.set(memoryMb, pool);
+  if (pool.length < config.sandbox.poolSize && child.connected) {
+    pool.push(child);
+  } else {
+    child.kill('SIGKILL');
+  }
+};
+
+// Runs user JavaScript in a child process with its own heap limit, so a
+// script that runs out of memory takes down only that process. Up to
+// sandbox.poolSize idle processes are kept for reuse; one that timed out or
+// failed is killed instead. Each task gets a fresh node:vm context without
+// process, require or string code generation; data goes in and results come
+// out as JSON only, so no object from the host is reachable from inside. A
+// script running past timeoutMs is stopped by the vm timeout, and the
+// process is killed if that doesn't return in time.
+//
+// Returns one { value, logs } per task, where logs are the console calls the
+// script made. Throws SandboxError for the first task that fails.
+export function runInSandbox(tasks, { timeoutMs = 1000, memoryMb = config.sandbox.memoryMb } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = acquire(memoryMb);
+
+    let settled = false;
+    const settle = (reuse, callback) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(watchdog);
+        child.off('message', onMessage);
+        child.off('error', onError);
+        child.off('exit', onExit);
+        if (reuse) {
+          release(child, memoryMb);
+        } else {
+          child.kill('SIGKILL');
+        }
+        callback();
+      }
+    };
+
+    const watchdog = setTimeout(() => {
+      settle(false, () => reject(new SandboxError(`Script timed out after ${timeoutMs}ms`, { code: 'ETIMEDOUT' })));
+    }, timeoutMs * tasks.length + STARTUP_GRACE_MS);
+
+    const onMessage = (results) => {
+      const failed = results.find(result => result.error);
+      // A script stopped by the vm timeout may have left work behind
+      settle(failed?.error.code !== 'ETIMEDOUT', () => {
+        if (failed) {
+          reject(new SandboxError(failed.error.message, { code: failed.error.code }));
+          return;
+        }
+        resolve(results.map(result => ({
+          value: result.value === undefined ? undefined : JSON.parse(result.value),
+          logs: JSON.parse(result.logs)
+        })));
+      });
+    };
+
+    const onError = (error) => {
+      settle(false, () => reject(new SandboxError(error.message)));
+    };
+
+    // V8 aborts the process when the heap limit is reached
+    const onExit = (code, signal) => {
+      settle(false, () => reject(signal === 'SIGABRT' || code === 134
+        ? new SandboxError(`Script exceeded the ${memoryMb}MB memory limit`, { code: 'ERR_SANDBOX_MEMORY' })
+        : new SandboxError(`Sandbox exited with ${signal || `code ${code}`}`)));
+    };
+
+    child.on('message', onMessage);
+    child.on('error', onError);
+    child.on('exit', onExit);
+    child.send({
+      tasks,
+      timeoutMs,
+      allowedGlobals: ALLOWED_GLOBALS,
+      maxLogs: config.sandbox.maxLogs
+    });
+  });
+}
+
+// Evaluates a single script with the given globals and returns its completion value
+export async function evaluateInSandbox(code, data, options) {
+  const [result] = await runInSandbox([{ code, data }], options);
+  return result;
+}
@@ -0,0 +1,262 @@
+import { v4 as uuidv4 } from 'uuid';
+import Queue from 'bull';
+import cronParser from 'cron-parser';
+import pino from 'pino';
+import db from '../db/index.js';
+import { ScheduleRepository } from '../db/repositories/schedules.js';
+import { runPermission } from './auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { redactionHooks } from '../utils/redact.js';
+
+const logger = pino({ level: 'info', hooks: redactionHooks });
+
+export const MISSED_RUN_POLICIES = ['skip', 'run_once', 'catch_up'];
+
+// Fires workflows on cron schedules. Every active schedule is a Bull
+// repeatable job, so however many servers run a scheduler each tick is
+// delivered to one of them. Ticks that were missed while no scheduler was
+// running are handled by the schedule's missed-run policy:
+//   skip      - only run ticks that fire on time
+//   run_once  - run a single execution for all missed ticks
+//   catch_up  - run one execution per missed tick, up to maxCatchUpRuns
+// Each tick runs on behalf of whoever created the schedule; see refuseRun().
+export class Scheduler {
+  constructor(engine, config = {}, { auth, audit } = {}) {
+    this.engine = engine;
+    this.auth = auth;
+    this.audit = audit;
+    this.config = {
+      redis: engine.config.redis,
+      misfireThresholdMs: 60000,
+      maxCatchUpRuns: 100,
+      ...config
+    };
+
+    this.queue = new Queue('workflow-schedules', { redis: this.config.redis });
+    this.scheduleRepository = new ScheduleRepository(db);
+  }
+
+  async initialize() {
+    this.queue.process(async (job) => {
+      return await this.fire(job.data.scheduleId);
+    });
+
+    // Repeatable jobs live in Redis; re-register them in case it was flushed
+    // and settle any ticks missed while the scheduler was down
+    const schedules = await this.scheduleRepository.list({ status: 'active' });
+    for (const schedule of schedules) {
+      await this.register(schedule);
+      await this.fire(schedule.id).catch(error => {
+        logger.error(`Failed to run missed ticks of schedule ${schedule.id}: ${error.message}`);
+      });
+    }
+
+    logger.info(`Scheduler initialized with ${schedules.length} active schedules`);
+  }
+
+  async createSchedule(definition, options = {}) {
+    const workflow = await this.engine.getWorkflow(definition.workflowId);
+    if (!workflow) {
+      throw new AppError(`Workflow ${definition.workflowId} not found`, 404);
+    }
+    this.assertValidCron(definition.cron, definition.timezone);
+
+    const schedule = await this.scheduleRepository.create({
+      id: uuidv4(),
+      workflowId: definition.workflowId,
+      cron: definition.cron,
+      timezone: definition.timezone,
+      status: 'active',
+      missedRunPolicy: definition.missedRunPolicy,
+      input: definition.input,
+      createdBy: options.createdBy
+    });
+    await this.register(schedule);
+
+    logger.info(`Created schedule ${schedule.id} for workflow ${schedule.workflowId}`);
+    return schedule;
+  }
+
+  async listSchedules(filters = {}) {
+    return await this.scheduleRepository.list(filters);
+  }
+
+  async getSchedule(scheduleId) {
+    const schedule = await this.scheduleRepository.findById(scheduleId);
+    if (!schedule) {
+      throw new AppError('Schedule not found', 404);
+    }
+    return schedule;
+  }
+
+  async pauseSchedule(scheduleId) {
+    const schedule = await this.getSchedule(scheduleId);
+    await this.unregister(schedule);
+    return await this.scheduleRepository.update(scheduleId, { status: 'paused' });
+  }
+
+  // Ticks that passed while paused are not missed runs, so resuming starts
+  // counting from now
+  async resumeSchedule(scheduleId) {
+    await this.getSchedule(scheduleId);
+    const schedule = await this.scheduleRepository.update(scheduleId, {
+      status: 'active',
+      lastRunAt: new Date()
+    });
+    await this.register(schedule);
+    return schedule;
+  }
+
+  async deleteSchedule(scheduleId) {
+    const schedule = await this.getSchedule(scheduleId);
+    await this.unregister(schedule);
+    await this.scheduleRepository.delete(scheduleId);
+    return { scheduleId, status: 'deleted' };
+  }
+
+  nextRunTimes(cron, timezone, count, from = new Date()) {
+    this.assertValidCron(cron, timezone);
+    const interval = cronParser.parseExpression(cron, { currentDate: from, tz: timezone });
+    return Array.from({ length: count }, () => interval.next().toDate());
+  }
+
+  assertValidCron(cron, timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new AppError(`Invalid timezone: ${timezone}`, 400);
+    }
+    try {
+      cronParser.parseExpression(cron, { tz: timezone });
+    } catch (error) {
+      throw new AppError(`Invalid cron expression: ${error.message}`, 400);
+    }
+  }
+
+  // Starts the executions owed for the ticks between the last run and now
+  async fire(scheduleId, now = new Date()) {
+    const schedule = await this.scheduleRepository.findById(scheduleId);
+    if (!schedule || schedule.status !== 'active') {
+      return [];
+    }
+
+    const due = this.dueTimes(schedule, now);
+    if (due.length === 0) {
+      return [];
+    }
+
+    const claimed = await this.scheduleRepository.claimRun(
+      schedule.id,
+      schedule.lastRunAt,
+      due[due.length - 1]
+    );
+    if (!claimed) {
+      return [];
+    }
+
+    const refusal = await this.refuseRun(schedule);
+    if (refusal) {
+      logger.warn(`Skipped schedule ${schedule.id}: ${refusal}`);
+      await this.audit.record({
+        entityType: 'schedule',
+        entityId: schedule.id,
+        action: 'skip',
+        details: { workflowId: schedule.workflowId, createdBy: schedule.createdBy, reason: refusal }
+      });
+      return [];
+    }
+
+    const executions = [];
+    for (const scheduledTime of this.applyMissedRunPolicy(schedule, due, now)) {
+      try {
+        const execution = await this.engine.executeWorkflow(schedule.workflowId, {
+          ...schedule.input,
+          trigger: {
+            type: 'schedule',
+            scheduleId: schedule.id,
+            scheduledTime: scheduledTime.toISOString()
+          }
+        }, { triggerType: 'schedule' });
+        executions.push(execution);
+      } catch (error) {
+        logger.error(`Schedule ${schedule.id} failed to start workflow ${schedule.workflowId}: ${error.message}`);
+      }
+    }
+    return executions;
+  }
+
+  // Why the schedule's creator may no longer run its workflow, if so: they
+  // must still be an enabled user with run access, as when they created it.
+  // Schedules from before users existed were left to admins and run as one.
+  async refuseRun(schedule) {
+    const workflow = await this.engine.getWorkflow(schedule.workflowId);
+    if (!workflow) {
+      return `Workflow ${schedule.workflowId} not found`;
+    }
+    const user = schedule.createdBy ? await this.auth.findActiveUser(schedule.createdBy) : { role: 'admin' };
+    if (!user) {
+      return `User ${schedule.createdBy} is disabled or no longer exists`;
+    }
+    try {
+      await this.auth.assertWorkflowAccess(user, workflow, runPermission(user));
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  // Tick times after the last run up to now, oldest first. Only the latest
+  // tick matters unless the schedule catches up.
+  dueTimes(schedule, now) {
+    const since = schedule.lastRunAt || schedule.createdAt;
+    const limit = schedule.missedRunPolicy === 'catch_up' ? this.config.maxCatchUpRuns : 1;
+    const interval = cronParser.parseExpression(schedule.cron, {
+      currentDate: now,
+      tz: schedule.timezone
+    });
+
+    const times = [];
+    while (times.length < limit) {
+      const time = interval.prev().toDate();
+      if (time <= since) {
+        break;
+      }
+      times.unshift(time);
+    }
+    return times;
+  }
+
+  applyMissedRunPolicy(schedule, due, now) {
+    const latest = due[due.length - 1];
+    switch (schedule.missedRunPolicy) {
+      case 'catch_up':
+        return due;
+      case 'run_once':
+        return [latest];
+      default:
+        return now - latest <= this.config.misfireThresholdMs ? [latest] : [];
+    }
+  }
+
+  async register(schedule) {
+    await this.queue.add({ scheduleId: schedule.id }, {
+      repeat: { cron: schedule.cron, tz: schedule.timezone },
+      jobId: schedule.id,
+      removeOnComplete: true,
+      removeOnFail: 100
+    });
+  }
+
+  async unregister(schedule) {
+    await this.queue.removeRepeatable({
+      cron: schedule.cron,
+      tz: schedule.timezone,
+      jobId: schedule.id
+    });
+  }
+
+  async shutdown() {
+    await this.queue.close();
+    logger.info('Scheduler shutdown');
+  }
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import pino from 'pino';
+import { redactionHooks } from '../utils/redact.js';
+
+const logger = pino({ level: 'info', hooks: redactionHooks });
+
+// OTLP enum values
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+export const newTraceId = () => crypto.randomBytes(16).toString('hex');
+export const newSpanId = () => crypto.randomBytes(8).toString('hex');
+
+const toUnixNano = (time) => (BigInt(new Date(time).getTime()) * 1000000n).toString();
+
+const toAttributeValue = (value) => {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (typeof value === 'string') return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+};
+
+const toAttributes = (attributes) => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => ({ key, value: toAttributeValue(value) }));
+
+export class Span {
+  constructor(tracer, name, { traceId, spanId, parentSpanId, kind = 'internal', attributes = {}, startTime = Date.now() }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId || newTraceId();
+    this.spanId = spanId || newSpanId();
+    this.parentSpanId = parentSpanId;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.startTime = startTime;
+    this.ended = false;
+  }
+
+  get context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  // W3C trace context header, always marked as sampled
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  end({ status = 'unset', error, attributes = {}, endTime = Date.now() } = {}) {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    this.setAttributes(attributes);
+    this.tracer.record({
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: SPAN_KINDS[this.kind],
+      startTimeUnixNano: toUnixNano(this.startTime),
+      endTimeUnixNano: toUnixNano(endTime),
+      attributes: toAttributes(this.attributes),
+      status: { code: STATUS_CODES[status], ...(error ? { message: error } : {}) }
+    });
+  }
+}
+
+// Posts batches to an OTLP/HTTP collector's JSON endpoint
+export class OtlpHttpExporter {
+  constructor({ endpoint = 'http://localhost:4318', headers = {}, timeoutMs = 10000 } = {}) {
+    this.url = `${endpoint.replace(/\/$/, '')}/v1/traces`;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async export(payload) {
+    await axios.post(this.url, payload, {
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      timeout: this.timeoutMs
+    });
+  }
+}
+
+// Appends one OTLP/JSON request per line, the format the collector's
+// otlpjsonfile receiver reads
+export class FileExporter {
+  constructor({ file = 'logs/traces.jsonl' } = {}) {
+    this.file = file;
+    this.ready = null;
+  }
+
+  async export(payload) {
+    this.ready ??= fs.mkdir(path.dirname(this.file), { recursive: true });
+    await this.ready;
+    await fs.appendFile(this.file, `${JSON.stringify(payload)}\n`);
+  }
+}
+
+const createExporter = ({ exporter, otlpEndpoint, otlpHeaders, file }) => {
+  switch (exporter) {
+    case 'otlp':
+      return new OtlpHttpExporter({ endpoint: otlpEndpoint, headers: otlpHeaders });
+    case 'file':
+      return new FileExporter({ file });
+    case undefined:
+    case null:
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown tracing exporter: ${exporter}`);
+  }
+};
+
+// Collects finished spans and exports them in batches as OTLP/JSON. Spans
+// carry their own trace and parent ids, so an execution's spans can be
+// recorded by whichever worker ran each part of it. Without an exporter
+// nothing is recorded.
+export class Tracer {
+  constructor(config = {}) {
+    this.config = {
+      serviceName: 'workflow-engine',
+      batchSize: 100,
+      flushIntervalMs: 5000,
+      ...config
+    };
+    this.exporter = createExporter(this.config);
+    this.buffer = [];
+    this.timer = null;
+
+    if (this.exporter) {
+      this.timer = setInterval(() => this.flush(), this.config.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.exporter);
+  }
+
+  startSpan(name, options = {}) {
+    return new Span(this, name, options);
+  }
+
+  record(span) {
+    if (!this.enabled) {
+      return;
+    }
+    this.buffer.push(span);
+    if (this.buffer.length >= this.config.batchSize) {
+      this.flush();
+    }
+  }
+
+  // Export failures drop the batch rather than let spans pile up in memory
+  async flush() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+    const spans = this.buffer.splice(0);
+    try {
+      await this.exporter.export(this.toOtlp(spans));
+    } catch (error) {
+      logger.warn(`Failed to export ${spans.length} spans: ${error.message}`);
+    }
+  }
+
+  toOtlp(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toAttributes({ 'service.name': this.config.serviceName }) },
+        scopeSpans: [{ scope: { name: 'workflow-engine' }, spans }]
+      }]
+    };
+  }
+
+  async shutdown() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+}
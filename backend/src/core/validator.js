@@ -0,0 +1,141 @@
+import { LOOP_ITEM_HANDLE, collectLoopBody, hasLoopBody } from './graph.js';
+import { findExpressionErrors } from './expression.js';
+
+// Structural validation of a workflow definition. Every problem is reported
+// rather than stopping at the first one, so the editor can highlight all of
+// the offending nodes and edges at once.
+export function validateWorkflow(definition, nodeTypes) {
+  const errors = [];
+  const { nodes = [], edges = [] } = definition;
+
+  const nodeIds = new Set();
+  for (const node of nodes) {
+    if (nodeIds.has(node.id)) {
+      errors.push({ nodeId: node.id, code: 'duplicate_node', message: `Duplicate node id: ${node.id}` });
+    }
+    nodeIds.add(node.id);
+  }
+
+  const edgeIds = new Set();
+  const validEdges = [];
+  for (const edge of edges) {
+    if (edgeIds.has(edge.id)) {
+      errors.push({ edgeId: edge.id, code: 'duplicate_edge', message: `Duplicate edge id: ${edge.id}` });
+    }
+    edgeIds.add(edge.id);
+
+    const missing = [edge.source, edge.target].filter(id => !nodeIds.has(id));
+    if (missing.length > 0) {
+      errors.push({
+        edgeId: edge.id,
+        code: 'dangling_edge',
+        message: `Edge ${edge.id} references unknown node(s): ${missing.join(', ')}`
+      });
+    } else {
+      validEdges.push(edge);
+    }
+  }
+
+  for (const cycle of findCycles(nodes, validEdges)) {
+    for (const nodeId of new Set(cycle)) {
+      errors.push({ nodeId, code: 'cycle', message: `Node is part of a cycle: ${cycle.join(' -> ')}` });
+    }
+  }
+
+  const graph = { nodes, edges: validEdges };
+  for (const node of nodes) {
+    if (hasLoopBody(graph, node.id)) {
+      errors.push(...validateLoopBody(graph, node.id));
+    }
+  }
+
+  for (const node of nodes) {
+    const NodeClass = nodeTypes.get(node.type);
+    if (!NodeClass) {
+      errors.push({ nodeId: node.id, code: 'unknown_type', message: `Unknown node type: ${node.type}` });
+      continue;
+    }
+
+    // Node constructors run validateConfig()
+    try {
+      new NodeClass(node.config);
+    } catch (error) {
+      errors.push({ nodeId: node.id, code: 'invalid_config', message: error.message });
+    }
+
+    for (const message of findExpressionErrors(node.config)) {
+      errors.push({ nodeId: node.id, code: 'invalid_expression', message });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// A loop body runs inside its loop node, so it must be self-contained: it is
+// entered only through the loop's item edges and never leads back out.
+function validateLoopBody(graph, loopNodeId) {
+  const errors = [];
+  const body = collectLoopBody(graph, loopNodeId);
+
+  for (const nodeId of body) {
+    if (hasLoopBody(graph, nodeId)) {
+      errors.push({ nodeId, code: 'nested_loop', message: 'Loops cannot be nested inside a loop body' });
+    }
+  }
+
+  for (const edge of graph.edges) {
+    const fromLoop = edge.source === loopNodeId && edge.sourceHandle === LOOP_ITEM_HANDLE;
+    if (body.has(edge.source) && !body.has(edge.target)) {
+      errors.push({
+        edgeId: edge.id,
+        nodeId: edge.source,
+        code: 'loop_body_exit',
+        message: `Edge ${edge.id} leaves the loop body of ${loopNodeId}`
+      });
+    } else if (body.has(edge.target) && !body.has(edge.source) && !fromLoop) {
+      errors.push({
+        edgeId: edge.id,
+        nodeId: edge.target,
+        code: 'loop_body_entry',
+        message: `Edge ${edge.id} enters the loop body of ${loopNodeId} from outside`
+      });
+    }
+  }
+  return errors;
+}
+
+function findCycles(nodes, edges) {
+  const adjacency = new Map(nodes.map(node => [node.id, []]));
+  for (const edge of edges) {
+    adjacency.get(edge.source).push(edge.target);
+  }
+
+  const VISITING = 1;
+  const DONE = 2;
+  const state = new Map();
+  const path = [];
+  const cycles = [];
+
+  const visit = (nodeId) => {
+    state.set(nodeId, VISITING);
+    path.push(nodeId);
+
+    for (const next of adjacency.get(nodeId)) {
+      if (state.get(next) === VISITING) {
+        cycles.push([...path.slice(path.indexOf(next)), next]);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+
+    path.pop();
+    state.set(nodeId, DONE);
+  };
+
+  for (const nodeId of adjacency.keys()) {
+    if (!state.has(nodeId)) {
+      visit(nodeId);
+    }
+  }
+  return cycles;
+}
@@ -8,14 +8,19 @@ const dbConfig = knexConfig[environment];
 
 const db = knex(dbConfig);
 
-// Test database connection
-export async function testConnection() {
+// Test database connection. Health checks run it on every probe and pass
+// `quiet` to report failures themselves.
+export async function testConnection({ quiet = false } = {}) {
   try {
     await db.raw('SELECT 1');
-    logger.info('Database connected successfully');
+    if (!quiet) {
+      logger.info('Database connected successfully');
+    }
     return true;
   } catch (error) {
-    logger.error('Database connection failed:', error);
+    if (!quiet) {
+      logger.error('Database connection failed:', error);
+    }
     throw error;
   }
 }
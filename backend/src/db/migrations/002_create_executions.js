@@ -0,0 +1,41 @@
+export async function up(knex) {
+  await knex.schema.createTable('executions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('workflow_id').references('id').inTable('workflows').onDelete('CASCADE');
+    table.string('status', 50).notNullable().defaultTo('pending');
+    table.timestamp('started_at').defaultTo(knex.fn.now());
+    table.timestamp('completed_at');
+    table.jsonb('input_data');
+    table.jsonb('output_data');
+    table.text('error');
+    table.integer('execution_time_ms');
+    table.string('created_by', 255);
+    
+    table.index('workflow_id');
+    table.index('status');
+    table.index('started_at');
+  });
+  
+  await knex.schema.createTable('node_executions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('execution_id').references('id').inTable('executions').onDelete('CASCADE');
+    table.string('node_id', 255).notNullable();
+    table.string('node_type', 50).notNullable();
+    table.string('status', 50).notNullable().defaultTo('pending');
+    table.timestamp('started_at').defaultTo(knex.fn.now());
+    table.timestamp('completed_at');
+    table.jsonb('input_data');
+    table.jsonb('output_data');
+    table.text('error');
+    table.integer('retry_count').defaultTo(0);
+    table.integer('execution_time_ms');
+    
+    table.index('execution_id');
+    table.index('status');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('node_executions');
+  await knex.schema.dropTableIfExists('executions');
+}
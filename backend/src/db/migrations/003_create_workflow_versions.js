@@ -0,0 +1,31 @@
+export async function up(knex) {
+  await knex.schema.createTable('workflow_versions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('workflow_id').notNullable().references('id').inTable('workflows').onDelete('CASCADE');
+    table.integer('version').notNullable();
+    table.string('name', 255).notNullable();
+    table.text('description');
+    table.jsonb('definition').notNullable();
+    table.string('created_by', 255);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    
+    table.unique(['workflow_id', 'version']);
+  });
+  
+  // Existing workflows become their own first version
+  await knex.raw(`
+    INSERT INTO workflow_versions (workflow_id, version, name, description, definition, created_by, created_at)
+    SELECT id, version, name, description, definition, created_by, created_at FROM workflows
+  `);
+  
+  await knex.schema.alterTable('executions', (table) => {
+    table.integer('workflow_version');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('executions', (table) => {
+    table.dropColumn('workflow_version');
+  });
+  await knex.schema.dropTableIfExists('workflow_versions');
+}
@@ -0,0 +1,11 @@
+export function up(knex) {
+  return knex.schema.alterTable('node_executions', (table) => {
+    table.integer('max_attempts').defaultTo(1);
+  });
+}
+
+export function down(knex) {
+  return knex.schema.alterTable('node_executions', (table) => {
+    table.dropColumn('max_attempts');
+  });
+}
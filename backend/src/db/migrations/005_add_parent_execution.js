@@ -0,0 +1,12 @@
+export function up(knex) {
+  return knex.schema.alterTable('executions', (table) => {
+    table.uuid('parent_execution_id').references('id').inTable('executions').onDelete('SET NULL');
+    table.index('parent_execution_id');
+  });
+}
+
+export function down(knex) {
+  return knex.schema.alterTable('executions', (table) => {
+    table.dropColumn('parent_execution_id');
+  });
+}
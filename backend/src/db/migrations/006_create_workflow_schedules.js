@@ -0,0 +1,29 @@
+export async function up(knex) {
+  await knex.schema.createTable('workflow_schedules', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('workflow_id').notNullable().references('id').inTable('workflows').onDelete('CASCADE');
+    table.string('cron', 255).notNullable();
+    table.string('timezone', 64).notNullable().defaultTo('UTC');
+    table.string('status', 50).notNullable().defaultTo('active');
+    table.string('missed_run_policy', 50).notNullable().defaultTo('skip');
+    table.jsonb('input_data');
+    table.timestamp('last_run_at');
+    table.string('created_by', 255);
+    table.timestamps(true, true);
+
+    table.index('workflow_id');
+    table.index('status');
+  });
+
+  await knex.schema.alterTable('executions', (table) => {
+    table.string('trigger_type', 50).defaultTo('manual');
+    table.index('trigger_type');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('executions', (table) => {
+    table.dropColumn('trigger_type');
+  });
+  await knex.schema.dropTableIfExists('workflow_schedules');
+}
@@ -0,0 +1,16 @@
+export function up(knex) {
+  return knex.schema.createTable('credentials', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 255).notNullable();
+    table.string('type', 50).notNullable();
+    table.text('encrypted_data').notNullable();
+    table.string('created_by', 255);
+    table.timestamps(true, true);
+
+    table.index('type');
+  });
+}
+
+export function down(knex) {
+  return knex.schema.dropTableIfExists('credentials');
+}
@@ -0,0 +1,12 @@
+export function up(knex) {
+  return knex.schema.alterTable('executions', (table) => {
+    table.uuid('retry_of_execution_id').references('id').inTable('executions').onDelete('SET NULL');
+    table.index('retry_of_execution_id');
+  });
+}
+
+export function down(knex) {
+  return knex.schema.alterTable('executions', (table) => {
+    table.dropColumn('retry_of_execution_id');
+  });
+}
@@ -0,0 +1,42 @@
+export async function up(knex) {
+  await knex.schema.createTable('users', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('email', 255).notNullable().unique();
+    table.string('name', 255);
+    table.string('password_hash', 255).notNullable();
+    table.string('role', 50).notNullable().defaultTo('viewer');
+    table.boolean('disabled').notNullable().defaultTo(false);
+    table.timestamp('last_login_at');
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('api_keys', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('name', 255).notNullable();
+    table.string('prefix', 16).notNullable();
+    table.string('key_hash', 64).notNullable().unique();
+    table.timestamp('expires_at');
+    table.timestamp('last_used_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index('user_id');
+  });
+
+  await knex.schema.createTable('workflow_shares', (table) => {
+    table.uuid('workflow_id').notNullable().references('id').inTable('workflows').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('permission', 50).notNullable().defaultTo('view');
+    table.string('created_by', 255);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['workflow_id', 'user_id']);
+    table.index('user_id');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('workflow_shares');
+  await knex.schema.dropTableIfExists('api_keys');
+  await knex.schema.dropTableIfExists('users');
+}
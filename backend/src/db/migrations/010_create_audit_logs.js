@@ -0,0 +1,19 @@
+export function up(knex) {
+  return knex.schema.createTable('audit_logs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('entity_type', 50).notNullable();
+    table.uuid('entity_id').notNullable();
+    table.string('action', 50).notNullable();
+    table.string('user_id', 255);
+    table.jsonb('details');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['entity_type', 'entity_id']);
+    table.index('user_id');
+    table.index('created_at');
+  });
+}
+
+export function down(knex) {
+  return knex.schema.dropTableIfExists('audit_logs');
+}
@@ -0,0 +1,15 @@
+export async function up(knex) {
+  await knex.schema.createTable('credential_shares', (table) => {
+    table.uuid('credential_id').notNullable().references('id').inTable('credentials').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('created_by', 255);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['credential_id', 'user_id']);
+    table.index('user_id');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('credential_shares');
+}
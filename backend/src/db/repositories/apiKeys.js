@@ -0,0 +1,51 @@
+export class ApiKeyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(apiKey) {
+    const [row] = await this.db('api_keys')
+      .insert({
+        id: apiKey.id,
+        user_id: apiKey.userId,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        key_hash: apiKey.keyHash,
+        expires_at: apiKey.expiresAt,
+      })
+      .returning('*');
+    return this.toApiKey(row);
+  }
+
+  async findByHash(keyHash) {
+    const row = await this.db('api_keys').where({ key_hash: keyHash }).first();
+    return row ? this.toApiKey(row) : null;
+  }
+
+  async listByUser(userId) {
+    const rows = await this.db('api_keys').where({ user_id: userId }).orderBy('created_at', 'desc');
+    return rows.map(row => this.toApiKey(row));
+  }
+
+  async touch(id) {
+    await this.db('api_keys').where({ id }).update({ last_used_at: new Date() });
+  }
+
+  async delete(id, userId) {
+    const count = await this.db('api_keys').where({ id, user_id: userId }).del();
+    return count === 1;
+  }
+
+  toApiKey(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      prefix: row.prefix,
+      keyHash: row.key_hash,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at,
+    };
+  }
+}
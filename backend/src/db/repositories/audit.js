@@ -0,0 +1,57 @@
+const toJson = (value) => (value === undefined ? null : JSON.stringify(value));
+
+export class AuditRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(entry) {
+    await this.db('audit_logs').insert({
+      id: entry.id,
+      entity_type: entry.entityType,
+      entity_id: entry.entityId,
+      action: entry.action,
+      user_id: entry.userId,
+      details: toJson(entry.details),
+    });
+  }
+
+  // Newest first, paged by (created_at, id) like execution lists. The cursor
+  // keeps created_at as text since Dates would drop the microseconds.
+  async list({ entityType, entityId, userId, action, from, to, limit = 100, cursor } = {}) {
+    const query = this.db('audit_logs')
+      .select('*', this.db.raw('created_at::text as cursor_key'))
+      .orderBy([{ column: 'created_at', order: 'desc' }, { column: 'id', order: 'desc' }])
+      .limit(limit + 1);
+
+    if (entityType) query.where({ entity_type: entityType });
+    if (entityId) query.where({ entity_id: entityId });
+    if (userId) query.where({ user_id: userId });
+    if (action) query.where({ action });
+    if (from) query.where('created_at', '>=', from);
+    if (to) query.where('created_at', '<', to);
+    if (cursor) {
+      query.whereRaw('(created_at, id) < (?, ?)', [cursor.createdAt, cursor.id]);
+    }
+
+    const rows = await query;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      entries: page.map(row => this.toEntry(row)),
+      next: rows.length > limit ? { createdAt: last.cursor_key, id: last.id } : null
+    };
+  }
+
+  toEntry(row) {
+    return {
+      id: row.id,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      action: row.action,
+      userId: row.user_id,
+      details: row.details || {},
+      createdAt: row.created_at,
+    };
+  }
+}
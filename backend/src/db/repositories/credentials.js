@@ -0,0 +1,122 @@
+export class CredentialRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(credential) {
+    const [row] = await this.db('credentials')
+      .insert({
+        id: credential.id,
+        name: credential.name,
+        type: credential.type,
+        encrypted_data: credential.encryptedData,
+        created_by: credential.createdBy,
+      })
+      .returning('*');
+    return this.toCredential(row);
+  }
+
+  async update(id, fields) {
+    const row = { updated_at: new Date() };
+    if (fields.name !== undefined) row.name = fields.name;
+    if (fields.encryptedData !== undefined) row.encrypted_data = fields.encryptedData;
+
+    const [updated] = await this.db('credentials').where({ id }).update(row).returning('*');
+    return updated ? this.toCredential(updated) : null;
+  }
+
+  async findById(id) {
+    const row = await this.db('credentials').where({ id }).first();
+    return row ? this.toCredential(row) : null;
+  }
+
+  async list({ type, accessibleBy } = {}) {
+    const query = this.db('credentials').orderBy('name', 'asc');
+    if (type) query.where({ type });
+    if (accessibleBy) {
+      // Their own credentials and those shared with them
+      query.where(builder => builder
+        .where({ created_by: accessibleBy })
+        .orWhereIn('id', this.db('credential_shares').select('credential_id').where({ user_id: accessibleBy })));
+    }
+    const rows = await query;
+    return rows.map(row => this.toCredential(row));
+  }
+
+  async delete(id) {
+    const count = await this.db('credentials').where({ id }).del();
+    return count === 1;
+  }
+
+  async findShare(credentialId, userId) {
+    const row = await this.db('credential_shares').where({ credential_id: credentialId, user_id: userId }).first();
+    return row ? this.toShare(row) : null;
+  }
+
+  async listShares(credentialId) {
+    const rows = await this.db('credential_shares')
+      .join('users', 'users.id', 'credential_shares.user_id')
+      .select('credential_shares.*', 'users.email', 'users.name')
+      .where({ credential_id: credentialId })
+      .orderBy('users.email', 'asc');
+    return rows.map(row => this.toShare(row));
+  }
+
+  async saveShare(share) {
+    const [row] = await this.db('credential_shares')
+      .insert({
+        credential_id: share.credentialId,
+        user_id: share.userId,
+        created_by: share.createdBy,
+      })
+      .onConflict(['credential_id', 'user_id'])
+      .ignore()
+      .returning('*');
+    return row ? this.toShare(row) : this.findShare(share.credentialId, share.userId);
+  }
+
+  async deleteShare(credentialId, userId) {
+    const count = await this.db('credential_shares').where({ credential_id: credentialId, user_id: userId }).del();
+    return count === 1;
+  }
+
+  // Workflows whose current definition has a node or the webhook pointing
+  // at the credential
+  async findWorkflowsUsing(id) {
+    const rows = await this.db('workflows')
+      .select('id', 'name')
+      .whereRaw(
+        // The escaped ? is a jsonpath filter, not a knex binding
+        'jsonb_path_exists(definition, \'$.nodes[*].config.credentialId \\? (@ == $id)\', ?::jsonb)',
+        [JSON.stringify({ id })]
+      )
+      .orWhereRaw(
+        'jsonb_path_exists(definition, \'$.settings.webhook.credentialId \\? (@ == $id)\', ?::jsonb)',
+        [JSON.stringify({ id })]
+      );
+    return rows;
+  }
+
+  toCredential(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      encryptedData: row.encrypted_data,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  toShare(row) {
+    return {
+      credentialId: row.credential_id,
+      userId: row.user_id,
+      email: row.email,
+      name: row.name,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+    };
+  }
+}
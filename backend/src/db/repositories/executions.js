@@ -0,0 +1,166 @@
+import { accessibleWorkflowIds } from './workflows.js';
+
+// pg turns JS arrays into Postgres arrays, so JSONB values are always
+// serialized explicitly.
+const toJson = (value) => (value === undefined ? null : JSON.stringify(value));
+
+// Sort keys for list(). Running executions have no duration yet and sort as -1.
+const SORT_EXPRESSIONS = {
+  startedAt: 'started_at',
+  duration: 'coalesce(execution_time_ms, -1)'
+};
+
+// Columns for execution lists; inputs and outputs are left to the detail view
+const SUMMARY_COLUMNS = [
+  'id', 'workflow_id', 'workflow_version', 'parent_execution_id', 'retry_of_execution_id', 'trigger_type',
+  'status', 'started_at', 'completed_at', 'error', 'execution_time_ms', 'created_by'
+];
+
+export class ExecutionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(execution) {
+    await this.db('executions').insert({
+      id: execution.id,
+      workflow_id: execution.workflowId,
+      workflow_version: execution.workflowVersion,
+      parent_execution_id: execution.parentExecutionId,
+      retry_of_execution_id: execution.retryOfExecutionId,
+      trigger_type: execution.triggerType,
+      status: execution.status,
+      started_at: execution.startTime,
+      input_data: toJson(execution.data),
+      created_by: execution.createdBy,
+    });
+  }
+
+  async update(id, fields) {
+    const row = {};
+    if (fields.status !== undefined) row.status = fields.status;
+    if (fields.endTime !== undefined) row.completed_at = fields.endTime;
+    if (fields.nodeResults !== undefined) row.output_data = toJson(fields.nodeResults);
+    if (fields.error !== undefined) row.error = fields.error;
+    if (fields.executionTimeMs !== undefined) row.execution_time_ms = fields.executionTimeMs;
+
+    await this.db('executions').where({ id }).update(row);
+  }
+
+  async findById(id) {
+    const row = await this.db('executions').where({ id }).first();
+    return row ? this.toExecution(row) : null;
+  }
+
+  // Keyset pagination: the cursor is the sort key and id of the last row
+  // returned, so pages stay stable while new executions are inserted.
+  // Fetches one row extra to know whether there is a next page. The key is
+  // read as text since Dates would drop the microseconds of timestamps.
+  async list({ workflowId, accessibleBy, statuses, triggerType, from, to, sort = 'startedAt', order = 'desc', limit = 50, cursor } = {}) {
+    const sortExpression = SORT_EXPRESSIONS[sort];
+    const query = this.db('executions')
+      .select(...SUMMARY_COLUMNS, this.db.raw(`(${sortExpression})::text as sort_key`))
+      .orderByRaw(`${sortExpression} ${order}, id ${order}`)
+      .limit(limit + 1);
+
+    if (workflowId) query.where({ workflow_id: workflowId });
+    if (accessibleBy) query.whereIn('workflow_id', accessibleWorkflowIds(this.db, accessibleBy));
+    if (statuses?.length) query.whereIn('status', statuses);
+    if (triggerType) query.where({ trigger_type: triggerType });
+    if (from) query.where('started_at', '>=', from);
+    if (to) query.where('started_at', '<', to);
+    if (cursor) {
+      query.whereRaw(`(${sortExpression}, id) ${order === 'asc' ? '>' : '<'} (?, ?)`, [cursor.key, cursor.id]);
+    }
+
+    const rows = await query;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      executions: page.map(row => this.toExecutionSummary(row)),
+      next: rows.length > limit ? { key: last.sort_key, id: last.id } : null
+    };
+  }
+
+  async createNodeExecution(nodeExecution) {
+    const [row] = await this.db('node_executions')
+      .insert({
+        execution_id: nodeExecution.executionId,
+        node_id: nodeExecution.nodeId,
+        node_type: nodeExecution.nodeType,
+        status: nodeExecution.status || 'running',
+        input_data: toJson(nodeExecution.input),
+        retry_count: nodeExecution.retryCount || 0,
+        max_attempts: nodeExecution.maxAttempts || 1,
+      })
+      .returning('id');
+    return row.id;
+  }
+
+  async completeNodeExecution(id, { status, output, error, executionTimeMs }) {
+    await this.db('node_executions').where({ id }).update({
+      status,
+      completed_at: new Date(),
+      output_data: toJson(output),
+      error: error ?? null,
+      execution_time_ms: executionTimeMs,
+    });
+  }
+
+  async listNodeExecutions(executionId) {
+    const rows = await this.db('node_executions')
+      .where({ execution_id: executionId })
+      .orderBy('started_at', 'asc');
+    return rows.map(row => ({
+      id: row.id,
+      nodeId: row.node_id,
+      nodeType: row.node_type,
+      status: row.status,
+      startTime: row.started_at,
+      endTime: row.completed_at,
+      input: row.input_data,
+      output: row.output_data,
+      error: row.error,
+      retryCount: row.retry_count,
+      attempt: row.retry_count + 1,
+      maxAttempts: row.max_attempts,
+      executionTimeMs: row.execution_time_ms,
+    }));
+  }
+
+  toExecutionSummary(row) {
+    return {
+      id: row.id,
+      workflowId: row.workflow_id,
+      workflowVersion: row.workflow_version,
+      parentExecutionId: row.parent_execution_id,
+      retryOfExecutionId: row.retry_of_execution_id,
+      triggerType: row.trigger_type,
+      status: row.status,
+      startTime: row.started_at,
+      endTime: row.completed_at,
+      error: row.error,
+      executionTimeMs: row.execution_time_ms,
+      createdBy: row.created_by,
+    };
+  }
+
+  toExecution(row) {
+    return {
+      id: row.id,
+      workflowId: row.workflow_id,
+      workflowVersion: row.workflow_version,
+      parentExecutionId: row.parent_execution_id,
+      retryOfExecutionId: row.retry_of_execution_id,
+      triggerType: row.trigger_type,
+      status: row.status,
+      startTime: row.started_at,
+      endTime: row.completed_at,
+      data: row.input_data,
+      nodeResults: row.output_data || {},
+      error: row.error,
+      executionTimeMs: row.execution_time_ms,
+      createdBy: row.created_by,
+    };
+  }
+}
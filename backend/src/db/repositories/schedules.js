@@ -0,0 +1,85 @@
+import { accessibleWorkflowIds } from './workflows.js';
+
+const toJson = (value) => (value === undefined ? null : JSON.stringify(value));
+
+export class ScheduleRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(schedule) {
+    const [row] = await this.db('workflow_schedules')
+      .insert({
+        id: schedule.id,
+        workflow_id: schedule.workflowId,
+        cron: schedule.cron,
+        timezone: schedule.timezone,
+        status: schedule.status,
+        missed_run_policy: schedule.missedRunPolicy,
+        input_data: toJson(schedule.input),
+        created_by: schedule.createdBy,
+      })
+      .returning('*');
+    return this.toSchedule(row);
+  }
+
+  async findById(id) {
+    const row = await this.db('workflow_schedules').where({ id }).first();
+    return row ? this.toSchedule(row) : null;
+  }
+
+  async list({ workflowId, accessibleBy, status } = {}) {
+    const query = this.db('workflow_schedules').orderBy('created_at', 'desc');
+    if (workflowId) query.where({ workflow_id: workflowId });
+    if (accessibleBy) query.whereIn('workflow_id', accessibleWorkflowIds(this.db, accessibleBy));
+    if (status) query.where({ status });
+    const rows = await query;
+    return rows.map(row => this.toSchedule(row));
+  }
+
+  async update(id, fields) {
+    const row = { updated_at: new Date() };
+    if (fields.status !== undefined) row.status = fields.status;
+    if (fields.lastRunAt !== undefined) row.last_run_at = fields.lastRunAt;
+
+    const [updated] = await this.db('workflow_schedules').where({ id }).update(row).returning('*');
+    return updated ? this.toSchedule(updated) : null;
+  }
+
+  // Moves last_run_at forward only if nobody else has since the schedule was
+  // read, so each tick is claimed by exactly one scheduler instance
+  async claimRun(id, previousRunAt, runAt) {
+    const count = await this.db('workflow_schedules')
+      .where({ id })
+      .where((query) => {
+        if (previousRunAt) {
+          query.where('last_run_at', previousRunAt);
+        } else {
+          query.whereNull('last_run_at');
+        }
+      })
+      .update({ last_run_at: runAt });
+    return count === 1;
+  }
+
+  async delete(id) {
+    const count = await this.db('workflow_schedules').where({ id }).del();
+    return count === 1;
+  }
+
+  toSchedule(row) {
+    return {
+      id: row.id,
+      workflowId: row.workflow_id,
+      cron: row.cron,
+      timezone: row.timezone,
+      status: row.status,
+      missedRunPolicy: row.missed_run_policy,
+      input: row.input_data || {},
+      lastRunAt: row.last_run_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
@@ -0,0 +1,77 @@
+export class UserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(user) {
+    const [row] = await this.db('users')
+      .insert({
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        password_hash: user.passwordHash,
+        role: user.role,
+      })
+      .returning('*');
+    return this.toUser(row);
+  }
+
+  async update(id, fields) {
+    const row = { updated_at: new Date() };
+    if (fields.email !== undefined) row.email = fields.email;
+    if (fields.name !== undefined) row.name = fields.name;
+    if (fields.passwordHash !== undefined) row.password_hash = fields.passwordHash;
+    if (fields.role !== undefined) row.role = fields.role;
+    if (fields.disabled !== undefined) row.disabled = fields.disabled;
+    if (fields.lastLoginAt !== undefined) row.last_login_at = fields.lastLoginAt;
+
+    const [updated] = await this.db('users').where({ id }).update(row).returning('*');
+    return updated ? this.toUser(updated) : null;
+  }
+
+  async findById(id) {
+    const row = await this.db('users').where({ id }).first();
+    return row ? this.toUser(row) : null;
+  }
+
+  async findByEmail(email) {
+    const row = await this.db('users').where({ email }).first();
+    return row ? this.toUser(row) : null;
+  }
+
+  async list({ role } = {}) {
+    const query = this.db('users').orderBy('email', 'asc');
+    if (role) query.where({ role });
+    const rows = await query;
+    return rows.map(row => this.toUser(row));
+  }
+
+  async count() {
+    const [{ count }] = await this.db('users').count('id as count');
+    return Number(count);
+  }
+
+  async countActiveAdmins() {
+    const [{ count }] = await this.db('users').where({ role: 'admin', disabled: false }).count('id as count');
+    return Number(count);
+  }
+
+  async delete(id) {
+    const count = await this.db('users').where({ id }).del();
+    return count === 1;
+  }
+
+  toUser(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      passwordHash: row.password_hash,
+      role: row.role,
+      disabled: row.disabled,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
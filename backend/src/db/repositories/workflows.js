@@ -0,0 +1,179 @@
+// Ids of the workflows a user can see: their own and those shared with them.
+// Workflows created before workflows had owners are only listed for admins.
+export const accessibleWorkflowIds = (db, userId) => db('workflows')
+  .select('id')
+  .where({ created_by: userId })
+  .union(db('workflow_shares').select('workflow_id').where({ user_id: userId }));
+
+export class WorkflowRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(workflow) {
+    return this.db.transaction(async (trx) => {
+      const [row] = await trx('workflows')
+        .insert({
+          id: workflow.id,
+          name: workflow.name,
+          description: workflow.description,
+          definition: { nodes: workflow.nodes, edges: workflow.edges, settings: workflow.settings },
+          status: workflow.status,
+          created_by: workflow.createdBy,
+          version: 1,
+        })
+        .returning('*');
+
+      await trx('workflow_versions').insert(this.toVersionRow(row));
+      return this.toWorkflow(row);
+    });
+  }
+
+  // Saves a new immutable version and makes it the current definition
+  async createVersion(id, workflow) {
+    return this.db.transaction(async (trx) => {
+      const current = await trx('workflows').where({ id }).forUpdate().first();
+      if (!current) {
+        return null;
+      }
+
+      const [row] = await trx('workflows')
+        .where({ id })
+        .update({
+          name: workflow.name,
+          description: workflow.description,
+          definition: { nodes: workflow.nodes, edges: workflow.edges, settings: workflow.settings },
+          version: current.version + 1,
+        })
+        .returning('*');
+
+      await trx('workflow_versions').insert({
+        ...this.toVersionRow(row),
+        created_by: workflow.createdBy,
+      });
+      return this.toWorkflow(row);
+    });
+  }
+
+  async findById(id) {
+    const row = await this.db('workflows').where({ id }).first();
+    return row ? this.toWorkflow(row) : null;
+  }
+
+  async findVersion(id, version) {
+    const [workflow, versionRow] = await Promise.all([
+      this.db('workflows').where({ id }).first(),
+      this.db('workflow_versions').where({ workflow_id: id, version }).first(),
+    ]);
+    if (!workflow || !versionRow) {
+      return null;
+    }
+
+    return this.toWorkflow({
+      ...workflow,
+      name: versionRow.name,
+      description: versionRow.description,
+      definition: versionRow.definition,
+      version: versionRow.version,
+      updated_at: versionRow.created_at,
+    });
+  }
+
+  async listVersions(id) {
+    const rows = await this.db('workflow_versions')
+      .select('version', 'name', 'description', 'created_by', 'created_at')
+      .where({ workflow_id: id })
+      .orderBy('version', 'desc');
+    return rows.map(row => ({
+      version: row.version,
+      name: row.name,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+    }));
+  }
+
+  async list({ accessibleBy } = {}) {
+    const query = this.db('workflows').orderBy('created_at', 'desc');
+    if (accessibleBy) query.whereIn('id', accessibleWorkflowIds(this.db, accessibleBy));
+    const rows = await query;
+    return rows.map(row => this.toWorkflow(row));
+  }
+
+  async delete(id) {
+    const count = await this.db('workflows').where({ id }).del();
+    return count === 1;
+  }
+
+  async findShare(workflowId, userId) {
+    const row = await this.db('workflow_shares').where({ workflow_id: workflowId, user_id: userId }).first();
+    return row ? this.toShare(row) : null;
+  }
+
+  async listShares(workflowId) {
+    const rows = await this.db('workflow_shares')
+      .join('users', 'users.id', 'workflow_shares.user_id')
+      .select('workflow_shares.*', 'users.email', 'users.name')
+      .where({ workflow_id: workflowId })
+      .orderBy('users.email', 'asc');
+    return rows.map(row => this.toShare(row));
+  }
+
+  async saveShare(share) {
+    const [row] = await this.db('workflow_shares')
+      .insert({
+        workflow_id: share.workflowId,
+        user_id: share.userId,
+        permission: share.permission,
+        created_by: share.createdBy,
+      })
+      .onConflict(['workflow_id', 'user_id'])
+      .merge(['permission'])
+      .returning('*');
+    return this.toShare(row);
+  }
+
+  async deleteShare(workflowId, userId) {
+    const count = await this.db('workflow_shares').where({ workflow_id: workflowId, user_id: userId }).del();
+    return count === 1;
+  }
+
+  toVersionRow(row) {
+    return {
+      workflow_id: row.id,
+      version: row.version,
+      name: row.name,
+      description: row.description,
+      definition: row.definition,
+      created_by: row.created_by,
+    };
+  }
+
+  toShare(row) {
+    return {
+      workflowId: row.workflow_id,
+      userId: row.user_id,
+      email: row.email,
+      name: row.name,
+      permission: row.permission,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+    };
+  }
+
+  toWorkflow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      nodes: row.definition.nodes,
+      edges: row.definition.edges,
+      settings: row.definition.settings || {},
+      status: row.status,
+      version: row.version,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
@@ -6,13 +6,21 @@ import { promisify } from 'util';
 import config from './config/index.js';
 import logger from './utils/logger.js';
 import { WorkflowEngine } from './core/engine.js';
+import { Scheduler } from './core/scheduler.js';
+import { AuthService } from './core/auth.js';
+import { AuditLog } from './core/audit.js';
+import { Metrics } from './core/metrics.js';
+import { HealthMonitor } from './core/health.js';
 import { createRoutes } from './api/routes.js';
+import { createAuthRoutes } from './api/auth.js';
+import { createWebhookRoutes } from './api/webhooks.js';
 import { WebSocketHandler } from './api/websocket.js';
 import { testConnection } from './db/index.js';
 import {
   helmetMiddleware,
   rateLimiter,
   sanitizeInput,
+  authenticate,
 } from './middleware/security.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import pinoHttp from 'pino-http';
@@ -22,6 +30,9 @@ import {
   PythonNode,
   ConditionalNode,
   TransformerNode,
+  ForEachNode,
+  ExecuteWorkflowNode,
+  RespondNode,
 } from './nodes/implementations.js';
 
 class Server {
@@ -29,6 +40,12 @@ class Server {
     this.app = express();
     this.server = http.createServer(this.app);
     this.engine = null;
+    this.scheduler = null;
+    this.auth = null;
+    this.audit = null;
+    this.metrics = null;
+    this.health = null;
+    this.metricsServer = null;
     this.wsHandler = null;
     this.isShuttingDown = false;
   }
@@ -38,20 +55,61 @@ class Server {
       // Test database connection
       await testConnection();
       
+      // Users and API keys; creates the first admin on a fresh install
+      this.auth = new AuthService({
+        jwtSecret: config.security.jwtSecret,
+        jwtExpiresIn: config.auth.jwtExpiresIn,
+        bcryptRounds: config.security.bcryptRounds,
+      });
+      await this.auth.ensureAdmin(config.auth);
+      
       // Initialize workflow engine
       this.engine = new WorkflowEngine({
         redis: config.redis,
         maxConcurrency: config.queue.concurrency,
+        retry: {
+          attempts: config.queue.retryAttempts,
+          delay: config.queue.retryDelay,
+        },
+        credentialsKey: config.security.credentialsKey,
+        tracing: config.tracing,
+        blobs: config.blobs,
       });
       
       await this.engine.initialize();
       
+      // Record who changed what, including executions started by the engine
+      this.audit = new AuditLog();
+      this.audit.watch(this.engine);
+      
+      if (config.monitoring.enableMetrics) {
+        this.metrics = new Metrics();
+        this.metrics.watch(this.engine);
+        this.metrics.watchQueue(this.engine.queue);
+      }
+      
       // Register node types
       this.engine.registerNode('http', HTTPNode);
       this.engine.registerNode('database', DatabaseNode);
       this.engine.registerNode('python', PythonNode);
       this.engine.registerNode('conditional', ConditionalNode);
       this.engine.registerNode('transformer', TransformerNode);
+      this.engine.registerNode('foreach', ForEachNode);
+      this.engine.registerNode('subworkflow', ExecuteWorkflowNode);
+      this.engine.registerNode('respond', RespondNode);
+      
+      // Start cron schedules once every node type is registered
+      this.scheduler = new Scheduler(this.engine, config.scheduler, { auth: this.auth, audit: this.audit });
+      await this.scheduler.initialize();
+      this.metrics?.watchQueue(this.scheduler.queue);
+      
+      // Dependency checks for /ready and diagnostics; the heartbeat marks this
+      // process as a live worker
+      this.health = new HealthMonitor(this.engine, {
+        ...config.health,
+        pythonExecutorUrl: config.python.executorUrl,
+      });
+      this.health.start();
       
       // Setup middleware
       this.setupMiddleware();
@@ -60,7 +118,8 @@ class Server {
       this.setupRoutes();
       
       // Setup WebSocket
-      this.wsHandler = new WebSocketHandler(this.server, this.engine);
+      this.wsHandler = new WebSocketHandler(this.server, this.engine, this.auth);
+      this.metrics?.watchWebSocket(this.wsHandler);
       
       // Setup error handling
       this.setupErrorHandling();
@@ -89,9 +148,12 @@ class Server {
       optionsSuccessStatus: 200,
     }));
     
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    // Body parsing. Webhooks verify signatures against the raw bytes.
+    const keepRawBody = (req, res, buf) => {
+      req.rawBody = buf;
+    };
+    this.app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+    this.app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
     
     // Request logging
     if (!config.isTest) {
@@ -124,27 +186,51 @@ class Server {
       }
     });
     
-    // Readiness check
+    // Readiness check. Degraded still serves traffic; only a critical
+    // dependency being down takes the instance out of rotation.
     this.app.get('/ready', async (req, res) => {
       try {
-        await this.engine.checkHealth();
-        res.json({ status: 'ready' });
+        const report = await this.health.check();
+        res.status(report.status === 'down' ? 503 : 200).json(report);
       } catch (error) {
-        res.status(503).json({ status: 'not ready', error: error.message });
+        res.status(503).json({ status: 'down', error: error.message });
       }
     });
   }
   
   setupRoutes() {
-    const apiRoutes = createRoutes(this.engine);
-    this.app.use('/api', apiRoutes);
-    
-    // Metrics endpoint
-    if (config.monitoring.enableMetrics) {
-      this.app.get('/metrics', async (req, res) => {
-        const metrics = await this.engine.getMetrics();
-        res.json(metrics);
-      });
+    // Webhooks authenticate with their own signatures
+    this.app.use('/api/hooks', createWebhookRoutes(this.engine));
+    this.app.use('/api', createAuthRoutes(this.auth, { audit: this.audit }));
+    
+    const apiRoutes = createRoutes(this.engine, {
+      scheduler: this.scheduler,
+      credentials: this.engine.credentials,
+      auth: this.auth,
+      audit: this.audit,
+      health: this.health,
+    });
+    this.app.use('/api', authenticate(this.auth), apiRoutes);
+    
+    // Metrics endpoint, on its own port when one is configured so it can
+    // stay off the public listener
+    if (this.metrics) {
+      const serveMetrics = async (req, res) => {
+        try {
+          res.set('Content-Type', this.metrics.contentType);
+          res.send(await this.metrics.render());
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      };
+      
+      if (config.monitoring.metricsPort) {
+        const metricsApp = express();
+        metricsApp.get('/metrics', serveMetrics);
+        this.metricsServer = http.createServer(metricsApp);
+      } else {
+        this.app.get('/metrics', serveMetrics);
+      }
     }
   }
   
@@ -182,6 +268,7 @@ class Server {
       this.server.close(() => {
         logger.info('HTTP server closed');
       });
+      this.metricsServer?.close();
       
       // Give existing connections 30 seconds to finish
       const shutdownTimeout = setTimeout(() => {
@@ -191,6 +278,15 @@ class Server {
       
       try {
         // Cleanup resources
+        if (this.health) {
+          await this.health.stop();
+        }
+        
+        if (this.scheduler) {
+          await this.scheduler.shutdown();
+          logger.info('Scheduler shut down');
+        }
+        
         if (this.engine) {
           await this.engine.shutdown();
           logger.info('Workflow engine shut down');
@@ -218,11 +314,16 @@ class Server {
     
     await promisify(this.server.listen).bind(this.server)(port, host);
     
+    const metricsPort = config.monitoring.metricsPort;
+    if (this.metricsServer) {
+      await promisify(this.metricsServer.listen).bind(this.metricsServer)(metricsPort, host);
+    }
+    
     logger.info(`
 🚀 Server is running!
 📡 URL: http://${host}:${port}
 🌍 Environment: ${config.env}
-📊 Metrics: ${config.monitoring.enableMetrics ? `http://${host}:${port}/metrics` : 'disabled'}
+📊 Metrics: ${this.metrics ? `http://${host}:${metricsPort || port}/metrics` : 'disabled'}
 💾 Database: ${config.database.url ? 'connected' : 'not configured'}
 📮 Redis: ${config.redis.host}:${config.redis.port}
 🔒 Rate Limit: ${config.rateLimit.max} requests per ${config.rateLimit.windowMs / 1000}s
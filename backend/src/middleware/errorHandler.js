@@ -10,6 +10,13 @@ export class AppError extends Error {
   }
 }
 
+export class ValidationError extends AppError {
+  constructor(message, errors = []) {
+    super(message, 400);
+    this.errors = errors;
+  }
+}
+
 export const errorHandler = (err, req, res, next) => {
   let { statusCode = 500, message } = err;
   
@@ -30,6 +37,7 @@ export const errorHandler = (err, req, res, next) => {
   
   res.status(statusCode).json({
     error: message,
+    ...(err.errors && { errors: err.errors }),
     ...(config.isDevelopment && { stack: err.stack }),
     timestamp: new Date().toISOString(),
     requestId: req.id,
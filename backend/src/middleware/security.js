@@ -1,8 +1,8 @@
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import config from '../config/index.js';
-import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
+import { hasRole } from '../core/auth.js';
 
 // Helmet for security headers
 export const helmetMiddleware = helmet({
@@ -26,41 +26,37 @@ export const rateLimiter = rateLimit({
   },
 });
 
-// API key authentication (optional)
-export const apiKeyAuth = (req, res, next) => {
+// Identifies the caller from an X-API-Key header or a bearer token. Both
+// resolve to a user, whose role routes then check with requireRole.
+export const authenticate = (auth) => async (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
-  
-  if (!apiKey) {
-    return res.status(401).json({ error: 'API key required' });
-  }
-  
-  // Validate API key (implement your logic)
-  if (apiKey !== process.env.API_KEY) {
-    logger.warn(`Invalid API key attempt from IP: ${req.ip}`);
-    return res.status(401).json({ error: 'Invalid API key' });
-  }
-  
-  next();
-};
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/i)?.[1];
 
-// JWT authentication
-export const jwtAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ error: 'Token required' });
+  if (!apiKey && !token) {
+    return res.status(401).json({ error: 'Authentication required' });
   }
-  
+
   try {
-    const decoded = jwt.verify(token, config.security.jwtSecret);
-    req.user = decoded;
+    const user = apiKey ? await auth.authenticateApiKey(apiKey) : await auth.authenticateToken(token);
+    if (!user) {
+      logger.warn(`Invalid ${apiKey ? 'API key' : 'token'} from IP: ${req.ip}`);
+      return res.status(401).json({ error: apiKey ? 'Invalid API key' : 'Invalid or expired token' });
+    }
+    req.user = user;
     next();
   } catch (error) {
-    logger.warn(`Invalid JWT token from IP: ${req.ip}`);
-    return res.status(401).json({ error: 'Invalid token' });
+    next(error);
   }
 };
 
+// Roles are ordered, so this admits the given role and every role above it
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({ error: `Requires ${role} role` });
+  }
+  next();
+};
+
 // Input sanitization
 export const sanitizeInput = (req, res, next) => {
   // Implement input sanitization logic
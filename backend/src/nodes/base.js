@@ -1,7 +1,17 @@
+import { buildScope, getValueByPath, renderTemplate } from '../core/expression.js';
+
 export class BaseNode {
   constructor(config = {}) {
     this.config = config;
     this.type = 'base';
+    // Set by the engine when the node has a timeout, so work can be aborted
+    this.signal = null;
+    // Set by the engine to the decrypted { type, data } of config.credentialId
+    this.credentials = null;
+    // Set by the engine to publish log lines (e.g. printed output) as they happen
+    this.onLog = null;
+    // Set by the engine to the W3C traceparent of the node's span when tracing
+    this.traceparent = null;
     this.validateConfig();
   }
 
@@ -17,10 +27,23 @@ export class BaseNode {
     return true;
   }
 
+  // Resolves {{ }} expressions in a config value against the node's input
+  // and the results of upstream nodes
+  render(template, input, context) {
+    return renderTemplate(template, buildScope(input, context));
+  }
+
+  getValueByPath(obj, path) {
+    return getValueByPath(obj, path);
+  }
+
+  // `name` and `code` let retry policies match the underlying error
   handleError(error) {
     return {
       success: false,
       error: error.message,
+      name: error.name,
+      code: error.code,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     };
   }
@@ -1,8 +1,10 @@
 import { BaseNode } from './base.js';
+import appConfig from '../config/index.js';
 import axios from 'axios';
 import pg from 'pg';
-import { VM } from 'vm2';
-import { spawn } from 'child_process';
+import readline from 'readline';
+import { EXPRESSION_PATTERN, buildScope, evaluate } from '../core/expression.js';
+import { evaluateInSandbox, runInSandbox } from '../core/sandbox.js';
 
 // HTTP Node - Make HTTP requests
 export class HTTPNode extends BaseNode {
@@ -20,17 +22,21 @@ export class HTTPNode extends BaseNode {
   async execute(input, context) {
     try {
       const { url, method = 'GET', headers = {}, params = {}, data } = this.config;
-      
-      // Replace variables in URL
-      const processedUrl = this.interpolate(url, { ...input, ...context });
+      const credential = this.credentialOptions();
       
       const response = await axios({
-        url: processedUrl,
+        url: this.render(url, input, context),
         method,
-        headers: this.interpolate(headers, { ...input, ...context }),
-        params: this.interpolate(params, { ...input, ...context }),
-        data: data ? this.interpolate(data, { ...input, ...context }) : input,
+        headers: {
+          ...(this.traceparent ? { traceparent: this.traceparent } : {}),
+          ...this.render(headers, input, context),
+          ...credential.headers
+        },
+        auth: credential.auth,
+        params: this.render(params, input, context),
+        data: data ? this.render(data, input, context) : input,
         timeout: this.config.timeout || 30000,
+        signal: this.signal || undefined,
         validateStatus: () => true
       });
 
@@ -46,20 +52,24 @@ export class HTTPNode extends BaseNode {
     }
   }
 
-  interpolate(template, data) {
-    if (typeof template === 'string') {
-      return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-        return data[key] || match;
-      });
+  // Headers or basic auth for the node's credential; they take precedence
+  // over headers set in the config
+  credentialOptions() {
+    if (!this.credentials) {
+      return {};
     }
-    if (typeof template === 'object') {
-      const result = {};
-      for (const [key, value] of Object.entries(template)) {
-        result[key] = this.interpolate(value, data);
-      }
-      return result;
+
+    const { type, data } = this.credentials;
+    switch (type) {
+      case 'httpHeader':
+        return { headers: { [data.name]: data.value } };
+      case 'httpBearerToken':
+        return { headers: { Authorization: `Bearer ${data.token}` } };
+      case 'httpBasicAuth':
+        return { auth: { username: data.username, password: data.password } };
+      default:
+        throw new Error(`HTTP node cannot use a ${type} credential`);
     }
-    return template;
   }
 }
 
@@ -72,19 +82,27 @@ export class DatabaseNode extends BaseNode {
   }
 
   validateConfig() {
-    if (!this.config.connectionString && !this.config.connection) {
-      throw new Error('Database node requires connection config');
+    if (this.config.connectionString || this.config.connection) {
+      throw new Error('Database node connection details must be stored in a database credential');
+    }
+    if (!this.config.credentialId) {
+      throw new Error('Database node requires credentialId config');
     }
     if (!this.config.query) {
       throw new Error('Database node requires query config');
     }
   }
 
+  connectionConfig() {
+    if (this.credentials?.type !== 'database') {
+      throw new Error(`Database node cannot use a ${this.credentials?.type || 'missing'} credential`);
+    }
+    return { connectionString: this.credentials.data.connectionString };
+  }
+
   async getConnection() {
     if (!this.pool) {
-      const config = this.config.connectionString 
-        ? { connectionString: this.config.connectionString }
-        : this.config.connection;
+      const config = this.connectionConfig();
       
       this.pool = new pg.Pool({
         ...config,
@@ -99,7 +117,7 @@ export class DatabaseNode extends BaseNode {
   async execute(input, context) {
     try {
       const pool = await this.getConnection();
-      const query = this.interpolateQuery(this.config.query, { ...input, ...context });
+      const query = this.interpolateQuery(this.config.query, input, context);
       
       const result = await pool.query(query.text, query.values);
       
@@ -115,13 +133,20 @@ export class DatabaseNode extends BaseNode {
     }
   }
 
-  interpolateQuery(query, data) {
+  // {{ }} expressions and :name placeholders become bind parameters, never
+  // SQL text
+  interpolateQuery(query, input, context) {
     if (typeof query === 'string') {
-      // Simple string replacement for now
-      let text = query;
+      const scope = buildScope(input, context);
+      const data = { ...input, ...context };
       const values = [];
       let paramIndex = 1;
       
+      let text = query.replace(EXPRESSION_PATTERN, (match, expression) => {
+        values.push(evaluate(expression, scope));
+        return `$${paramIndex++}`;
+      });
+      
       text = text.replace(/\:(\w+)/g, (match, key) => {
         if (data.hasOwnProperty(key)) {
           values.push(data[key]);
@@ -155,89 +180,55 @@ export class PythonNode extends BaseNode {
     }
   }
 
+  // The code runs in the python-executor service, which applies the memory,
+  // CPU and module limits and streams newline-delimited JSON events: stdout
+  // and stderr lines, then one result or error
   async execute(input, context) {
     try {
-      const code = this.config.code;
-      const timeout = this.config.timeout || 30000;
-      
-      return new Promise((resolve, reject) => {
-        const python = spawn('python3', ['-c', this.wrapCode(code)]);
-        
-        let stdout = '';
-        let stderr = '';
-        let killed = false;
-        
-        const timer = setTimeout(() => {
-          killed = true;
-          python.kill();
-          reject(new Error('Python execution timeout'));
-        }, timeout);
-        
-        python.stdin.write(JSON.stringify({ input, context }));
-        python.stdin.end();
-        
-        python.stdout.on('data', (data) => {
-          stdout += data.toString();
-        });
-        
-        python.stderr.on('data', (data) => {
-          stderr += data.toString();
-        });
-        
-        python.on('close', (code) => {
-          clearTimeout(timer);
-          
-          if (killed) return;
-          
-          if (code !== 0) {
-            reject(new Error(`Python process exited with code ${code}: ${stderr}`));
-            return;
-          }
-          
-          try {
-            const result = JSON.parse(stdout);
-            resolve({
-              success: true,
-              data: result,
-              logs: stderr,
-              timestamp: new Date().toISOString()
-            });
-          } catch (error) {
-            reject(new Error(`Failed to parse Python output: ${stdout}`));
-          }
-        });
+      const response = await axios.post(`${appConfig.python.executorUrl}/execute`, {
+        code: this.config.code,
+        input,
+        context,
+        timeoutMs: this.config.timeout || appConfig.python.timeout,
+        maxMemoryMb: appConfig.python.maxMemory
+      }, {
+        responseType: 'stream',
+        signal: this.signal
       });
+
+      const logs = [];
+      const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        const event = JSON.parse(line);
+
+        if (event.type === 'stdout' || event.type === 'stderr') {
+          const entry = { stream: event.type, message: event.data };
+          logs.push(entry);
+          this.onLog?.(entry);
+        } else if (event.type === 'error') {
+          return {
+            success: false,
+            error: event.error,
+            traceback: event.traceback,
+            logs,
+            timestamp: new Date().toISOString()
+          };
+        } else if (event.type === 'result') {
+          return {
+            success: true,
+            data: event.data,
+            logs,
+            timestamp: new Date().toISOString()
+          };
+        }
+      }
+
+      throw new Error('Python executor closed the connection without a result');
     } catch (error) {
       return this.handleError(error);
     }
   }
-
-  wrapCode(code) {
-    return `
-import sys
-import json
-import traceback
-
-def execute():
-    try:
-        # Read input
-        input_data = json.loads(sys.stdin.read())
-        input_value = input_data.get('input', {})
-        context = input_data.get('context', {})
-        
-        # User code execution context
-        result = None
-        ${code.split('\n').map(line => '        ' + line).join('\n')}
-        
-        # Output result
-        print(json.dumps(result if result is not None else {}))
-    except Exception as e:
-        print(json.dumps({"error": str(e), "trace": traceback.format_exc()}))
-        sys.exit(1)
-
-execute()
-`;
-  }
 }
 
 // Conditional Node - Branch based on conditions
@@ -255,7 +246,8 @@ export class ConditionalNode extends BaseNode {
 
   async execute(input, context) {
     try {
-      const { condition, operator = 'equals', value, path } = this.config;
+      const { condition, operator = 'equals', path } = this.config;
+      const value = this.render(this.config.value, input, context);
       
       // Get the value to test
       const testValue = path ? this.getValueByPath(input, path) : input;
@@ -293,8 +285,11 @@ export class ConditionalNode extends BaseNode {
         case 'exists':
           result = testValue !== undefined && testValue !== null;
           break;
+        case 'expression':
+          result = Boolean(evaluate(condition, buildScope(input, context)));
+          break;
         case 'javascript':
-          result = this.evaluateJavaScript(condition, { input, context });
+          result = await this.evaluateJavaScript(condition, { input, context });
           break;
         default:
           throw new Error(`Unknown operator: ${operator}`);
@@ -312,17 +307,9 @@ export class ConditionalNode extends BaseNode {
     }
   }
 
-  getValueByPath(obj, path) {
-    return path.split('.').reduce((acc, part) => acc?.[part], obj);
-  }
-
-  evaluateJavaScript(code, data) {
-    const vm = new VM({
-      timeout: 1000,
-      sandbox: { input: data.input, context: data.context }
-    });
-    
-    return vm.run(code);
+  async evaluateJavaScript(code, data) {
+    const { value } = await evaluateInSandbox(code, data, { timeoutMs: 1000 });
+    return value;
   }
 }
 
@@ -342,22 +329,25 @@ export class TransformerNode extends BaseNode {
   async execute(input, context) {
     try {
       let result;
+      let logs;
       
       if (this.config.template) {
         // Template-based transformation
-        result = this.applyTemplate(this.config.template, { ...input, ...context });
+        result = this.render(this.config.template, input, context);
       } else if (this.config.code) {
         // JavaScript code transformation
-        result = this.executeCode(this.config.code, { input, context });
+        ({ value: result, logs } = await this.executeCode(this.config.code, { input, context }));
+        logs.forEach(entry => this.onLog?.(entry));
       } else if (this.config.transform) {
         // Field mapping transformation
-        result = this.applyFieldMapping(this.config.transform, input);
+        result = await this.applyFieldMapping(this.config.transform, input);
       }
       
       return {
         success: true,
         data: result,
         original: this.config.includeOriginal ? input : undefined,
+        logs: logs?.length ? logs : undefined,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -365,43 +355,20 @@ export class TransformerNode extends BaseNode {
     }
   }
 
-  applyTemplate(template, data) {
-    const json = JSON.stringify(template);
-    const processed = json.replace(/"\{\{(\w+)\}\}"/g, (match, key) => {
-      const value = data[key];
-      return JSON.stringify(value);
-    });
-    return JSON.parse(processed);
-  }
-
-  executeCode(code, data) {
-    const vm = new VM({
-      timeout: 5000,
-      sandbox: { 
-        input: data.input, 
-        context: data.context,
-        console: console,
-        JSON: JSON,
-        Math: Math,
-        Date: Date,
-        Object: Object,
-        Array: Array,
-        String: String,
-        Number: Number,
-        Boolean: Boolean
-      }
-    });
-    
-    return vm.run(`
+  // Console output is returned with the result rather than printed
+  async executeCode(code, data) {
+    return await evaluateInSandbox(`
       const transform = (function() {
         ${code}
       })();
       transform
-    `);
+    `, data, { timeoutMs: 5000 });
   }
 
-  applyFieldMapping(mapping, input) {
+  // Expression fields are evaluated together in one sandbox, each in its own context
+  async applyFieldMapping(mapping, input) {
     const result = {};
+    const expressions = [];
     
     for (const [targetField, sourceConfig] of Object.entries(mapping)) {
       if (typeof sourceConfig === 'string') {
@@ -411,19 +378,195 @@ export class TransformerNode extends BaseNode {
         // Static value
         result[targetField] = sourceConfig.value;
       } else if (sourceConfig.type === 'expression') {
-        // JavaScript expression
-        const vm = new VM({
-          timeout: 1000,
-          sandbox: { input, value: this.getValueByPath(input, sourceConfig.field) }
+        // JavaScript expression, filled in below; assigned now to keep field order
+        result[targetField] = undefined;
+        expressions.push({
+          targetField,
+          code: sourceConfig.expression,
+          data: { input, value: this.getValueByPath(input, sourceConfig.field) }
         });
-        result[targetField] = vm.run(sourceConfig.expression);
       }
     }
     
+    if (expressions.length > 0) {
+      const values = await runInSandbox(
+        expressions.map(({ code, data }) => ({ code, data })),
+        { timeoutMs: 1000 }
+      );
+      expressions.forEach(({ targetField }, index) => {
+        result[targetField] = values[index].value;
+      });
+    }
+    
     return result;
   }
+}
+// ForEach Node - Run the loop body once per array item
+export class ForEachNode extends BaseNode {
+  constructor(config) {
+    super(config);
+    this.type = 'foreach';
+    // Set by the engine when edges leave the node's "item" handle
+    this.runBody = null;
+  }
 
-  getValueByPath(obj, path) {
-    return path.split('.').reduce((acc, part) => acc?.[part], obj);
+  validateConfig() {
+    if (!this.config.path) {
+      throw new Error('ForEach node requires path config');
+    }
+    for (const key of ['concurrency', 'batchSize']) {
+      const value = this.config[key];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`ForEach node ${key} must be a positive integer`);
+      }
+    }
   }
-}
\ No newline at end of file
+
+  async execute(input, context) {
+    try {
+      const items = this.getValueByPath(input, this.config.path);
+      if (!Array.isArray(items)) {
+        throw new Error(`Value at path "${this.config.path}" is not an array`);
+      }
+
+      const { concurrency = 1, batchSize = items.length || 1 } = this.config;
+      const runBody = this.runBody || (async (item) => item);
+      const results = new Array(items.length).fill(null);
+      const failures = [];
+
+      // Batches run one after another; items within a batch share the concurrency limit
+      for (let start = 0; start < items.length; start += batchSize) {
+        if (this.signal?.aborted) {
+          throw new Error('ForEach aborted');
+        }
+
+        const indexes = items.slice(start, start + batchSize).map((item, i) => start + i);
+        await this.mapWithConcurrency(indexes, concurrency, async (index) => {
+          try {
+            results[index] = await runBody(items[index]);
+          } catch (error) {
+            failures.push({ index, item: items[index], nodeId: error.nodeId, error: error.message });
+          }
+        });
+      }
+
+      failures.sort((a, b) => a.index - b.index);
+      return {
+        success: true,
+        results,
+        failures,
+        count: items.length,
+        succeeded: items.length - failures.length,
+        failed: failures.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  async mapWithConcurrency(values, limit, fn) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, values.length) }, async () => {
+      while (next < values.length) {
+        await fn(values[next++]);
+      }
+    });
+    await Promise.all(workers);
+  }
+}
+
+// Execute Workflow Node - Run another workflow as a step
+export class ExecuteWorkflowNode extends BaseNode {
+  constructor(config) {
+    super(config);
+    this.type = 'subworkflow';
+    // Set by the engine
+    this.executeWorkflow = null;
+  }
+
+  validateConfig() {
+    if (!this.config.workflowId) {
+      throw new Error('Execute Workflow node requires workflowId config');
+    }
+  }
+
+  async execute(input, context) {
+    try {
+      if (!this.executeWorkflow) {
+        throw new Error('Sub-workflows can only run inside the workflow engine');
+      }
+
+      const { workflowId, inputMapping, waitForCompletion = true } = this.config;
+      const data = inputMapping ? this.mapInput(inputMapping, input) : input;
+
+      const child = await this.executeWorkflow(workflowId, data, { wait: waitForCompletion });
+
+      return {
+        success: true,
+        executionId: child.executionId,
+        status: child.status,
+        data: child.output,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  // { targetField: 'source.path' } pairs, like TransformerNode field mapping
+  mapInput(mapping, input) {
+    const result = {};
+    for (const [targetField, sourcePath] of Object.entries(mapping)) {
+      result[targetField] = this.getValueByPath(input, sourcePath);
+    }
+    return result;
+  }
+}
+
+// Respond Node - Set the HTTP response of a webhook that waits for the workflow
+export class RespondNode extends BaseNode {
+  constructor(config) {
+    super(config);
+    this.type = 'respond';
+  }
+
+  validateConfig() {
+    const { statusCode } = this.config;
+    const code = Number(statusCode);
+    const isExpression = typeof statusCode === 'string' && statusCode.includes('{{');
+    if (statusCode !== undefined && !isExpression && !(Number.isInteger(code) && code >= 100 && code <= 599)) {
+      throw new Error('Respond node statusCode must be between 100 and 599');
+    }
+  }
+
+  async execute(input, context) {
+    try {
+      const { statusCode = 200, headers = {}, body } = this.config;
+
+      return {
+        success: true,
+        response: {
+          statusCode: Number(this.render(statusCode, input, context)),
+          headers: this.render(typeof headers === 'string' ? JSON.parse(headers) : headers, input, context),
+          body: body === undefined ? input : this.render(this.parseBody(body), input, context)
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  // The editor stores the body as text; send it as JSON when it parses
+  parseBody(body) {
+    if (typeof body !== 'string') {
+      return body;
+    }
+    try {
+      return JSON.parse(body);
+    } catch {
+      return body;
+    }
+  }
+}
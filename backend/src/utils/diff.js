@@ -0,0 +1,49 @@
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Compares two lists of objects keyed by `id`
+export function diffById(before = [], after = []) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterById = new Map(after.map(item => [item.id, item]));
+
+  const added = after.filter(item => !beforeById.has(item.id));
+  const removed = before.filter(item => !afterById.has(item.id));
+  const changed = after
+    .filter(item => beforeById.has(item.id) && !isEqual(beforeById.get(item.id), item))
+    .map(item => ({ id: item.id, before: beforeById.get(item.id), after: item }));
+
+  return { added, removed, changed };
+}
+
+const isIdList = (value) => Array.isArray(value) && value.every(item => item && item.id !== undefined);
+
+// Changed top-level fields of two objects. Lists of objects with ids, such as
+// workflow nodes, are compared item by item.
+export function diffObjects(before = {}, after = {}) {
+  const changes = {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (isEqual(before[field], after[field])) {
+      continue;
+    }
+    changes[field] = isIdList(before[field]) && isIdList(after[field])
+      ? diffById(before[field], after[field])
+      : { before: before[field], after: after[field] };
+  }
+  return changes;
+}
+
+export function diffWorkflows(from, to) {
+  const fields = {};
+  for (const field of ['name', 'description', 'settings']) {
+    if (!isEqual(from[field], to[field])) {
+      fields[field] = { before: from[field], after: to[field] };
+    }
+  }
+
+  return {
+    fromVersion: from.version,
+    toVersion: to.version,
+    fields,
+    nodes: diffById(from.nodes, to.nodes),
+    edges: diffById(from.edges, to.edges),
+  };
+}
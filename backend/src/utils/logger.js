@@ -1,5 +1,6 @@
 import pino from 'pino';
 import config from '../config/index.js';
+import { REDACTED, REDACTED_LOG_PATHS, redactionHooks } from './redact.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -42,6 +43,8 @@ const logger = pino(
   {
     level: config.logging.level,
     timestamp: pino.stdTimeFunctions.isoTime,
+    hooks: redactionHooks,
+    redact: { paths: REDACTED_LOG_PATHS, censor: REDACTED },
     formatters: {
       bindings: (bindings) => {
         return { 
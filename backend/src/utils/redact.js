@@ -0,0 +1,121 @@
+import config from '../config/index.js';
+
+export const REDACTED = '[REDACTED]';
+
+export const DEFAULT_SENSITIVE_KEYS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'password',
+  'passwd',
+  'secret',
+  'client_secret',
+  'api_key',
+  'apikey',
+  'x-api-key',
+  'access_token',
+  'refresh_token',
+  'connectionString'
+];
+
+// Shorter values would mask ordinary text
+const MIN_SECRET_LENGTH = 4;
+
+// user:password@ in URLs and connection strings
+const URL_CREDENTIALS = /([a-z][a-z0-9+.-]*:\/\/[^:/?#\s@]+:)[^@/?#\s]+@/gi;
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[-_]/g, '');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isPlainObject = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Masks secrets in anything about to be stored, logged or sent to clients:
+// values under sensitive keys, the given secret values (credentials the
+// engine has decrypted) and passwords embedded in URLs. Returns copies of
+// whatever had something masked and the input itself, untouched, where
+// nothing was, so `redact(value) !== value` tells whether it changed.
+export class Redactor {
+  constructor({ keys = DEFAULT_SENSITIVE_KEYS, secrets = [] } = {}) {
+    this.keys = new Set(keys.map(normalizeKey));
+    this.secrets = [...new Set(secrets)]
+      .filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH);
+    // Longest first so a secret containing another is masked whole
+    const alternatives = [...this.secrets]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp);
+    this.secretPattern = alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'g') : null;
+  }
+
+  // A redactor with the same keys that also masks `values`, e.g. the
+  // credentials decrypted for one execution
+  withSecrets(values) {
+    return new Redactor({ keys: [...this.keys], secrets: [...this.secrets, ...values] });
+  }
+
+  isSensitiveKey(key) {
+    return this.keys.has(normalizeKey(key));
+  }
+
+  redactString(value) {
+    let result = value.replace(URL_CREDENTIALS, `$1${REDACTED}@`);
+    if (this.secretPattern) {
+      result = result.replace(this.secretPattern, REDACTED);
+    }
+    return result;
+  }
+
+  redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (!value || typeof value !== 'object' || seen.has(value)) {
+      return value;
+    }
+
+    if (value instanceof Error) {
+      const copy = Object.create(Object.getPrototypeOf(value));
+      for (const key of Object.getOwnPropertyNames(value)) {
+        copy[key] = this.isSensitiveKey(key) ? REDACTED : this.redact(value[key], seen);
+      }
+      return copy;
+    }
+
+    // Class instances (requests, streams, buffers) are left to their serializers
+    if (!Array.isArray(value) && !isPlainObject(value)) {
+      return value;
+    }
+
+    seen.add(value);
+    if (Array.isArray(value)) {
+      const items = value.map(item => this.redact(item, seen));
+      return items.some((item, i) => item !== value[i]) ? items : value;
+    }
+    const entries = Object.entries(value).map(([key, item]) => [
+      key,
+      this.isSensitiveKey(key) && item !== null && item !== undefined ? REDACTED : this.redact(item, seen)
+    ]);
+    return entries.some(([key, item]) => item !== value[key]) ? Object.fromEntries(entries) : value;
+  }
+}
+
+export const redactor = new Redactor({ keys: config.redaction.keys });
+
+// pino hook that redacts every argument of a log call, messages included
+export const redactionHooks = {
+  logMethod(args, method) {
+    return method.apply(this, args.map(arg => redactor.redact(arg)));
+  }
+};
+
+// pino `redact` paths for request and response serializers, which run after hooks
+export const REDACTED_LOG_PATHS = [
+  'req.headers.authorization',
+  'req.headers.cookie',
+  'req.headers["x-api-key"]',
+  'res.headers["set-cookie"]'
+];
@@ -0,0 +1,106 @@
+import request from 'supertest';
+import { assertWorkflowAccess } from '../../src/core/auth.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+import { createTestApp } from '../helpers/app.js';
+
+const ALICE_CREDENTIAL = '00000000-0000-4000-8000-000000000001';
+const BOB_CREDENTIAL = '00000000-0000-4000-8000-000000000002';
+
+class TokenNode extends BaseNode {
+  async execute() {
+    return { success: true, used: this.credentials.type };
+  }
+}
+
+const usingCredential = (credentialId) => ({
+  name: 'token',
+  nodes: [{ id: 'token', type: 'token', config: { credentialId } }],
+  edges: []
+});
+
+describe('credential ownership', () => {
+  let engine;
+  let app;
+
+  beforeAll(() => {
+    engine = createTestEngine({
+      nodes: { token: TokenNode },
+      config: { retry: { attempts: 1 } },
+      credentials: {
+        [ALICE_CREDENTIAL]: { type: 'httpBearerToken', data: { token: 'alice-token' }, createdBy: 'alice' },
+        [BOB_CREDENTIAL]: { type: 'httpBearerToken', data: { token: 'bob-token' }, createdBy: 'bob' }
+      }
+    });
+    app = createTestApp(engine, {
+      auth: {
+        assertWorkflowAccess: (user, workflow, permission) =>
+          assertWorkflowAccess(engine.workflowRepository, user, workflow, permission)
+      }
+    });
+  });
+
+  beforeEach(() => {
+    app.user = { id: 'alice', role: 'editor' };
+    engine.credentials.credentialRepository.shares = [];
+  });
+
+  it('lists only the credentials a user owns or that are shared with them', async () => {
+    expect((await request(app).get('/api/credentials')).body.map(credential => credential.id)).toEqual([ALICE_CREDENTIAL]);
+
+    await engine.credentials.credentialRepository.saveShare({ credentialId: BOB_CREDENTIAL, userId: 'alice' });
+    expect((await request(app).get('/api/credentials')).body).toHaveLength(2);
+
+    app.user = { id: 'root', role: 'admin' };
+    expect((await request(app).get('/api/credentials')).body).toHaveLength(2);
+  });
+
+  it('hides other users\' credentials and keeps changes to their owner', async () => {
+    expect((await request(app).get(`/api/credentials/${BOB_CREDENTIAL}`)).status).toBe(404);
+    expect((await request(app).delete(`/api/credentials/${BOB_CREDENTIAL}`)).status).toBe(404);
+
+    await engine.credentials.credentialRepository.saveShare({ credentialId: BOB_CREDENTIAL, userId: 'alice' });
+    expect((await request(app).get(`/api/credentials/${BOB_CREDENTIAL}`)).status).toBe(200);
+    expect((await request(app).put(`/api/credentials/${BOB_CREDENTIAL}`).send({ name: 'mine' })).status).toBe(403);
+    expect((await request(app).get(`/api/credentials/${BOB_CREDENTIAL}/shares`)).status).toBe(403);
+  });
+
+  it('runs nodes with credentials of the workflow\'s owner only', async () => {
+    const own = await runWorkflow(engine, usingCredential(ALICE_CREDENTIAL), {}, { createdBy: 'alice' });
+    expect(own.execution.status).toBe('completed');
+
+    const other = await runWorkflow(engine, usingCredential(BOB_CREDENTIAL), {}, { createdBy: 'alice' });
+    expect(other.execution).toMatchObject({ status: 'failed', error: `Credential ${BOB_CREDENTIAL} not found` });
+
+    await engine.credentials.credentialRepository.saveShare({ credentialId: BOB_CREDENTIAL, userId: 'alice' });
+    const shared = await runWorkflow(engine, usingCredential(BOB_CREDENTIAL), {}, { createdBy: 'alice' });
+    expect(shared.execution.status).toBe('completed');
+  });
+
+  it('tests nodes with the requesting user\'s credentials', async () => {
+    const own = await request(app).post('/api/nodes/token/test').send({ config: { credentialId: ALICE_CREDENTIAL } });
+    expect(own.body).toMatchObject({ success: true, output: { used: 'httpBearerToken' } });
+
+    const other = await request(app).post('/api/nodes/token/test').send({ config: { credentialId: BOB_CREDENTIAL } });
+    expect(other.status).toBe(400);
+  });
+
+  it('only saves workflows whose credentials the user may use', async () => {
+    const workflow = await engine.createWorkflow(usingCredential(ALICE_CREDENTIAL), { createdBy: 'alice' });
+    await engine.updateWorkflow(workflow.id, usingCredential(BOB_CREDENTIAL), { createdBy: 'alice' });
+    await engine.workflowRepository.saveShare({ workflowId: workflow.id, userId: 'bob', permission: 'edit' });
+    app.user = { id: 'bob', role: 'editor' };
+
+    const update = await request(app).put(`/api/workflows/${workflow.id}`).send(usingCredential(ALICE_CREDENTIAL));
+    expect(update.status).toBe(403);
+    expect(update.body.error).toBe(`Credential ${ALICE_CREDENTIAL} cannot be used by bob`);
+    expect((await request(app).post(`/api/workflows/${workflow.id}/rollback`).send({ version: 1 })).status).toBe(403);
+    expect((await request(app).post('/api/workflows').send(usingCredential(ALICE_CREDENTIAL))).status).toBe(403);
+    expect((await request(app).post('/api/workflows').send({
+      ...usingCredential(BOB_CREDENTIAL),
+      settings: { webhook: { path: 'in', credentialId: ALICE_CREDENTIAL } }
+    })).status).toBe(403);
+
+    expect((await request(app).put(`/api/workflows/${workflow.id}`).send(usingCredential(BOB_CREDENTIAL))).status).toBe(200);
+  });
+});
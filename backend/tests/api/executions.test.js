@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+import { createTestApp } from '../helpers/app.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+describe('execution history API', () => {
+  let engine;
+  let app;
+
+  beforeAll(() => {
+    engine = createTestEngine({ nodes: { echo: EchoNode } });
+    app = createTestApp(engine);
+  });
+
+  beforeEach(() => {
+    app.user = { id: 'admin', role: 'admin' };
+    engine.executionRepository.list = jest.fn(async () => ({
+      executions: [{ id: 'b' }],
+      next: { key: '2024-01-01T00:00:00Z', id: 'b' }
+    }));
+  });
+
+  it('passes filters through and returns a cursor for the next page', async () => {
+    const response = await request(app).get('/api/executions').query({
+      status: 'failed,cancelled',
+      triggerType: 'webhook',
+      from: '2024-01-01T00:00:00Z',
+      limit: 1
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.executions).toEqual([{ id: 'b' }]);
+    expect(response.body.nextCursor).toEqual(expect.any(String));
+    expect(engine.executionRepository.list).toHaveBeenCalledWith({
+      statuses: ['failed', 'cancelled'],
+      triggerType: 'webhook',
+      from: new Date('2024-01-01T00:00:00Z'),
+      limit: 1,
+      sort: 'startedAt',
+      order: 'desc',
+      accessibleBy: undefined,
+      cursor: undefined
+    });
+  });
+
+  it('continues from the cursor of the previous page', async () => {
+    const { body } = await request(app).get('/api/executions');
+
+    await request(app).get('/api/executions').query({ cursor: body.nextCursor });
+
+    expect(engine.executionRepository.list).toHaveBeenLastCalledWith(expect.objectContaining({
+      cursor: { key: '2024-01-01T00:00:00Z', id: 'b', sort: 'startedAt', order: 'desc' }
+    }));
+  });
+
+  it('rejects cursors from another sort and invalid ones', async () => {
+    const { body } = await request(app).get('/api/executions');
+
+    const resorted = await request(app).get('/api/executions').query({ cursor: body.nextCursor, order: 'asc' });
+    expect(resorted.status).toBe(400);
+    expect(resorted.body.error).toBe('Cursor does not match the requested sort');
+
+    expect((await request(app).get('/api/executions').query({ cursor: 'not-a-cursor' })).status).toBe(400);
+    expect((await request(app).get('/api/executions').query({ sort: 'name' })).status).toBe(400);
+  });
+
+  it('only lists what non-admins can access', async () => {
+    app.user = { id: 'viewer', role: 'viewer' };
+
+    await request(app).get('/api/executions');
+
+    expect(engine.executionRepository.list).toHaveBeenCalledWith(expect.objectContaining({ accessibleBy: 'viewer' }));
+  });
+
+  it('lists one workflow\'s executions', async () => {
+    const workflow = await engine.createWorkflow({ name: 'one', nodes: [{ id: 'a', type: 'echo', config: {} }], edges: [] });
+
+    await request(app).get(`/api/workflows/${workflow.id}/executions`);
+
+    expect(engine.executionRepository.list).toHaveBeenCalledWith(expect.objectContaining({ workflowId: workflow.id }));
+  });
+
+  it('shows every node attempt in the execution detail', async () => {
+    const { execution } = await runWorkflow(engine, {
+      name: 'chain',
+      nodes: [{ id: 'a', type: 'echo', config: {} }, { id: 'b', type: 'echo', config: {} }],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }]
+    }, { value: 1 });
+
+    const response = await request(app).get(`/api/executions/${execution.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('completed');
+    expect(response.body.nodeExecutions.map(row => [row.nodeId, row.status, row.retryCount])).toEqual([
+      ['a', 'completed', 0],
+      ['b', 'completed', 0]
+    ]);
+    expect(response.body.nodeExecutions[0]).toMatchObject({ input: { value: 1 }, output: { input: { value: 1 } } });
+    expect((await request(app).get('/api/executions/00000000-0000-4000-8000-000000000000')).status).toBe(404);
+  });
+});
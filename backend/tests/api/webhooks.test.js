@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { createWebhookRoutes } from '../../src/api/webhooks.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { RespondNode } from '../../src/nodes/implementations.js';
+import { REDACTED } from '../../src/utils/redact.js';
+import { createTestEngine } from '../helpers/engine.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+const SECRET = 'webhook-signing-secret';
+
+const sign = (body, secret = SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('webhooks', () => {
+  let engine;
+  let hooks;
+  let app;
+
+  beforeAll(() => {
+    engine = createTestEngine({
+      nodes: { echo: EchoNode, respond: RespondNode },
+      credentials: {
+        '00000000-0000-4000-8000-000000000001': { type: 'webhookSecret', data: { secret: SECRET } },
+        '00000000-0000-4000-8000-000000000002': { type: 'httpBearerToken', data: { token: 'token' } }
+      }
+    });
+    app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    hooks = createWebhookRoutes(engine);
+    app.use('/api/hooks', hooks);
+  });
+
+  const createHook = (webhook, nodes = [{ id: 'start', type: 'echo', config: {} }], edges = []) =>
+    engine.createWorkflow({ name: 'hook', nodes, edges, settings: { webhook: { path: 'incoming', ...webhook } } });
+
+  it('starts the workflow with the request and answers 202', async () => {
+    const workflow = await createHook({});
+
+    const response = await request(app).post(`/api/hooks/${workflow.id}/incoming?source=test`).send({ id: 7 });
+
+    expect(response.status).toBe(202);
+    expect(response.body.status).toBe('started');
+    const execution = await engine.getExecution(response.body.executionId);
+    expect(execution.triggerType).toBe('webhook');
+    expect(execution.data).toMatchObject({ method: 'POST', path: 'incoming', query: { source: 'test' }, body: { id: 7 } });
+  });
+
+  it('answers 404 for unknown paths and 405 for methods not allowed', async () => {
+    const workflow = await createHook({ methods: ['POST'] });
+
+    expect((await request(app).post(`/api/hooks/${workflow.id}/other`)).status).toBe(404);
+    const response = await request(app).get(`/api/hooks/${workflow.id}/incoming`);
+    expect(response.status).toBe(405);
+    expect(response.headers.allow).toBe('POST');
+  });
+
+  it('verifies HMAC signatures with the secret from the credential', async () => {
+    const workflow = await createHook({ credentialId: '00000000-0000-4000-8000-000000000001' });
+    const body = JSON.stringify({ id: 7 });
+    const post = () => request(app).post(`/api/hooks/${workflow.id}/incoming`).set('Content-Type', 'application/json');
+
+    expect((await post().set('X-Hub-Signature-256', sign(body)).send(body)).status).toBe(202);
+    expect((await post().set('X-Hub-Signature-256', sign(body, 'wrong')).send(body)).status).toBe(401);
+    expect((await post().send(body)).status).toBe(401);
+  });
+
+  it('verifies signatures over bodies of any content type', async () => {
+    const workflow = await createHook({ credentialId: '00000000-0000-4000-8000-000000000001' });
+    const body = '<event id="7"/>';
+    const post = () => request(app).post(`/api/hooks/${workflow.id}/incoming`).set('Content-Type', 'text/plain');
+
+    expect((await post().set('X-Hub-Signature-256', sign(body)).send(body)).status).toBe(202);
+    expect((await post().set('X-Hub-Signature-256', sign('')).send(body)).status).toBe(401);
+    expect((await post().set('X-Hub-Signature-256', sign(body, 'wrong')).send(body)).status).toBe(401);
+  });
+
+  it('refuses bodies whose raw bytes were not kept', async () => {
+    const workflow = await createHook({ credentialId: '00000000-0000-4000-8000-000000000001' });
+    const parsedElsewhere = express();
+    parsedElsewhere.use(express.text());
+    parsedElsewhere.use('/api/hooks', hooks);
+
+    const response = await request(parsedElsewhere)
+      .post(`/api/hooks/${workflow.id}/incoming`)
+      .set('Content-Type', 'text/plain')
+      .set('X-Hub-Signature-256', sign(''))
+      .send('anything');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('refuses secrets stored inline in the workflow', async () => {
+    const workflow = await createHook({ secret: SECRET });
+    const body = JSON.stringify({ id: 7 });
+
+    const response = await request(app)
+      .post(`/api/hooks/${workflow.id}/incoming`)
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', sign(body))
+      .send(body);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toMatch(/webhookSecret credential/);
+  });
+
+  it('only signs with webhookSecret credentials', async () => {
+    const workflow = await createHook({ credentialId: '00000000-0000-4000-8000-000000000002' });
+
+    const response = await request(app).post(`/api/hooks/${workflow.id}/incoming`).send({});
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Webhooks cannot use a httpBearerToken credential');
+  });
+
+  it('waits for the run and sends the Respond node response with onFinish', async () => {
+    const workflow = await createHook({ responseMode: 'onFinish' }, [
+      { id: 'start', type: 'echo', config: {} },
+      { id: 'reply', type: 'respond', config: { statusCode: 201, body: { received: '{{ start.input.body.id }}' } } }
+    ], [{ id: 'e1', source: 'start', target: 'reply' }]);
+
+    const pending = request(app).post(`/api/hooks/${workflow.id}/incoming`).send({ id: 7 });
+    const [response] = await Promise.all([pending, runJobsOf(engine, workflow.id)]);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ received: 7 });
+  });
+
+  it('responds with results as produced, not as stored redacted', async () => {
+    const workflow = await createHook({ responseMode: 'onFinish' }, [
+      { id: 'start', type: 'echo', config: {} },
+      { id: 'reply', type: 'respond', config: { body: { access_token: '{{ start.input.body.code }}' } } }
+    ], [{ id: 'e1', source: 'start', target: 'reply' }]);
+
+    let executionId;
+    engine.once('execution:started', event => { executionId = event.executionId; });
+
+    const pending = request(app).post(`/api/hooks/${workflow.id}/incoming`).send({ code: 'abc123' });
+    const [response] = await Promise.all([pending, runJobsOf(engine, workflow.id)]);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ access_token: 'abc123' });
+    const execution = await engine.getExecution(executionId);
+    expect(execution.nodeResults.reply.response.body.access_token).toBe(REDACTED);
+  });
+});
+
+// Runs the queue once the webhook has started an execution of the workflow
+async function runJobsOf(engine, workflowId) {
+  while (!engine.queue.jobs.some(job => job.state === 'waiting' && job.data.workflowId === workflowId)) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await engine.queue.runJobs();
+}
@@ -0,0 +1,187 @@
+import request from 'supertest';
+import { AuditLog } from '../../src/core/audit.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { REDACTED } from '../../src/utils/redact.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+import { createTestApp } from '../helpers/app.js';
+
+// Entries in memory, listed newest first and paged like the real repository
+class FakeAuditRepository {
+  constructor() {
+    this.entries = [];
+    this.calls = [];
+    this.failing = false;
+  }
+
+  async create(entry) {
+    if (this.failing) {
+      throw new Error('database is down');
+    }
+    const createdAt = new Date(Date.UTC(2026, 0, 1) + this.entries.length * 1000).toISOString();
+    this.entries.push({ ...entry, createdAt });
+  }
+
+  async list({ entityType, action, limit = 100, cursor } = {}) {
+    this.calls.push({ limit, cursor });
+    const matching = [...this.entries]
+      .reverse()
+      .filter(entry => !entityType || entry.entityType === entityType)
+      .filter(entry => !action || entry.action === action)
+      .filter(entry => !cursor || entry.createdAt < cursor.createdAt);
+    const page = matching.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      entries: page,
+      next: matching.length > limit ? { createdAt: last.createdAt, id: last.id } : null
+    };
+  }
+}
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+describe('audit log', () => {
+  let audit;
+  let engine;
+  let app;
+
+  beforeAll(() => {
+    engine = createTestEngine({ nodes: { echo: EchoNode } });
+    audit = new AuditLog();
+    audit.watch(engine);
+    app = createTestApp(engine, { audit });
+  });
+
+  beforeEach(() => {
+    audit.auditRepository = new FakeAuditRepository();
+    app.user = { id: 'admin', role: 'admin' };
+  });
+
+  const entries = () => audit.auditRepository.entries;
+
+  it('stores a diff for updates and a snapshot for creations and deletions', async () => {
+    await audit.record({ entityType: 'workflow', entityId: 'w1', action: 'create', userId: 'alice', after: { name: 'a' } });
+    await audit.record({
+      entityType: 'workflow',
+      entityId: 'w1',
+      action: 'update',
+      before: { name: 'a', updatedAt: 1, nodes: [{ id: 'n1', type: 'echo' }] },
+      after: { name: 'b', updatedAt: 2, nodes: [{ id: 'n1', type: 'echo' }, { id: 'n2', type: 'echo' }] }
+    });
+    await audit.record({ entityType: 'workflow', entityId: 'w1', action: 'delete', before: { name: 'b' } });
+
+    expect(entries().map(entry => entry.details)).toEqual([
+      { after: { name: 'a' } },
+      {
+        changes: {
+          name: { before: 'a', after: 'b' },
+          nodes: { added: [{ id: 'n2', type: 'echo' }], removed: [], changed: [] }
+        }
+      },
+      { before: { name: 'b' } }
+    ]);
+    expect(entries()[1].userId).toBeNull();
+  });
+
+  it('redacts secrets before writing', async () => {
+    await audit.record({
+      entityType: 'user',
+      entityId: 'u1',
+      action: 'update',
+      before: { password: 'old-password' },
+      after: { password: 'new-password' }
+    });
+
+    expect(entries()[0].details.changes.password).toBe(REDACTED);
+    expect(JSON.stringify(entries())).not.toMatch(/old-password|new-password/);
+  });
+
+  it('never fails the audited action when the write fails', async () => {
+    audit.auditRepository.failing = true;
+
+    await expect(audit.record({ entityType: 'workflow', entityId: 'w1', action: 'create' }))
+      .resolves.toMatchObject({ action: 'create' });
+  });
+
+  it('records executions and credential use from engine events', async () => {
+    const { workflow, execution } = await runWorkflow(engine, {
+      name: 'one',
+      nodes: [{ id: 'a', type: 'echo', config: {} }],
+      edges: []
+    }, {}, { createdBy: 'alice' });
+    engine.emit('credential:used', { credentialId: 'c1', executionId: execution.id, nodeId: 'a', userId: 'alice' });
+
+    expect(entries()).toEqual([
+      expect.objectContaining({
+        entityType: 'execution',
+        entityId: execution.id,
+        action: 'start',
+        userId: 'alice',
+        details: expect.objectContaining({ workflowId: workflow.id, triggerType: 'manual' })
+      }),
+      expect.objectContaining({
+        entityType: 'credential',
+        entityId: 'c1',
+        action: 'use',
+        userId: 'alice',
+        details: { executionId: execution.id, nodeId: 'a' }
+      })
+    ]);
+  });
+
+  it('records changes made through the API with who made them', async () => {
+    app.user = { id: 'alice', role: 'editor' };
+
+    const response = await request(app)
+      .post('/api/workflows')
+      .send({ name: 'audited', nodes: [{ id: 'a', type: 'echo', config: {} }], edges: [] });
+
+    expect(entries()).toEqual([expect.objectContaining({
+      entityType: 'workflow',
+      entityId: response.body.id,
+      action: 'create',
+      userId: 'alice',
+      details: { after: expect.objectContaining({ name: 'audited' }) }
+    })]);
+  });
+
+  it('pages entries with a cursor and rejects invalid ones', async () => {
+    for (let i = 0; i < 3; i++) {
+      await audit.record({ entityType: 'workflow', entityId: `w${i}`, action: 'create' });
+    }
+
+    const first = await audit.list({ limit: 2 });
+    expect(first.entries.map(entry => entry.entityId)).toEqual(['w2', 'w1']);
+
+    const second = await audit.list({ limit: 2, cursor: first.nextCursor });
+    expect(second).toEqual({ entries: [expect.objectContaining({ entityId: 'w0' })], nextCursor: null });
+
+    await expect(audit.list({ cursor: 'not-a-cursor' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('exports every matching entry in batches as NDJSON to admins only', async () => {
+    for (let i = 0; i < 501; i++) {
+      await audit.record({ entityType: 'workflow', entityId: `w${i}`, action: i % 2 ? 'update' : 'create' });
+    }
+
+    const response = await request(app).get('/api/audit/export').query({ entityType: 'workflow' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    const exported = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(exported).toHaveLength(501);
+    expect(exported[0].entityId).toBe('w500');
+    expect(audit.auditRepository.calls).toHaveLength(2);
+
+    const filtered = await request(app).get('/api/audit').query({ action: 'update' });
+    expect(filtered.body.entries).toHaveLength(100);
+    expect(filtered.body.entries.every(entry => entry.action === 'update')).toBe(true);
+
+    expect((await request(app).get('/api/audit').query({ entityType: 'node' })).status).toBe(400);
+    app.user = { id: 'operator', role: 'operator' };
+    expect((await request(app).get('/api/audit/export')).status).toBe(403);
+  });
+});
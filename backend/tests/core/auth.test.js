@@ -0,0 +1,47 @@
+import { assertWorkflowAccess, hasRole, workflowActor } from '../../src/core/auth.js';
+import { FakeWorkflowRepository } from '../helpers/engine.js';
+
+describe('workflow access', () => {
+  let repository;
+  const owned = { id: 'w1', createdBy: 'alice' };
+  const ownerless = { id: 'w2' };
+
+  beforeEach(async () => {
+    repository = new FakeWorkflowRepository();
+    await repository.saveShare({ workflowId: 'w1', userId: 'bob', permission: 'run' });
+  });
+
+  const check = (user, workflow, permission) => assertWorkflowAccess(repository, user, workflow, permission);
+
+  it('orders roles so each can do what the ones before it can', () => {
+    expect(hasRole({ role: 'operator' }, 'editor')).toBe(true);
+    expect(hasRole({ role: 'editor' }, 'operator')).toBe(false);
+    expect(hasRole(undefined, 'viewer')).toBe(false);
+  });
+
+  it('lets owners and admins do anything', async () => {
+    await expect(check({ id: 'alice', role: 'viewer' }, owned, 'owner')).resolves.toBeUndefined();
+    await expect(check({ id: 'root', role: 'admin' }, owned, 'owner')).resolves.toBeUndefined();
+  });
+
+  it('lets other users do what their share allows', async () => {
+    const bob = { id: 'bob', role: 'operator' };
+
+    await expect(check(bob, owned, 'run')).resolves.toBeUndefined();
+    await expect(check(bob, owned, 'edit')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(check(bob, owned, 'owner')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(check({ id: 'mallory', role: 'operator' }, owned, 'view'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Workflow not found' });
+  });
+
+  it('leaves workflows without an owner to admins', async () => {
+    await expect(check({ id: 'alice', role: 'operator' }, ownerless, 'view')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(check({ id: 'root', role: 'admin' }, ownerless, 'edit')).resolves.toBeUndefined();
+  });
+
+  it('has workflows act for their owner, or as an admin without one', async () => {
+    expect(workflowActor(owned)).toEqual({ id: 'alice' });
+    expect(workflowActor(ownerless)).toEqual({ role: 'admin' });
+    await expect(check(workflowActor(ownerless), owned, 'run')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { LocalBlobStore, ResultStore, isBlobRef } from '../../src/core/blobs.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { ExecuteWorkflowNode } from '../../src/nodes/implementations.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+import { createTestApp } from '../helpers/app.js';
+
+const BIG = 'x'.repeat(500);
+
+class BigNode extends BaseNode {
+  async execute() {
+    return { success: true, payload: BIG };
+  }
+}
+
+class LengthNode extends BaseNode {
+  async execute(input) {
+    return { success: true, length: input.big.payload.length };
+  }
+}
+
+class RejectNode extends BaseNode {
+  async execute() {
+    return { success: false, error: 'rejected' };
+  }
+}
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+const tempDirectory = () => fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-blobs-'));
+
+describe('ResultStore', () => {
+  let results;
+
+  beforeEach(() => {
+    results = new ResultStore({ directory: tempDirectory(), offloadThresholdBytes: 100, previewBytes: 20 });
+  });
+
+  it('keeps small results inline and offloads large ones behind a reference', async () => {
+    expect(await results.offload({ small: true }, 'w/e/a')).toEqual({ small: true });
+
+    const ref = await results.offload({ payload: BIG }, 'w/e/a');
+    expect(ref).toEqual({
+      $blob: expect.stringMatching(/^w\/e\/a-[0-9a-f-]+\.json$/),
+      size: Buffer.byteLength(JSON.stringify({ payload: BIG })),
+      preview: '{"payload":"xxxxxxxx'
+    });
+    expect(isBlobRef(ref)).toBe(true);
+    expect(await results.offload(ref, 'w/e/a')).toBe(ref);
+    expect(await results.resolve(ref)).toEqual({ payload: BIG });
+    expect(await results.resolveAll({ a: ref, b: 1 })).toEqual({ a: { payload: BIG }, b: 1 });
+  });
+
+  it('previews values too large to send to clients', () => {
+    expect(results.preview({ a: 1 })).toEqual({ a: 1 });
+    expect(results.preview({ payload: BIG })).toEqual({ truncated: true, size: 514, preview: '{"payload":"xxxxxxxx' });
+  });
+
+  it('deletes every result of a workflow', async () => {
+    const ref = await results.offload({ payload: BIG }, 'w1/e1/a');
+    const other = await results.offload({ payload: BIG }, 'w2/e1/a');
+
+    await results.deleteWorkflowResults('w1');
+
+    await expect(results.resolve(ref)).rejects.toThrow(/ENOENT/);
+    expect(await results.resolve(other)).toEqual({ payload: BIG });
+  });
+
+  it('refuses keys that could reach other files', () => {
+    const store = new LocalBlobStore({ directory: tempDirectory() });
+
+    expect(() => store.pathFor('../secrets.json')).toThrow('Invalid blob key: ../secrets.json');
+    expect(() => store.pathFor('/etc/passwd')).toThrow(/Invalid blob key/);
+    expect(() => new ResultStore({ store: 's3' })).toThrow('Unknown blob store: s3');
+  });
+
+  it('uses a store passed in as an object', async () => {
+    const blobs = new Map();
+    const store = { put: async (key, data) => blobs.set(key, data), get: async (key) => blobs.get(key) };
+    const custom = new ResultStore({ store, offloadThresholdBytes: 10 });
+
+    const ref = await custom.offload({ payload: BIG }, 'w/e/a');
+
+    expect(blobs.has(ref.$blob)).toBe(true);
+    expect(await custom.resolve(ref)).toEqual({ payload: BIG });
+  });
+});
+
+describe('offloaded node results', () => {
+  let engine;
+  let app;
+
+  beforeAll(() => {
+    engine = createTestEngine({
+      nodes: { big: BigNode, length: LengthNode, reject: RejectNode, echo: EchoNode, subworkflow: ExecuteWorkflowNode },
+      config: { maxConcurrency: 4, retry: { attempts: 1 } },
+      blobs: { offloadThresholdBytes: 100 }
+    });
+    app = createTestApp(engine);
+  });
+
+  const bigThen = (node) => ({
+    name: 'big',
+    nodes: [{ id: 'big', type: 'big', config: {} }, { id: 'next', ...node }],
+    edges: [{ id: 'e1', source: 'big', target: 'next' }]
+  });
+
+  it('stores a reference and hands the full result to the nodes downstream', async () => {
+    const { execution } = await runWorkflow(engine, bigThen({ type: 'length', config: {} }));
+
+    expect(execution.status).toBe('completed');
+    expect(isBlobRef(execution.nodeResults.big)).toBe(true);
+    expect(execution.nodeResults.next.length).toBe(500);
+    expect(await engine.getNodeOutput(execution.id, 'big')).toEqual({ success: true, payload: BIG });
+  });
+
+  it('serves full outputs through the API', async () => {
+    const { execution } = await runWorkflow(engine, bigThen({ type: 'length', config: {} }));
+
+    const response = await request(app).get(`/api/executions/${execution.id}/nodes/big/output`);
+
+    expect(response.body).toEqual({ success: true, payload: BIG });
+    expect((await request(app).get(`/api/executions/${execution.id}/nodes/missing/output`)).status).toBe(404);
+  });
+
+  it('resolves references in sub-workflow output', async () => {
+    const child = await engine.createWorkflow({ name: 'child', nodes: [{ id: 'big', type: 'big', config: {} }], edges: [] });
+
+    const { execution } = await runWorkflow(engine, {
+      name: 'parent',
+      nodes: [{ id: 'call', type: 'subworkflow', config: { workflowId: child.id } }],
+      edges: []
+    });
+
+    expect(execution.status).toBe('completed');
+    expect(await engine.getNodeOutput(execution.id, 'call')).toMatchObject({ data: { payload: BIG } });
+  });
+
+  it('resolves references in the failed run passed to the error workflow', async () => {
+    const handler = await engine.createWorkflow({ name: 'handler', nodes: [{ id: 'notify', type: 'echo', config: {} }], edges: [] });
+
+    const { execution } = await runWorkflow(engine, {
+      ...bigThen({ type: 'reject', config: {} }),
+      settings: { errorWorkflowId: handler.id }
+    });
+    await engine.queue.runJobs();
+
+    const { executions } = await engine.executionRepository.list({ workflowId: handler.id });
+    const received = await engine.getNodeOutput(executions[0].id, 'notify');
+    expect(received.input.execution).toMatchObject({
+      id: execution.id,
+      nodeResults: { big: { success: true, payload: BIG } }
+    });
+  });
+
+  it('deletes stored results with the workflow', async () => {
+    const { workflow, execution } = await runWorkflow(engine, bigThen({ type: 'length', config: {} }));
+    const ref = execution.nodeResults.big;
+
+    await engine.deleteWorkflow(workflow.id);
+
+    await expect(engine.results.resolve(ref)).rejects.toThrow(/ENOENT/);
+  });
+});
@@ -0,0 +1,115 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine } from '../helpers/engine.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+// Pauses its own execution while running, as a user could
+class PauseNode extends BaseNode {
+  async execute() {
+    await engine.pauseExecution(executionId);
+    return this.config.fail ? { success: false, error: 'failed' } : { success: true };
+  }
+}
+
+const chain = {
+  name: 'chain',
+  nodes: [
+    { id: 'first', type: 'echo', config: {} },
+    { id: 'second', type: 'echo', config: {} }
+  ],
+  edges: [{ id: 'e1', source: 'first', target: 'second' }]
+};
+
+let engine;
+let executionId;
+
+describe('execution control', () => {
+  beforeEach(async () => {
+    engine = createTestEngine({ nodes: { echo: EchoNode, pause: PauseNode } });
+    const workflow = await engine.createWorkflow(chain);
+    ({ executionId } = await engine.executeWorkflow(workflow.id, { value: 1 }));
+  });
+
+  it('cancels an execution and removes its pending jobs', async () => {
+    const result = await engine.cancelExecution(executionId);
+
+    expect(result).toEqual({ executionId, status: 'cancelled' });
+    expect(engine.queue.jobs[0].state).toBe('removed');
+    expect((await engine.getExecution(executionId)).status).toBe('cancelled');
+    expect((await engine.executionRepository.findById(executionId)).status).toBe('cancelled');
+  });
+
+  it('drops jobs of a cancelled execution that were already picked up', async () => {
+    await engine.redis.set(`execution:${executionId}:control`, 'cancelled');
+    await engine.queue.runJobs();
+
+    expect(engine.executionRepository.nodeExecutions).toHaveLength(0);
+  });
+
+  it('lets the cancel marker expire', async () => {
+    await engine.cancelExecution(executionId);
+
+    expect(engine.redis.ttls.get(`execution:${executionId}:control`)).toBeGreaterThan(0);
+  });
+
+  it('clears a pause that was still set when the execution ended', async () => {
+    engine.config.retry = { attempts: 1 };
+    for (const fail of [false, true]) {
+      const workflow = await engine.createWorkflow({
+        name: 'pausing',
+        nodes: [{ id: 'last', type: 'pause', config: { fail } }],
+        edges: []
+      });
+      ({ executionId } = await engine.executeWorkflow(workflow.id, {}));
+      await engine.queue.runJobs();
+
+      expect((await engine.getExecution(executionId)).status).toBe(fail ? 'failed' : 'completed');
+      expect(await engine.redis.get(`execution:${executionId}:control`)).toBeNull();
+    }
+  });
+
+  it('refuses to cancel an execution that already finished', async () => {
+    await engine.queue.runJobs();
+
+    await expect(engine.cancelExecution(executionId)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(engine.cancelExecution('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('holds queued work while paused and runs it on resume', async () => {
+    await engine.pauseExecution(executionId);
+    expect((await engine.getExecution(executionId)).status).toBe('paused');
+    expect((await engine.getExecution(executionId)).heldJobs).toEqual([{ nodeId: 'first', input: { value: 1 } }]);
+
+    await engine.queue.runJobs();
+    expect(engine.executionRepository.nodeExecutions).toHaveLength(0);
+
+    await engine.resumeExecution(executionId);
+    await engine.queue.runJobs();
+
+    const execution = await engine.getExecution(executionId);
+    expect(execution.status).toBe('completed');
+    expect(execution.heldJobs).toEqual([]);
+    expect(execution.nodeResults.second.input.first.input).toEqual({ value: 1 });
+  });
+
+  it('only resumes paused executions', async () => {
+    await expect(engine.resumeExecution(executionId)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('emits events for each control action', async () => {
+    const events = [];
+    for (const event of ['execution:paused', 'execution:resumed', 'execution:cancelled']) {
+      engine.on(event, () => events.push(event));
+    }
+
+    await engine.pauseExecution(executionId);
+    await engine.resumeExecution(executionId);
+    await engine.cancelExecution(executionId);
+
+    expect(events).toEqual(['execution:paused', 'execution:resumed', 'execution:cancelled']);
+  });
+});
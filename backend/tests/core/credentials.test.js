@@ -0,0 +1,125 @@
+import { CredentialStore } from '../../src/core/credentials.js';
+import { validateWorkflow } from '../../src/core/validator.js';
+import { DatabaseNode } from '../../src/nodes/implementations.js';
+import { FakeCredentialRepository } from '../helpers/engine.js';
+
+const createStore = (masterKey = 'master-key') => {
+  const store = new CredentialStore(masterKey);
+  store.credentialRepository = new FakeCredentialRepository();
+  return store;
+};
+
+describe('CredentialStore', () => {
+  it('encrypts values at rest and resolves them for the engine', async () => {
+    const store = createStore();
+
+    const credential = await store.createCredential(
+      { name: 'api', type: 'httpBearerToken', data: { token: 's3cret' } },
+      { createdBy: 'alice' }
+    );
+    const row = await store.credentialRepository.findById(credential.id);
+
+    expect(row.encryptedData).toMatch(/^v1:/);
+    expect(row.encryptedData).not.toContain('s3cret');
+    expect(await store.resolve(credential.id, { id: 'alice' })).toEqual({ type: 'httpBearerToken', data: { token: 's3cret' } });
+  });
+
+  it('only resolves credentials for their owner, users they are shared with and admins', async () => {
+    const store = createStore();
+    const { id } = await store.createCredential(
+      { name: 'api', type: 'httpBearerToken', data: { token: 's3cret' } },
+      { createdBy: 'alice' }
+    );
+    await store.credentialRepository.saveShare({ credentialId: id, userId: 'bob' });
+
+    await expect(store.resolve(id, { id: 'bob', role: 'editor' })).resolves.toMatchObject({ data: { token: 's3cret' } });
+    await expect(store.resolve(id, { id: 'root', role: 'admin' })).resolves.toMatchObject({ data: { token: 's3cret' } });
+    await expect(store.resolve(id, { id: 'mallory', role: 'operator' })).rejects.toThrow(`Credential ${id} not found`);
+    await expect(store.resolve(id)).rejects.toThrow(`Credential ${id} not found`);
+  });
+
+  it('leaves credentials without an owner to admins', async () => {
+    const store = createStore();
+    const { id } = await store.createCredential({ name: 'legacy', type: 'httpBearerToken', data: { token: 's3cret' } });
+
+    await expect(store.resolve(id, { role: 'admin' })).resolves.toMatchObject({ type: 'httpBearerToken' });
+    await expect(store.getCredential(id, { id: 'alice', role: 'editor' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('lets users a credential is shared with see it but only the owner change it', async () => {
+    const store = createStore();
+    const { id } = await store.createCredential(
+      { name: 'api', type: 'httpBearerToken', data: { token: 's3cret' } },
+      { createdBy: 'alice' }
+    );
+    await store.credentialRepository.saveShare({ credentialId: id, userId: 'bob' });
+    const bob = { id: 'bob', role: 'editor' };
+
+    expect((await store.listCredentials({ accessibleBy: 'bob' })).map(credential => credential.id)).toEqual([id]);
+    expect(await store.listCredentials({ accessibleBy: 'mallory' })).toEqual([]);
+    await expect(store.getCredential(id, bob)).resolves.toMatchObject({ name: 'api', createdBy: 'alice' });
+    await expect(store.updateCredential(id, { name: 'mine' }, bob)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(store.deleteCredential(id, { id: 'mallory', role: 'editor' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(store.updateCredential(id, { name: 'renamed' }, { id: 'alice', role: 'editor' }))
+      .resolves.toMatchObject({ name: 'renamed' });
+  });
+
+  it('never returns values through the API shape', async () => {
+    const store = createStore();
+
+    const credential = await store.createCredential({ name: 'db', type: 'database', data: { connectionString: 'postgres://u:p@h/db' } });
+
+    expect(credential).toMatchObject({ name: 'db', type: 'database', fields: ['connectionString'] });
+    expect(JSON.stringify(credential)).not.toContain('postgres://');
+  });
+
+  it('binds ciphertexts to their credential id', () => {
+    const store = createStore();
+    const payload = store.encrypt('first', { token: 's3cret' });
+
+    expect(store.decrypt('first', payload)).toEqual({ token: 's3cret' });
+    expect(() => store.decrypt('second', payload)).toThrow('Credential second could not be decrypted; check the master key');
+  });
+
+  it('cannot decrypt with a different master key', () => {
+    const payload = createStore('master-key').encrypt('id', { token: 's3cret' });
+
+    expect(() => createStore('other-key').decrypt('id', payload)).toThrow(/could not be decrypted/);
+    expect(() => createStore().decrypt('id', `v0${payload.slice(2)}`)).toThrow('Credential id uses unsupported format v0');
+  });
+
+  it('checks the fields each type requires', () => {
+    const store = createStore();
+
+    expect(() => store.assertValidData('httpBasicAuth', { username: 'u', password: '' }))
+      .toThrow('httpBasicAuth credential requires password');
+    expect(() => store.assertValidData('ftp', {})).toThrow('Unknown credential type: ftp');
+  });
+});
+
+describe('Database node credentials', () => {
+  const nodeTypes = new Map([['database', DatabaseNode]]);
+  const errorsFor = (config) =>
+    validateWorkflow({ nodes: [{ id: 'db', type: 'database', config: { query: 'SELECT 1', ...config } }], edges: [] }, nodeTypes).errors;
+
+  it('rejects connection details written into the workflow', () => {
+    expect(errorsFor({ connectionString: 'postgres://u:p@h/db' })).toEqual([{
+      nodeId: 'db',
+      code: 'invalid_config',
+      message: 'Database node connection details must be stored in a database credential'
+    }]);
+    expect(errorsFor({ connection: { host: 'h', password: 'p' } })).toHaveLength(1);
+    expect(errorsFor({})[0].message).toBe('Database node requires credentialId config');
+    expect(errorsFor({ credentialId: 'db-credential' })).toEqual([]);
+  });
+
+  it('only connects with database credentials', () => {
+    const node = new DatabaseNode({ credentialId: 'id', query: 'SELECT 1' });
+    node.credentials = { type: 'httpBearerToken', data: { token: 't' } };
+
+    expect(() => node.connectionConfig()).toThrow('Database node cannot use a httpBearerToken credential');
+
+    node.credentials = { type: 'database', data: { connectionString: 'postgres://u:p@h/db' } };
+    expect(node.connectionConfig()).toEqual({ connectionString: 'postgres://u:p@h/db' });
+  });
+});
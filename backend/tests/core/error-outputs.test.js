@@ -0,0 +1,130 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+class RejectNode extends BaseNode {
+  async execute() {
+    return { success: false, status: 422, error: 'rejected' };
+  }
+}
+
+const withFailure = ({ edges = [], failing = {} } = {}) => ({
+  name: 'failure',
+  nodes: [
+    { id: 'fail', type: 'reject', config: {}, ...failing },
+    { id: 'next', type: 'echo', config: {} },
+    { id: 'handler', type: 'echo', config: {} }
+  ],
+  edges
+});
+
+describe('node failures', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createTestEngine({ nodes: { echo: EchoNode, reject: RejectNode } });
+  });
+
+  it('fails the execution when a node returns success: false', async () => {
+    const failed = [];
+    engine.on('workflow:failed', event => failed.push(event));
+
+    const { execution } = await runWorkflow(engine, withFailure({
+      edges: [{ id: 'e1', source: 'fail', target: 'next' }]
+    }));
+
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toBe('rejected');
+    expect(execution.failedNodeId).toBe('fail');
+    expect(execution.nodeResults.next).toBeUndefined();
+    expect(failed).toEqual([expect.objectContaining({ nodeId: 'fail', error: 'rejected' })]);
+    expect(engine.executionRepository.nodeExecutions[0]).toMatchObject({
+      status: 'failed',
+      error: 'rejected',
+      output: { success: false, status: 422 }
+    });
+  });
+
+  it('routes a failure along the error output only', async () => {
+    const { execution } = await runWorkflow(engine, withFailure({
+      edges: [
+        { id: 'e1', source: 'fail', target: 'next' },
+        { id: 'e2', source: 'fail', target: 'handler', sourceHandle: 'error' }
+      ]
+    }));
+
+    expect(execution.status).toBe('completed');
+    expect(execution.skippedNodes).toEqual(['next']);
+    expect(execution.nodeResults.handler.input.fail).toMatchObject({ success: false, error: 'rejected', status: 422 });
+  });
+
+  it('skips the error output when the node succeeds', async () => {
+    const { execution } = await runWorkflow(engine, {
+      name: 'success',
+      nodes: [
+        { id: 'ok', type: 'echo', config: {} },
+        { id: 'handler', type: 'echo', config: {} }
+      ],
+      edges: [{ id: 'e1', source: 'ok', target: 'handler', sourceHandle: 'error' }]
+    });
+
+    expect(execution.status).toBe('completed');
+    expect(execution.skippedNodes).toEqual(['handler']);
+  });
+
+  it('passes the failure along regular edges with continueOnFail', async () => {
+    const { execution } = await runWorkflow(engine, withFailure({
+      failing: { continueOnFail: true },
+      edges: [{ id: 'e1', source: 'fail', target: 'next' }]
+    }));
+
+    expect(execution.status).toBe('completed');
+    expect(execution.nodeResults.next.input.fail).toMatchObject({ success: false, error: 'rejected' });
+  });
+
+  it('starts the error workflow with the failed run', async () => {
+    const handler = await engine.createWorkflow({
+      name: 'handler',
+      nodes: [{ id: 'notify', type: 'echo', config: {} }],
+      edges: []
+    });
+
+    const { workflow, execution } = await runWorkflow(engine, {
+      ...withFailure(),
+      settings: { errorWorkflowId: handler.id }
+    });
+    await engine.queue.runJobs();
+
+    const { executions } = await engine.executionRepository.list({ workflowId: handler.id });
+    expect(executions).toHaveLength(1);
+    expect(executions[0].triggerType).toBe('error');
+
+    const errorRun = await engine.getExecution(executions[0].id);
+    expect(errorRun.status).toBe('completed');
+    expect(errorRun.nodeResults.notify.input.execution).toMatchObject({
+      id: execution.id,
+      workflowId: workflow.id,
+      error: 'rejected',
+      failedNodeId: 'fail'
+    });
+  });
+
+  it('only starts error workflows the failed workflow\'s owner can run', async () => {
+    const handler = await engine.createWorkflow({
+      name: 'handler',
+      nodes: [{ id: 'notify', type: 'echo', config: {} }],
+      edges: []
+    }, { createdBy: 'bob' });
+
+    await runWorkflow(engine, { ...withFailure(), settings: { errorWorkflowId: handler.id } }, {}, { createdBy: 'alice' });
+    await engine.queue.runJobs();
+
+    const { executions } = await engine.executionRepository.list({ workflowId: handler.id });
+    expect(executions).toHaveLength(0);
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  buildScope,
+  evaluate,
+  findExpressionErrors,
+  getValueByPath,
+  renderTemplate
+} from '../../src/core/expression.js';
+import { ExpressionError } from '../../src/core/errors.js';
+
+const scope = buildScope(
+  { user: { name: ' ada ', tags: ['a', 'b'] }, count: 0 },
+  { 'http-1': { status: 200, data: { items: [{ id: 42 }] } } }
+);
+
+describe('expressions', () => {
+  it('reads paths into the input and upstream results', () => {
+    expect(evaluate('user.tags[1]', scope)).toBe('b');
+    expect(evaluate('$json.user.tags.length', scope)).toBe(2);
+    expect(evaluate('$node["http-1"].data.items[0].id', scope)).toBe(42);
+    expect(evaluate('missing.deeply.nested', scope)).toBeUndefined();
+  });
+
+  it('supports operators, defaults and conditionals', () => {
+    expect(evaluate('count ?? 10', scope)).toBe(0);
+    expect(evaluate('count || 10', scope)).toBe(10);
+    expect(evaluate('$node["http-1"].status === 200 ? "ok" : "error"', scope)).toBe('ok');
+    expect(evaluate('(1 + 2) * 3 % 4', scope)).toBe(1);
+    expect(evaluate('!count && -1 < 0', scope)).toBe(true);
+  });
+
+  it('calls built-in helpers', () => {
+    expect(evaluate('upper(trim(user.name))', scope)).toBe('ADA');
+    expect(evaluate('join(user.tags, "-")', scope)).toBe('a-b');
+    expect(evaluate('sum(1, 2, 3)', scope)).toBe(6);
+    expect(evaluate('formatDate("2024-03-05T07:08:09Z", "YYYY/MM/DD HH:mm")', scope)).toBe('2024/03/05 07:08');
+    expect(evaluate('addDays("2024-01-31T00:00:00Z", 1)', scope)).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  it('refuses prototype access and unknown functions', () => {
+    expect(() => evaluate('user.constructor', scope)).toThrow(ExpressionError);
+    expect(() => evaluate('user["__proto__"]', scope)).toThrow('Access to "__proto__" is not allowed');
+    expect(() => evaluate('eval("1")', scope)).toThrow('Unknown function "eval"');
+    expect(evaluate('user.toString', scope)).toBeUndefined();
+  });
+
+  it('names the expression in errors', () => {
+    expect(() => evaluate('user.', scope)).toThrow(/in expression "user\."$/);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('keeps the type of a template that is a single expression', () => {
+    expect(renderTemplate('{{ $node["http-1"].data.items }}', scope)).toEqual([{ id: 42 }]);
+    expect(renderTemplate('{{ count }}', scope)).toBe(0);
+  });
+
+  it('stringifies expressions inside text', () => {
+    expect(renderTemplate('Hi {{ trim(user.name) }}, {{ user.tags }} {{ missing }}!', scope))
+      .toBe('Hi ada, ["a","b"] !');
+  });
+
+  it('renders nested objects and arrays', () => {
+    expect(renderTemplate({ headers: { 'X-Count': '{{ count }}' }, list: ['{{ user.tags[0] }}'] }, scope))
+      .toEqual({ headers: { 'X-Count': 0 }, list: ['a'] });
+  });
+});
+
+describe('findExpressionErrors', () => {
+  it('reports expressions that do not parse and skips code fields', () => {
+    const errors = findExpressionErrors({
+      url: 'http://example.com/{{ user. }}',
+      body: ['{{ ok }}', '{{ 1 + }}'],
+      code: 'return "{{ not checked"'
+    });
+
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/in expression "user\."/);
+  });
+});
+
+describe('getValueByPath', () => {
+  it('reads dotted and bracketed paths', () => {
+    const value = { data: { 'odd key': [{ id: 1 }] } };
+
+    expect(getValueByPath(value, "data['odd key'][0].id")).toBe(1);
+    expect(getValueByPath(value, '')).toBe(value);
+    expect(getValueByPath(value, 'data.missing.id')).toBeUndefined();
+  });
+});
@@ -0,0 +1,92 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { ForEachNode } from '../../src/nodes/implementations.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+class DoubleNode extends BaseNode {
+  async execute(input) {
+    if (input === 3) {
+      throw new Error('three is not allowed');
+    }
+    return { success: true, value: input * 2 };
+  }
+}
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+const loop = ({ config = {}, body = {} } = {}) => ({
+  name: 'loop',
+  nodes: [
+    { id: 'loop', type: 'foreach', config: { path: 'items', ...config } },
+    { id: 'double', type: 'double', config: {}, ...body },
+    { id: 'after', type: 'echo', config: {} }
+  ],
+  edges: [
+    { id: 'e1', source: 'loop', target: 'double', sourceHandle: 'item' },
+    { id: 'e2', source: 'loop', target: 'after' }
+  ]
+});
+
+describe('ForEach node', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createTestEngine({
+      nodes: { foreach: ForEachNode, double: DoubleNode, echo: EchoNode },
+      config: { retry: { attempts: 1 } }
+    });
+  });
+
+  it('runs the loop body once per item and collects the results in order', async () => {
+    const { execution } = await runWorkflow(engine, loop({ config: { concurrency: 2, batchSize: 2 } }), { items: [1, 2, 4] });
+
+    expect(execution.status).toBe('completed');
+    expect(execution.nodeResults.loop).toMatchObject({
+      results: [{ value: 2 }, { value: 4 }, { value: 8 }],
+      count: 3,
+      succeeded: 3,
+      failed: 0
+    });
+    expect(execution.nodeResults.after.input.loop.count).toBe(3);
+  });
+
+  it('never schedules loop body nodes on their own', async () => {
+    const { execution } = await runWorkflow(engine, loop(), { items: [1] });
+
+    expect(execution.nodeResults.double).toBeUndefined();
+    expect(engine.queue.jobs.map(job => job.data.nodeId)).toEqual(['loop', 'after']);
+  });
+
+  it('reports failed items without stopping the loop', async () => {
+    const { execution } = await runWorkflow(engine, loop(), { items: [1, 3, 4] });
+
+    expect(execution.status).toBe('completed');
+    expect(execution.nodeResults.loop.results).toEqual([expect.objectContaining({ value: 2 }), null, expect.objectContaining({ value: 8 })]);
+    expect(execution.nodeResults.loop.failures).toEqual([
+      { index: 1, item: 3, nodeId: 'double', error: 'three is not allowed' }
+    ]);
+  });
+
+  it('keeps failed items as results when the body node continues on fail', async () => {
+    const { execution } = await runWorkflow(engine, loop({ body: { continueOnFail: true } }), { items: [3] });
+
+    expect(execution.nodeResults.loop.results).toEqual([
+      expect.objectContaining({ success: false, error: 'three is not allowed' })
+    ]);
+    expect(execution.nodeResults.loop.failures).toEqual([]);
+  });
+
+  it('fails when the path does not hold an array', async () => {
+    const { execution } = await runWorkflow(engine, loop(), { items: 'nope' });
+
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toBe('Value at path "items" is not an array');
+  });
+
+  it('rejects invalid concurrency settings', () => {
+    expect(() => new ForEachNode({ path: 'items', concurrency: 0 })).toThrow('ForEach node concurrency must be a positive integer');
+  });
+});
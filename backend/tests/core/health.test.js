@@ -0,0 +1,129 @@
+import http from 'http';
+import request from 'supertest';
+import { HealthMonitor } from '../../src/core/health.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { FakeRedis, createTestEngine } from '../helpers/engine.js';
+import { createTestApp } from '../helpers/app.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+const byName = (report) => Object.fromEntries(report.components.map(component => [component.name, component]));
+
+describe('health monitor', () => {
+  let pythonExecutor;
+  let pythonStatus;
+  let pythonUrl;
+  let engine;
+  let app;
+  let monitor;
+
+  beforeAll(async () => {
+    pythonExecutor = http.createServer((req, res) => {
+      res.writeHead(req.url === '/health' ? pythonStatus : 404).end();
+    });
+    await new Promise(resolve => pythonExecutor.listen(0, '127.0.0.1', resolve));
+    pythonUrl = `http://127.0.0.1:${pythonExecutor.address().port}`;
+
+    engine = createTestEngine({ nodes: { echo: EchoNode } });
+    app = createTestApp(engine, { health: { diagnose: (options) => monitor.diagnose(options) } });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => pythonExecutor.close(resolve));
+  });
+
+  const createMonitor = (config = {}) => {
+    const created = new HealthMonitor(engine, { pythonExecutorUrl: pythonUrl, checkTimeoutMs: 200, ...config });
+    // No Postgres in unit tests; every other check runs against the fakes
+    created.checkPostgres = async () => ({});
+    return created;
+  };
+
+  beforeEach(async () => {
+    pythonStatus = 200;
+    engine.redis = new FakeRedis();
+    engine.queue.jobs = [];
+    app.user = { id: 'admin', role: 'admin' };
+    monitor = createMonitor();
+    await monitor.heartbeat();
+  });
+
+  it('reports healthy when every dependency answers', async () => {
+    const report = await monitor.check();
+
+    expect(report.status).toBe('healthy');
+    expect(report.components.map(component => [component.name, component.status])).toEqual([
+      ['redis', 'healthy'],
+      ['postgres', 'healthy'],
+      ['queue', 'healthy'],
+      ['pythonExecutor', 'healthy'],
+      ['workers', 'healthy']
+    ]);
+    expect(byName(report).workers.workers).toEqual([
+      expect.objectContaining({ workerId: monitor.workerId, pid: process.pid, concurrency: 1 })
+    ]);
+  });
+
+  it('only degrades when the Python executor or the workers are down', async () => {
+    pythonStatus = 500;
+    await monitor.stop();
+
+    const report = await monitor.check();
+
+    expect(report.status).toBe('degraded');
+    expect(byName(report).pythonExecutor).toMatchObject({ status: 'down', critical: false });
+    expect(byName(report).workers).toMatchObject({ status: 'down', error: 'No worker heartbeats' });
+  });
+
+  it('goes down with a critical dependency', async () => {
+    engine.redis.ping = () => new Promise(() => {});
+
+    const report = await monitor.check();
+
+    expect(report.status).toBe('down');
+    expect(byName(report).redis).toMatchObject({ status: 'down', error: 'redis check timed out after 200ms' });
+  });
+
+  it('degrades on slow checks, a paused queue, a backlog and missed heartbeats', async () => {
+    monitor = createMonitor({ slowCheckMs: 20, queueBacklogThreshold: 0 });
+    engine.redis.ping = () => new Promise(resolve => setTimeout(resolve, 50));
+    await engine.queue.add({ executionId: 'e1' });
+    await engine.redis.set('worker:heartbeat:gone', JSON.stringify({ workerId: 'gone', lastSeenAt: '2020-01-01T00:00:00Z' }));
+
+    const report = byName(await monitor.check());
+
+    expect(report.redis).toMatchObject({ status: 'degraded', reason: expect.stringMatching(/^slow response/) });
+    expect(report.queue).toMatchObject({ status: 'degraded', reason: '1 jobs waiting', counts: { waiting: 1 } });
+    expect(report.workers).toMatchObject({ status: 'degraded', reason: '1 of 2 workers missed a heartbeat' });
+
+    engine.queue.isPaused = async () => true;
+    expect(byName(await monitor.check()).queue.reason).toBe('queue is paused');
+    delete engine.queue.isPaused;
+  });
+
+  it('lists stuck jobs and the longest running executions to admins', async () => {
+    monitor = createMonitor({ stuckJobMs: 60 * 1000 });
+    const workflow = await engine.createWorkflow({ name: 'one', nodes: [{ id: 'a', type: 'echo', config: {} }], edges: [] });
+    const { executionId } = await engine.executeWorkflow(workflow.id, {});
+    await engine.queue.add({ executionId: 'old', workflowId: workflow.id, nodeId: 'a' });
+    engine.queue.jobs[1].timestamp = Date.now() - 2 * 60 * 1000;
+
+    const response = await request(app).get('/api/diagnostics').query({ limit: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.stuckJobs).toEqual([
+      expect.objectContaining({ executionId: 'old', state: 'waiting', ageMs: expect.any(Number) })
+    ]);
+    expect(response.body.stuckJobs[0].ageMs).toBeGreaterThanOrEqual(2 * 60 * 1000);
+    expect(response.body.oldestRunningExecutions).toEqual([
+      expect.objectContaining({ id: executionId, status: 'running', ageMs: expect.any(Number) })
+    ]);
+
+    app.user = { id: 'operator', role: 'operator' };
+    expect((await request(app).get('/api/diagnostics')).status).toBe(403);
+  });
+});
@@ -0,0 +1,84 @@
+import { Metrics } from '../../src/core/metrics.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+let failures;
+
+class FlakyNode extends BaseNode {
+  async execute() {
+    if (failures-- > 0) {
+      throw new Error('flaky');
+    }
+    return { success: true };
+  }
+}
+
+const single = (retry) => ({
+  name: 'flaky',
+  nodes: [{ id: 'node', type: 'flaky', config: {}, retry }],
+  edges: []
+});
+
+// The value of one sample in the Prometheus text output
+const sample = (text, line) => {
+  const match = text.split('\n').find(row => row.startsWith(`${line} `));
+  return match === undefined ? undefined : Number(match.slice(line.length + 1));
+};
+
+describe('metrics', () => {
+  let engine;
+  let metrics;
+
+  beforeEach(() => {
+    failures = 0;
+    engine = createTestEngine({ nodes: { flaky: FlakyNode }, config: { retry: { delay: 0 } } });
+    metrics = new Metrics();
+    metrics.watch(engine);
+    metrics.watchQueue(engine.queue);
+  });
+
+  it('counts executions started and finished by workflow', async () => {
+    const { workflow } = await runWorkflow(engine, single({ attempts: 1 }));
+    failures = 1;
+    await engine.executeWorkflow(workflow.id, {}, { triggerType: 'schedule' });
+    await engine.queue.runJobs();
+
+    const text = await metrics.render();
+    const id = `workflow_id="${workflow.id}"`;
+    expect(sample(text, `workflow_executions_started_total{${id},trigger_type="manual"}`)).toBe(1);
+    expect(sample(text, `workflow_executions_started_total{${id},trigger_type="schedule"}`)).toBe(1);
+    expect(sample(text, `workflow_executions_total{${id},status="completed"}`)).toBe(1);
+    expect(sample(text, `workflow_executions_total{${id},status="failed"}`)).toBe(1);
+  });
+
+  it('times node attempts and counts retries by node type', async () => {
+    failures = 1;
+    await runWorkflow(engine, single({ attempts: 2 }));
+
+    const text = await metrics.render();
+    expect(sample(text, 'workflow_node_duration_seconds_count{node_type="flaky",status="failed"}')).toBe(1);
+    expect(sample(text, 'workflow_node_duration_seconds_count{node_type="flaky",status="completed"}')).toBe(1);
+    expect(sample(text, 'workflow_node_retries_total{node_type="flaky"}')).toBe(1);
+  });
+
+  it('reads queue sizes and WebSocket clients when scraped', async () => {
+    const workflow = await engine.createWorkflow(single({ attempts: 1 }));
+    await engine.executeWorkflow(workflow.id);
+    metrics.watchWebSocket({ clients: new Set(['a', 'b']) });
+
+    const text = await metrics.render();
+    expect(sample(text, 'workflow_queue_jobs{queue="workflow-execution",state="waiting"}')).toBe(1);
+    expect(sample(text, 'workflow_queue_jobs{queue="workflow-execution",state="failed"}')).toBe(0);
+    expect(sample(text, 'workflow_websocket_clients')).toBe(2);
+    expect(metrics.contentType).toMatch(/^text\/plain/);
+  });
+
+  it('keeps its own registry', async () => {
+    const other = new Metrics();
+
+    await runWorkflow(engine, single({ attempts: 1 }));
+
+    expect(await other.render()).not.toMatch(/^workflow_executions_total\{/m);
+    expect(await metrics.render()).toMatch(/^workflow_executions_total\{/m);
+  });
+});
@@ -0,0 +1,72 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+const chain = {
+  name: 'chain',
+  nodes: [
+    { id: 'first', type: 'echo', config: {} },
+    { id: 'second', type: 'echo', config: {} }
+  ],
+  edges: [{ id: 'e1', source: 'first', target: 'second' }]
+};
+
+const storedExecution = async (engine, executionId) =>
+  JSON.parse(await engine.redis.get(`execution:${executionId}`));
+
+describe('execution persistence', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createTestEngine({ nodes: { echo: EchoNode } });
+  });
+
+  it('writes the final state to Postgres', async () => {
+    const { execution } = await runWorkflow(engine, chain, { value: 1 });
+
+    const row = await engine.executionRepository.findById(execution.id);
+    expect(row.status).toBe('completed');
+    expect(row.nodeResults.second.input.first.input).toEqual({ value: 1 });
+    expect(row.executionTimeMs).toBeGreaterThanOrEqual(0);
+    expect(engine.executions.has(execution.id)).toBe(false);
+  });
+
+  it('records one node execution per node with input and output', async () => {
+    const { execution } = await runWorkflow(engine, chain, { value: 1 });
+
+    const rows = await engine.executionRepository.listNodeExecutions(execution.id);
+    expect(rows.map(row => [row.nodeId, row.status])).toEqual([['first', 'completed'], ['second', 'completed']]);
+    expect(rows[0].input).toEqual({ value: 1 });
+    expect(rows[1].output.input).toEqual({ first: rows[0].output });
+  });
+
+  it('persists queued job ids and current nodes before the job runs', async () => {
+    const workflow = await engine.createWorkflow(chain);
+    const { executionId } = await engine.executeWorkflow(workflow.id, {});
+
+    let stored = await storedExecution(engine, executionId);
+    expect(stored.currentNodes).toEqual(['first']);
+    expect(stored.jobIds.first).toBe(engine.queue.jobs[0].id);
+
+    await engine.queue.runNext();
+
+    stored = await storedExecution(engine, executionId);
+    expect(stored.currentNodes).toEqual(['second']);
+    expect(stored.jobIds).toEqual({ second: engine.queue.jobs[1].id });
+  });
+
+  it('picks up an execution started by another process from Redis', async () => {
+    const workflow = await engine.createWorkflow(chain);
+    const { executionId } = await engine.executeWorkflow(workflow.id, {});
+    engine.executions.clear();
+
+    await engine.queue.runJobs();
+
+    expect((await engine.getExecution(executionId)).status).toBe('completed');
+  });
+});
@@ -0,0 +1,160 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { REDACTED, Redactor, redactor } from '../../src/utils/redact.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+const TOKEN = 'tok-8f3a91c2';
+const CREDENTIAL_ID = '00000000-0000-4000-8000-000000000001';
+
+// Hands out the token like a login call would
+class LoginNode extends BaseNode {
+  async execute() {
+    this.onLog?.({ level: 'info', message: `logging in with ${this.credentials.data.token}` });
+    return { success: true, session: `session for ${this.credentials.data.token}` };
+  }
+}
+
+// Records what it was given, as a node calling an API with it would
+class UseNode extends BaseNode {
+  async execute(input) {
+    received.push(input);
+    if (failures-- > 0) {
+      throw new Error('temporarily down');
+    }
+    return { success: true, used: true };
+  }
+}
+
+let received;
+let failures;
+
+const chain = {
+  name: 'chain',
+  nodes: [
+    { id: 'login', type: 'login', config: { credentialId: CREDENTIAL_ID } },
+    { id: 'use', type: 'use', config: {} }
+  ],
+  edges: [{ id: 'e1', source: 'login', target: 'use' }]
+};
+
+describe('redaction', () => {
+  let engine;
+
+  beforeEach(() => {
+    received = [];
+    failures = 0;
+    engine = createTestEngine({
+      nodes: { login: LoginNode, use: UseNode },
+      credentials: { [CREDENTIAL_ID]: { type: 'httpBearerToken', data: { token: TOKEN } } }
+    });
+  });
+
+  it('passes results to the next node unredacted', async () => {
+    const { execution } = await runWorkflow(engine, chain);
+
+    expect(execution.status).toBe('completed');
+    expect(received).toEqual([{ login: expect.objectContaining({ session: `session for ${TOKEN}` }) }]);
+  });
+
+  it('stores, records and emits results redacted', async () => {
+    const completed = [];
+    engine.on('node:completed', event => completed.push(event.result));
+
+    const { execution } = await runWorkflow(engine, chain);
+
+    expect(execution.nodeResults.login.session).toBe(`session for ${REDACTED}`);
+    expect(await engine.redis.get(`execution:${execution.id}`)).not.toContain(TOKEN);
+    expect(JSON.stringify(await engine.executionRepository.findById(execution.id))).not.toContain(TOKEN);
+    expect(JSON.stringify(engine.executionRepository.nodeExecutions)).not.toContain(TOKEN);
+    expect(JSON.stringify(completed)).not.toContain(TOKEN);
+    expect(await engine.redis.get(`execution:${execution.id}:unredacted`)).not.toContain(TOKEN);
+  });
+
+  it('keeps only a sealed blob reference to unredacted results', async () => {
+    const { execution } = await runWorkflow(engine, chain);
+
+    const { nodeResults } = await engine.loadUnredacted(execution.id);
+    expect(Object.keys(nodeResults)).toEqual(['login']);
+    expect(nodeResults.login).toEqual({ $blob: expect.stringContaining('login-unredacted'), size: expect.any(Number), sealed: true });
+    expect(await engine.results.store.get(nodeResults.login.$blob)).not.toContain(TOKEN);
+    expect((await engine.results.resolve(nodeResults.login)).session).toBe(`session for ${TOKEN}`);
+  });
+
+  it('redacts node logs', async () => {
+    const logs = [];
+    engine.on('node:log', entry => logs.push(entry.message));
+
+    await runWorkflow(engine, chain);
+
+    expect(logs).toEqual([`logging in with ${REDACTED}`]);
+  });
+
+  it('gives start nodes the trigger data unredacted', async () => {
+    const workflow = { name: 'start', nodes: [{ id: 'use', type: 'use', config: {} }], edges: [] };
+
+    const { execution } = await runWorkflow(engine, workflow, { headers: { authorization: 'Bearer abc123' } });
+
+    expect(received).toEqual([{ headers: { authorization: 'Bearer abc123' } }]);
+    expect(execution.data.headers.authorization).toBe(REDACTED);
+    expect(engine.executionRepository.nodeExecutions[0].input.headers.authorization).toBe(REDACTED);
+  });
+
+  it('keeps credential values masked only within their execution', async () => {
+    await runWorkflow(engine, chain);
+    const workflow = { name: 'echo', nodes: [{ id: 'use', type: 'use', config: {} }], edges: [] };
+
+    const { execution } = await runWorkflow(engine, workflow, { note: TOKEN });
+
+    expect(execution.data.note).toBe(TOKEN);
+    expect(redactor.secrets).toEqual([]);
+  });
+
+  it('reuses unredacted results when retrying', async () => {
+    failures = 1;
+    engine.config.retry = { attempts: 1 };
+    const { execution } = await runWorkflow(engine, chain);
+    expect(execution.status).toBe('failed');
+
+    const { executionId, reusedNodes } = await engine.retryExecution(execution.id);
+    await engine.queue.runJobs();
+
+    expect(reusedNodes).toEqual(['login']);
+    expect((await engine.getExecution(executionId)).status).toBe('completed');
+    expect(received[1].login.session).toBe(`session for ${TOKEN}`);
+  });
+});
+
+describe('Redactor', () => {
+  it('masks sensitive keys, URL passwords and the given secrets', () => {
+    const scoped = new Redactor({ keys: ['password'] }).withSecrets(['abcd', 'abcdefgh', 'no']);
+
+    expect(scoped.redact({
+      password: 'hunter2',
+      url: 'postgres://user:hunter2@db/app',
+      note: 'abcdefgh then abcd, no'
+    })).toEqual({
+      password: REDACTED,
+      url: `postgres://user:${REDACTED}@db/app`,
+      note: `${REDACTED} then ${REDACTED}, no`
+    });
+  });
+
+  it('leaves the redactor it came from unchanged', () => {
+    const base = new Redactor();
+
+    base.withSecrets(['abcdefgh']);
+
+    expect(base.redact('abcdefgh')).toBe('abcdefgh');
+  });
+
+  it('returns values with nothing to mask as they are', () => {
+    const clean = { list: [1, { ok: true }], nested: { note: 'fine' } };
+    const dirty = { list: [1, { password: 'hunter2' }], nested: clean.nested };
+
+    expect(redactor.redact(clean)).toBe(clean);
+    const redacted = redactor.redact(dirty);
+    expect(redacted).not.toBe(dirty);
+    expect(redacted.list[1]).toEqual({ password: REDACTED });
+    expect(redacted.nested).toBe(clean.nested);
+    expect(dirty.list[1].password).toBe('hunter2');
+  });
+});
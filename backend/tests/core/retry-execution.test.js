@@ -0,0 +1,141 @@
+import request from 'supertest';
+import { assertWorkflowAccess } from '../../src/core/auth.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+import { createTestApp } from '../helpers/app.js';
+
+let runs;
+let failures;
+
+class CountNode extends BaseNode {
+  async execute(input) {
+    runs.push(this.config.name);
+    if (this.config.flaky && failures-- > 0) {
+      throw new Error(`${this.config.name} is down`);
+    }
+    return { success: true, name: this.config.name, input };
+  }
+}
+
+const pipeline = (bConfig = {}) => ({
+  name: 'pipeline',
+  nodes: [
+    { id: 'a', type: 'count', config: { name: 'a' } },
+    { id: 'b', type: 'count', config: { name: 'b', flaky: true, ...bConfig } },
+    { id: 'c', type: 'count', config: { name: 'c' } }
+  ],
+  edges: [
+    { id: 'e1', source: 'a', target: 'b' },
+    { id: 'e2', source: 'b', target: 'c' }
+  ]
+});
+
+describe('retrying executions', () => {
+  let engine;
+  let app;
+
+  beforeAll(() => {
+    engine = createTestEngine({ nodes: { count: CountNode }, config: { retry: { attempts: 1 } } });
+    app = createTestApp(engine, {
+      auth: {
+        assertWorkflowAccess: (user, workflow, permission) =>
+          assertWorkflowAccess(engine.workflowRepository, user, workflow, permission)
+      }
+    });
+  });
+
+  beforeEach(() => {
+    runs = [];
+    failures = 1;
+    app.user = { id: 'operator', role: 'operator' };
+  });
+
+  const failedRun = async (definition = pipeline(), options = {}) => {
+    const { workflow, execution } = await runWorkflow(engine, definition, { value: 1 }, options);
+    expect(execution.status).toBe('failed');
+    runs = [];
+    return { workflow, execution };
+  };
+
+  it('reuses upstream results and runs the failed node and what follows it', async () => {
+    const { execution } = await failedRun();
+
+    const retry = await engine.retryExecution(execution.id, { createdBy: 'operator' });
+    await engine.queue.runJobs();
+
+    expect(retry).toMatchObject({ status: 'started', retryOfExecutionId: execution.id, reusedNodes: ['a'] });
+    expect(runs).toEqual(['b', 'c']);
+    const retried = await engine.getExecution(retry.executionId);
+    expect(retried).toMatchObject({ status: 'completed', retryOfExecutionId: execution.id, createdBy: 'operator' });
+    expect(retried.nodeResults.a).toEqual(execution.nodeResults.a);
+    expect(retried.nodeResults.c.input.b.input.a.input).toEqual({ value: 1 });
+  });
+
+  it('runs against the original version unless asked for the latest', async () => {
+    const { workflow, execution } = await failedRun();
+    await engine.updateWorkflow(workflow.id, pipeline({ name: 'b2' }));
+
+    const original = await engine.retryExecution(execution.id);
+    await engine.queue.runJobs();
+    expect(original.workflowVersion).toBe(1);
+    expect(runs).toEqual(['b', 'c']);
+
+    runs = [];
+    const latest = await engine.retryExecution(execution.id, { latestVersion: true });
+    await engine.queue.runJobs();
+    expect(latest.workflowVersion).toBe(2);
+    expect(runs).toEqual(['b2', 'c']);
+  });
+
+  it('runs changed nodes again on the latest version', async () => {
+    const { workflow, execution } = await failedRun();
+    const changed = pipeline();
+    changed.nodes[0].config.name = 'a2';
+    await engine.updateWorkflow(workflow.id, changed);
+
+    const retry = await engine.retryExecution(execution.id, { latestVersion: true });
+    await engine.queue.runJobs();
+
+    expect(retry.reusedNodes).toEqual([]);
+    expect(runs).toEqual(['a2', 'b', 'c']);
+  });
+
+  it('only retries failed or cancelled executions', async () => {
+    failures = 0;
+    const { execution } = await runWorkflow(engine, pipeline());
+
+    await expect(engine.retryExecution(execution.id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(engine.retryExecution('00000000-0000-4000-8000-000000000000')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('is exposed through the API to operators who can view the workflow', async () => {
+    const { workflow, execution } = await failedRun(pipeline(), { createdBy: 'alice' });
+    await engine.workflowRepository.saveShare({ workflowId: workflow.id, userId: 'operator', permission: 'view' });
+
+    const response = await request(app).post(`/api/executions/${execution.id}/retry`).send({ latestVersion: false });
+    expect(response.status).toBe(201);
+    expect(response.body.reusedNodes).toEqual(['a']);
+    await engine.queue.runJobs();
+
+    app.user = { id: 'stranger', role: 'operator' };
+    expect((await request(app).post(`/api/executions/${execution.id}/retry`)).status).toBe(404);
+  });
+
+  it('lets owners and run shares retry and run whatever their role', async () => {
+    const { workflow, execution } = await failedRun(pipeline(), { createdBy: 'alice' });
+    await engine.workflowRepository.saveShare({ workflowId: workflow.id, userId: 'bob', permission: 'view' });
+    const retry = () => request(app).post(`/api/executions/${execution.id}/retry`);
+
+    app.user = { id: 'bob', role: 'editor' };
+    expect((await retry()).status).toBe(403);
+
+    await engine.workflowRepository.saveShare({ workflowId: workflow.id, userId: 'bob', permission: 'run' });
+    expect((await retry()).status).toBe(201);
+    await engine.queue.runJobs();
+
+    app.user = { id: 'alice', role: 'viewer' };
+    expect((await retry()).status).toBe(201);
+    expect((await request(app).post(`/api/workflows/${workflow.id}/execute`).send({})).status).toBe(200);
+    await engine.queue.runJobs();
+  });
+});
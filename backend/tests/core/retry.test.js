@@ -0,0 +1,143 @@
+import {
+  DEFAULT_RETRY_POLICY,
+  computeBackoff,
+  isRetryable,
+  resolveRetryPolicy,
+  toJobOptions
+} from '../../src/core/retry.js';
+import { NodeExecutionError, NodeTimeoutError } from '../../src/core/errors.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { HTTPNode } from '../../src/nodes/implementations.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+describe('retry policies', () => {
+  it('lets node settings override engine defaults', () => {
+    expect(resolveRetryPolicy({ attempts: 5 }, { delay: 100 })).toEqual({
+      ...DEFAULT_RETRY_POLICY,
+      attempts: 5,
+      delay: 100
+    });
+  });
+
+  it('maps a policy to Bull job options', () => {
+    expect(toJobOptions({ attempts: 2, backoff: 'fixed', delay: 10, maxDelay: 50 })).toEqual({
+      attempts: 2,
+      backoff: { type: 'retryPolicy', options: { backoff: 'fixed', delay: 10, maxDelay: 50 } }
+    });
+  });
+
+  it('computes fixed and exponential backoff capped at maxDelay', () => {
+    expect(computeBackoff(3, null, { backoff: 'fixed', delay: 100, maxDelay: 1000 })).toBe(100);
+    expect([1, 2, 3].map(n => computeBackoff(n, null, { backoff: 'exponential', delay: 100, maxDelay: 1000 })))
+      .toEqual([100, 300, 700]);
+    expect(computeBackoff(10, null, { backoff: 'exponential', delay: 100, maxDelay: 1000 })).toBe(1000);
+  });
+
+  it('retries everything without a retryOn filter', () => {
+    expect(isRetryable(new Error('boom'), {})).toBe(true);
+  });
+
+  it('matches retryOn by error name, code, cause or HTTP status', () => {
+    const policy = { retryOn: { errors: ['NodeTimeoutError', 'ECONNREFUSED'], statuses: [503] } };
+
+    expect(isRetryable(new NodeTimeoutError('node', 10), policy)).toBe(true);
+    expect(isRetryable(new NodeExecutionError('refused', { cause: { name: 'AxiosError', code: 'ECONNREFUSED' } }), policy)).toBe(true);
+    expect(isRetryable(new NodeExecutionError('unavailable', { status: 503 }), policy)).toBe(true);
+    expect(isRetryable(new NodeExecutionError('bad request', { status: 400 }), policy)).toBe(false);
+    expect(isRetryable(new Error('boom'), policy)).toBe(false);
+  });
+});
+
+class FlakyNode extends BaseNode {
+  async execute() {
+    FlakyNode.calls += 1;
+    if (FlakyNode.calls < this.config.succeedOn) {
+      throw new Error(`call ${FlakyNode.calls} failed`);
+    }
+    return { success: true, calls: FlakyNode.calls };
+  }
+}
+
+class SlowNode extends BaseNode {
+  async execute() {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return { success: true };
+  }
+}
+
+const single = (type, { config = {}, ...options } = {}) => ({
+  name: type,
+  nodes: [{ id: 'node', type, config, ...options }],
+  edges: []
+});
+
+describe('node retries', () => {
+  let engine;
+
+  beforeEach(() => {
+    FlakyNode.calls = 0;
+    engine = createTestEngine({
+      nodes: { flaky: FlakyNode, slow: SlowNode, http: HTTPNode },
+      config: { retry: { delay: 0 } }
+    });
+  });
+
+  it('retries a failing node until it succeeds', async () => {
+    const retrying = [];
+    engine.on('node:retrying', event => retrying.push(event.attempt));
+
+    const { execution } = await runWorkflow(engine, single('flaky', { config: { succeedOn: 3 }, retry: { attempts: 3 } }));
+
+    expect(execution.status).toBe('completed');
+    expect(execution.nodeResults.node.calls).toBe(3);
+    expect(retrying).toEqual([1, 2]);
+    expect(engine.executionRepository.nodeExecutions.map(row => [row.retryCount, row.status])).toEqual([
+      [0, 'failed'], [1, 'failed'], [2, 'completed']
+    ]);
+  });
+
+  it('fails the execution once attempts run out', async () => {
+    const { execution } = await runWorkflow(engine, single('flaky', { config: { succeedOn: 5 }, retry: { attempts: 2 } }));
+
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toBe('call 2 failed');
+    expect(FlakyNode.calls).toBe(2);
+  });
+
+  it('does not retry errors outside retryOn', async () => {
+    const { execution } = await runWorkflow(engine, single('flaky', {
+      config: { succeedOn: 3 },
+      retry: { attempts: 3, retryOn: { errors: ['ECONNRESET'] } }
+    }));
+
+    expect(execution.status).toBe('failed');
+    expect(FlakyNode.calls).toBe(1);
+    expect(engine.queue.jobs[0].discarded).toBe(true);
+  });
+
+  it('times out slow nodes and retries them as ETIMEDOUT', async () => {
+    const { execution } = await runWorkflow(engine, single('slow', {
+      timeoutMs: 20,
+      retry: { attempts: 2, retryOn: { errors: ['ETIMEDOUT'] } }
+    }));
+
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toBe('Node node timed out after 20ms');
+    expect(engine.executionRepository.nodeExecutions).toHaveLength(2);
+  });
+
+  it('retries an HTTP node whose connection is refused', async () => {
+    const { execution } = await runWorkflow(engine, single('http', {
+      config: { url: 'http://127.0.0.1:1/', timeout: 2000 },
+      retry: { attempts: 3, retryOn: { errors: ['ECONNREFUSED'] } }
+    }));
+
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toMatch(/ECONNREFUSED/);
+    expect(engine.executionRepository.nodeExecutions.map(row => row.retryCount)).toEqual([0, 1, 2]);
+    expect(engine.executionRepository.nodeExecutions[0].output).toMatchObject({
+      success: false,
+      code: 'ECONNREFUSED'
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { ConditionalNode } from '../../src/nodes/implementations.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+const branchingWorkflow = {
+  name: 'branching',
+  nodes: [
+    { id: 'check', type: 'conditional', config: { condition: 'amount', path: 'amount', operator: 'greater', value: 100 } },
+    { id: 'big', type: 'echo', config: {} },
+    { id: 'small', type: 'echo', config: {} },
+    { id: 'afterSmall', type: 'echo', config: {} },
+    { id: 'join', type: 'echo', config: {} }
+  ],
+  edges: [
+    { id: 'e1', source: 'check', target: 'big', sourceHandle: 'true' },
+    { id: 'e2', source: 'check', target: 'small', sourceHandle: 'false' },
+    { id: 'e3', source: 'small', target: 'afterSmall' },
+    { id: 'e4', source: 'big', target: 'join' },
+    { id: 'e5', source: 'afterSmall', target: 'join' }
+  ]
+};
+
+describe('conditional routing', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createTestEngine({ nodes: { conditional: ConditionalNode, echo: EchoNode } });
+  });
+
+  it('follows only the edge whose sourceHandle matches the branch', async () => {
+    const { execution } = await runWorkflow(engine, branchingWorkflow, { amount: 500 });
+
+    expect(execution.status).toBe('completed');
+    expect(execution.nodeResults.check.branch).toBe('true');
+    expect(execution.nodeResults.big).toBeDefined();
+    expect(execution.skippedNodes).toEqual(expect.arrayContaining(['small', 'afterSmall']));
+    expect(execution.nodeResults.small).toBeUndefined();
+  });
+
+  it('skips the whole untaken path and still runs the join once', async () => {
+    const { execution } = await runWorkflow(engine, branchingWorkflow, { amount: 5 });
+
+    expect(execution.status).toBe('completed');
+    expect(execution.skippedNodes).toEqual(['big']);
+    expect(Object.keys(execution.nodeResults.join.input)).toEqual(['afterSmall']);
+    expect(engine.queue.jobs.filter(job => job.data.nodeId === 'join')).toHaveLength(1);
+  });
+
+  it('records skipped nodes as node executions', async () => {
+    await runWorkflow(engine, branchingWorkflow, { amount: 5 });
+
+    const skipped = engine.executionRepository.nodeExecutions.filter(row => row.status === 'skipped');
+    expect(skipped.map(row => row.nodeId)).toEqual(['big']);
+  });
+
+  it('fires edges without a sourceHandle regardless of the branch', async () => {
+    const { execution } = await runWorkflow(engine, {
+      name: 'unconditional',
+      nodes: [
+        { id: 'check', type: 'conditional', config: { condition: 'flag', path: 'flag', operator: 'exists' } },
+        { id: 'next', type: 'echo', config: {} }
+      ],
+      edges: [{ id: 'e1', source: 'check', target: 'next' }]
+    }, {});
+
+    expect(execution.nodeResults.check.branch).toBe('false');
+    expect(execution.nodeResults.next).toBeDefined();
+  });
+});
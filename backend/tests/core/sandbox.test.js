@@ -0,0 +1,52 @@
+import { SandboxError } from '../../src/core/errors.js';
+import { evaluateInSandbox, runInSandbox } from '../../src/core/sandbox.js';
+
+describe('sandbox', () => {
+  it('returns the completion value and console output', async () => {
+    const result = await evaluateInSandbox('console.log("total", items.length); items.map(x => x * 2)', { items: [1, 2] });
+
+    expect(result).toEqual({ value: [2, 4], logs: [{ level: 'log', message: 'total 2' }] });
+  });
+
+  it('runs each task in a fresh context', async () => {
+    const results = await runInSandbox([
+      { code: 'globalThis.leak = 1; leak', data: {} },
+      { code: 'typeof leak', data: {} }
+    ]);
+
+    expect(results.map(result => result.value)).toEqual([1, 'undefined']);
+  });
+
+  it('shares nothing between evaluations run by the same process', async () => {
+    await expect(evaluateInSandbox('globalThis.leak = 1; throw new Error("boom")', {})).rejects.toThrow('boom');
+    await evaluateInSandbox('Object.prototype.polluted = true', {}).catch(() => {});
+
+    expect((await evaluateInSandbox('[typeof leak, ({}).polluted]', {})).value).toEqual(['undefined', null]);
+  });
+
+  it('hides host globals and string code generation', async () => {
+    expect((await evaluateInSandbox('[typeof process, typeof require, typeof eval, typeof Function]', {})).value)
+      .toEqual(['undefined', 'undefined', 'undefined', 'undefined']);
+    await expect(evaluateInSandbox('(() => {}).constructor("return process")()', {}))
+      .rejects.toThrow(/Code generation from strings disallowed/);
+  });
+
+  it('does not reveal host paths in stack traces', async () => {
+    const { value } = await evaluateInSandbox('function f() { return new Error("x").stack; }\nf()', {});
+
+    expect(value).toBe('Error: x\n    at f (sandbox.js:1:23)\n    at sandbox.js:2:1');
+  });
+
+  it('stops scripts that run too long', async () => {
+    await expect(evaluateInSandbox('while (true) {}', {}, { timeoutMs: 100 }))
+      .rejects.toMatchObject({ name: 'SandboxError', code: 'ETIMEDOUT' });
+  });
+
+  it('contains scripts that run out of memory', async () => {
+    const error = await evaluateInSandbox('Array.from({ length: 1e9 })', {}, { memoryMb: 32 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SandboxError);
+    expect(error).toMatchObject({ code: 'ERR_SANDBOX_MEMORY', message: 'Script exceeded the 32MB memory limit' });
+    expect((await evaluateInSandbox('1 + 1', {})).value).toBe(2);
+  }, 30000);
+});
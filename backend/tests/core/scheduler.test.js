@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import { assertWorkflowAccess } from '../../src/core/auth.js';
+import { Scheduler } from '../../src/core/scheduler.js';
+
+const users = {
+  owner: { id: 'owner', role: 'viewer' },
+  former: { id: 'former', role: 'editor', disabled: true },
+  viewer: { id: 'viewer', role: 'editor' },
+  operator: { id: 'operator', role: 'operator' }
+};
+
+// Shares of the workflow by user id
+const shares = { viewer: { permission: 'view' }, operator: { permission: 'view' } };
+
+const createScheduler = (schedules = {}) => {
+  const scheduler = Object.create(Scheduler.prototype);
+  scheduler.config = { misfireThresholdMs: 60000, maxCatchUpRuns: 3 };
+  scheduler.queue = { add: jest.fn(), removeRepeatable: jest.fn() };
+  scheduler.auth = {
+    findActiveUser: async (id) => (users[id]?.disabled ? null : users[id] || null),
+    assertWorkflowAccess: (user, workflow, permission) =>
+      assertWorkflowAccess({ findShare: async (workflowId, userId) => shares[userId] || null }, user, workflow, permission)
+  };
+  scheduler.audit = { record: jest.fn() };
+  scheduler.engine = {
+    getWorkflow: jest.fn(async (id) => (id === 'wf' ? { id, createdBy: 'owner' } : null)),
+    executeWorkflow: jest.fn(async () => ({ executionId: `exec-${scheduler.engine.executeWorkflow.mock.calls.length}` }))
+  };
+  scheduler.scheduleRepository = {
+    findById: jest.fn(async (id) => schedules[id] || null),
+    claimRun: jest.fn(async () => true),
+    create: jest.fn(async (schedule) => schedule),
+    update: jest.fn(async (id, fields) => ({ ...schedules[id], ...fields }))
+  };
+  return scheduler;
+};
+
+const hourly = (fields = {}) => ({
+  id: 'schedule',
+  workflowId: 'wf',
+  cron: '0 * * * *',
+  timezone: 'UTC',
+  status: 'active',
+  missedRunPolicy: 'skip',
+  input: { source: 'cron' },
+  createdBy: 'owner',
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+  ...fields
+});
+
+const scheduledTimes = (scheduler) =>
+  scheduler.engine.executeWorkflow.mock.calls.map(([, input]) => input.trigger.scheduledTime);
+
+describe('Scheduler', () => {
+  it('runs the tick that just fired with the schedule input', async () => {
+    const scheduler = createScheduler({ schedule: hourly({ lastRunAt: new Date('2024-01-01T09:00:00Z') }) });
+
+    await scheduler.fire('schedule', new Date('2024-01-01T10:00:30Z'));
+
+    expect(scheduler.engine.executeWorkflow).toHaveBeenCalledWith('wf', {
+      source: 'cron',
+      trigger: { type: 'schedule', scheduleId: 'schedule', scheduledTime: '2024-01-01T10:00:00.000Z' }
+    }, { triggerType: 'schedule' });
+    expect(scheduler.scheduleRepository.claimRun).toHaveBeenCalledWith(
+      'schedule', new Date('2024-01-01T09:00:00Z'), new Date('2024-01-01T10:00:00Z')
+    );
+  });
+
+  it('skips ticks missed by more than the misfire threshold', async () => {
+    const scheduler = createScheduler({ schedule: hourly({ lastRunAt: new Date('2024-01-01T05:00:00Z') }) });
+
+    expect(await scheduler.fire('schedule', new Date('2024-01-01T10:30:00Z'))).toEqual([]);
+    expect(scheduler.engine.executeWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('runs missed ticks once with run_once', async () => {
+    const scheduler = createScheduler({
+      schedule: hourly({ missedRunPolicy: 'run_once', lastRunAt: new Date('2024-01-01T05:00:00Z') })
+    });
+
+    await scheduler.fire('schedule', new Date('2024-01-01T10:30:00Z'));
+
+    expect(scheduledTimes(scheduler)).toEqual(['2024-01-01T10:00:00.000Z']);
+  });
+
+  it('runs each missed tick with catch_up, up to maxCatchUpRuns', async () => {
+    const scheduler = createScheduler({
+      schedule: hourly({ missedRunPolicy: 'catch_up', lastRunAt: new Date('2024-01-01T05:00:00Z') })
+    });
+
+    await scheduler.fire('schedule', new Date('2024-01-01T10:30:00Z'));
+
+    expect(scheduledTimes(scheduler)).toEqual([
+      '2024-01-01T08:00:00.000Z',
+      '2024-01-01T09:00:00.000Z',
+      '2024-01-01T10:00:00.000Z'
+    ]);
+  });
+
+  it('does nothing when another scheduler claimed the tick', async () => {
+    const scheduler = createScheduler({ schedule: hourly({ lastRunAt: new Date('2024-01-01T09:00:00Z') }) });
+    scheduler.scheduleRepository.claimRun.mockResolvedValue(false);
+
+    expect(await scheduler.fire('schedule', new Date('2024-01-01T10:00:10Z'))).toEqual([]);
+    expect(scheduler.engine.executeWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('ignores paused schedules', async () => {
+    const scheduler = createScheduler({ schedule: hourly({ status: 'paused' }) });
+
+    expect(await scheduler.fire('schedule', new Date('2024-01-01T10:00:10Z'))).toEqual([]);
+  });
+
+  it('runs as the creator and skips ticks they may no longer run, with an audit entry', async () => {
+    const fireAs = async (createdBy) => {
+      const scheduler = createScheduler({ schedule: hourly({ createdBy, lastRunAt: new Date('2024-01-01T09:00:00Z') }) });
+      await scheduler.fire('schedule', new Date('2024-01-01T10:00:30Z'));
+      return scheduler;
+    };
+
+    for (const createdBy of ['owner', 'operator', undefined]) {
+      expect((await fireAs(createdBy)).engine.executeWorkflow).toHaveBeenCalledTimes(1);
+    }
+
+    const disabled = await fireAs('former');
+    const viewOnly = await fireAs('viewer');
+
+    for (const scheduler of [disabled, viewOnly]) {
+      expect(scheduler.engine.executeWorkflow).not.toHaveBeenCalled();
+      expect(scheduler.scheduleRepository.claimRun).toHaveBeenCalled();
+    }
+    expect(disabled.audit.record).toHaveBeenCalledWith({
+      entityType: 'schedule',
+      entityId: 'schedule',
+      action: 'skip',
+      details: { workflowId: 'wf', createdBy: 'former', reason: 'User former is disabled or no longer exists' }
+    });
+    expect(viewOnly.audit.record.mock.calls[0][0].details.reason).toBe('Workflow access requires run permission');
+  });
+
+  it('computes next run times in the schedule timezone', () => {
+    const scheduler = createScheduler();
+
+    expect(scheduler.nextRunTimes('0 9 * * *', 'America/New_York', 2, new Date('2024-07-01T00:00:00Z')))
+      .toEqual([new Date('2024-07-01T13:00:00Z'), new Date('2024-07-02T13:00:00Z')]);
+  });
+
+  it('rejects invalid cron expressions and timezones', async () => {
+    const scheduler = createScheduler();
+
+    expect(() => scheduler.assertValidCron('not a cron', 'UTC')).toThrow(/Invalid cron expression/);
+    expect(() => scheduler.assertValidCron('* * * * *', 'Mars/Base')).toThrow('Invalid timezone: Mars/Base');
+    await expect(scheduler.createSchedule({ workflowId: 'missing', cron: '* * * * *' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('registers new schedules as repeatable jobs', async () => {
+    const scheduler = createScheduler();
+
+    const schedule = await scheduler.createSchedule({ workflowId: 'wf', cron: '*/5 * * * *', timezone: 'UTC' }, { createdBy: 'user' });
+
+    expect(schedule).toMatchObject({ workflowId: 'wf', status: 'active', createdBy: 'user' });
+    expect(scheduler.queue.add).toHaveBeenCalledWith({ scheduleId: schedule.id }, expect.objectContaining({
+      repeat: { cron: '*/5 * * * *', tz: 'UTC' },
+      jobId: schedule.id
+    }));
+  });
+});
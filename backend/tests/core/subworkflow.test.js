@@ -0,0 +1,103 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { ExecuteWorkflowNode } from '../../src/nodes/implementations.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+class GreetNode extends BaseNode {
+  async execute(input) {
+    if (!input.name) {
+      return { success: false, error: 'name is required' };
+    }
+    return { success: true, greeting: `hello ${input.name}` };
+  }
+}
+
+const parentOf = (childId, config = {}) => ({
+  name: 'parent',
+  nodes: [{ id: 'call', type: 'subworkflow', config: { workflowId: childId, ...config } }],
+  edges: []
+});
+
+describe('sub-workflows', () => {
+  let engine;
+  let child;
+
+  beforeEach(async () => {
+    engine = createTestEngine({
+      nodes: { subworkflow: ExecuteWorkflowNode, greet: GreetNode },
+      config: { maxConcurrency: 4, retry: { attempts: 1 } }
+    });
+    child = await engine.createWorkflow({
+      name: 'child',
+      nodes: [{ id: 'greet', type: 'greet', config: {} }],
+      edges: []
+    });
+  });
+
+  it('runs the child and returns its output', async () => {
+    const { execution } = await runWorkflow(engine, parentOf(child.id, { inputMapping: { name: 'user.first' } }), {
+      user: { first: 'Ada' }
+    });
+
+    expect(execution.status).toBe('completed');
+    expect(execution.nodeResults.call).toMatchObject({ status: 'completed', data: { greeting: 'hello Ada' } });
+    expect(execution.childExecutionIds).toEqual([execution.nodeResults.call.executionId]);
+
+    const childExecution = await engine.getExecution(execution.nodeResults.call.executionId);
+    expect(childExecution).toMatchObject({
+      parentExecutionId: execution.id,
+      parentNodeId: 'call',
+      triggerType: 'subworkflow',
+      depth: 1
+    });
+  });
+
+  it('fails the calling node when the child fails', async () => {
+    const { execution } = await runWorkflow(engine, parentOf(child.id), {});
+
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toMatch(/^Sub-workflow execution .+ failed: name is required$/);
+  });
+
+  it('returns right away when not waiting for completion', async () => {
+    const { execution } = await runWorkflow(engine, parentOf(child.id, { waitForCompletion: false }), { name: 'Ada' });
+
+    expect(execution.nodeResults.call.status).toBe('started');
+    expect(execution.nodeResults.call.data).toBeUndefined();
+    expect((await engine.getExecution(execution.nodeResults.call.executionId)).status).toBe('completed');
+  });
+
+  it('only starts workflows the parent workflow\'s owner can run', async () => {
+    const owned = await engine.createWorkflow({
+      name: 'owned',
+      nodes: [{ id: 'greet', type: 'greet', config: {} }],
+      edges: []
+    }, { createdBy: 'bob' });
+    const parent = await engine.createWorkflow(parentOf(owned.id), { createdBy: 'alice' });
+    const run = async () => {
+      const { executionId } = await engine.executeWorkflow(parent.id, { name: 'Ada' });
+      await engine.queue.runJobs();
+      return engine.getExecution(executionId);
+    };
+
+    expect(await run()).toMatchObject({ status: 'failed', error: 'Workflow not found' });
+
+    await engine.workflowRepository.saveShare({ workflowId: owned.id, userId: 'alice', permission: 'view' });
+    expect(await run()).toMatchObject({ status: 'failed', error: 'Workflow access requires run permission' });
+
+    await engine.workflowRepository.saveShare({ workflowId: owned.id, userId: 'alice', permission: 'run' });
+    expect(await run()).toMatchObject({ status: 'completed' });
+  });
+
+  it('stops at the maximum nesting depth', async () => {
+    engine.config.maxWorkflowDepth = 2;
+    const looping = await engine.createWorkflow({ name: 'looping', nodes: [{ id: 'greet', type: 'greet', config: {} }], edges: [] });
+    await engine.updateWorkflow(looping.id, parentOf(looping.id));
+
+    const { executionId } = await engine.executeWorkflow(looping.id, {});
+    await engine.queue.runJobs();
+
+    const execution = await engine.getExecution(executionId);
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toMatch(/nesting exceeds 2 levels/);
+  });
+});
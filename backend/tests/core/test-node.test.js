@@ -0,0 +1,158 @@
+import request from 'supertest';
+import { BaseNode } from '../../src/nodes/base.js';
+import { REDACTED } from '../../src/utils/redact.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+import { createTestApp } from '../helpers/app.js';
+
+const CREDENTIAL_ID = '00000000-0000-4000-8000-000000000001';
+
+class GreetNode extends BaseNode {
+  validateConfig() {
+    if (!this.config.greeting) {
+      throw new Error('Greet node requires greeting config');
+    }
+  }
+
+  async execute(input, context) {
+    this.onLog?.({ level: 'info', message: `greeting ${input.name}` });
+    if (!input.name) {
+      return { success: false, error: 'name is required', status: 422 };
+    }
+    return { success: true, message: `${this.config.greeting} ${input.name}`, seen: Object.keys(context) };
+  }
+}
+
+class SlowNode extends BaseNode {
+  execute() {
+    return new Promise(resolve => setTimeout(() => resolve({ success: true }), 1000));
+  }
+}
+
+// Holds a connection like DatabaseNode's pool until cleaned up
+class ConnectedNode extends BaseNode {
+  async execute() {
+    open.add(this);
+    return this.config.fail ? { success: false, error: 'query failed' } : { success: true };
+  }
+
+  async cleanup() {
+    open.delete(this);
+  }
+}
+
+const open = new Set();
+
+class TokenNode extends BaseNode {
+  async execute() {
+    this.onLog?.({ level: 'info', message: `using ${this.credentials.data.token}` });
+    return { success: true, echoed: this.credentials.data.token };
+  }
+}
+
+describe('testing a single node', () => {
+  let engine;
+  let app;
+
+  beforeAll(() => {
+    engine = createTestEngine({
+      nodes: { greet: GreetNode, slow: SlowNode, token: TokenNode, connected: ConnectedNode },
+      credentials: { [CREDENTIAL_ID]: { type: 'httpBearerToken', data: { token: 'tok-8f3a91c2' }, createdBy: 'editor' } }
+    });
+    app = createTestApp(engine);
+  });
+
+  beforeEach(() => {
+    app.user = { id: 'editor', role: 'editor' };
+  });
+
+  it('runs the node with the given config, input and context', async () => {
+    const result = await engine.testNode('greet', {
+      config: { greeting: 'hello' },
+      input: { name: 'Ada' },
+      context: { upstream: {} }
+    });
+
+    expect(result).toEqual({
+      success: true,
+      output: { success: true, message: 'hello Ada', seen: ['upstream'] },
+      logs: [{ level: 'info', message: 'greeting Ada', timestamp: expect.any(String) }],
+      durationMs: expect.any(Number)
+    });
+  });
+
+  it('creates no execution', async () => {
+    await engine.testNode('greet', { config: { greeting: 'hello' }, input: { name: 'Ada' } });
+
+    expect(engine.executionRepository.executions.size).toBe(0);
+    expect(engine.executionRepository.nodeExecutions).toEqual([]);
+    expect(engine.queue.jobs).toEqual([]);
+  });
+
+  it('reports node failures with the output', async () => {
+    const result = await engine.testNode('greet', { config: { greeting: 'hello' }, input: {} });
+
+    expect(result).toMatchObject({
+      success: false,
+      error: 'name is required',
+      output: { success: false, status: 422 }
+    });
+  });
+
+  it('stops nodes that run past the timeout', async () => {
+    const result = await engine.testNode('slow', { timeoutMs: 50 });
+
+    expect(result).toMatchObject({ success: false, error: 'Node test-slow timed out after 50ms' });
+  });
+
+  it('rejects unknown types and invalid configs', async () => {
+    await expect(engine.testNode('missing')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(engine.testNode('greet', { config: {} }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Greet node requires greeting config' });
+  });
+
+  it('masks credential values in the output and logs', async () => {
+    const used = [];
+    engine.on('credential:used', event => used.push(event));
+
+    const result = await engine.testNode('token', {
+      config: { credentialId: CREDENTIAL_ID },
+      user: { id: 'editor', role: 'editor' }
+    });
+
+    expect(result.output.echoed).toBe(REDACTED);
+    expect(result.logs[0].message).toBe(`using ${REDACTED}`);
+    expect(used).toEqual([expect.objectContaining({ credentialId: CREDENTIAL_ID, userId: 'editor' })]);
+  });
+
+  it('only uses credentials the user may use', async () => {
+    await expect(engine.testNode('token', {
+      config: { credentialId: CREDENTIAL_ID },
+      user: { id: 'other', role: 'editor' }
+    })).rejects.toMatchObject({ statusCode: 400, message: `Credential ${CREDENTIAL_ID} not found` });
+  });
+
+  it('cleans up the node once it has run', async () => {
+    await engine.testNode('connected');
+    await engine.testNode('connected', { config: { fail: true } });
+    await runWorkflow(engine, {
+      name: 'connected',
+      nodes: [{ id: 'query', type: 'connected', config: {} }],
+      edges: []
+    });
+
+    expect(open.size).toBe(0);
+  });
+
+  it('is exposed to editors through the API', async () => {
+    const response = await request(app)
+      .post('/api/nodes/greet/test')
+      .send({ config: { greeting: 'hi' }, input: { name: 'Ada' } });
+    expect(response.status).toBe(200);
+    expect(response.body.output.message).toBe('hi Ada');
+
+    expect((await request(app).post('/api/nodes/greet/test').send({ timeoutMs: 0 })).status).toBe(400);
+
+    app.user = { id: 'viewer', role: 'viewer' };
+    expect((await request(app).post('/api/nodes/greet/test').send({})).status).toBe(403);
+  });
+});
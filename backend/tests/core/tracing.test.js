@@ -0,0 +1,195 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { FileExporter, Tracer } from '../../src/core/tracing.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { ExecuteWorkflowNode, ForEachNode, HTTPNode } from '../../src/nodes/implementations.js';
+import { createTestEngine, runWorkflow } from '../helpers/engine.js';
+
+class EchoNode extends BaseNode {
+  async execute(input) {
+    return { success: true, input };
+  }
+}
+
+class RejectNode extends BaseNode {
+  async execute() {
+    return { success: false, error: 'rejected' };
+  }
+}
+
+// A tracer that keeps what it exports
+const createTracer = (config = {}) => {
+  const tracer = new Tracer({ batchSize: 1000, ...config });
+  tracer.payloads = [];
+  tracer.exporter = { export: async (payload) => tracer.payloads.push(payload) };
+  return tracer;
+};
+
+const exportedSpans = async (tracer) => {
+  await tracer.flush();
+  return tracer.payloads.flatMap(payload => payload.resourceSpans[0].scopeSpans[0].spans);
+};
+
+const attribute = (span, key) => {
+  const value = span.attributes.find(entry => entry.key === key)?.value;
+  return value && Object.values(value)[0];
+};
+
+describe('tracing', () => {
+  it('records nothing without an exporter', () => {
+    const tracer = new Tracer();
+    tracer.startSpan('work').end();
+
+    expect(tracer.enabled).toBe(false);
+    expect(tracer.buffer).toEqual([]);
+  });
+
+  it('exports spans as OTLP/JSON in batches', async () => {
+    const tracer = createTracer({ batchSize: 2, serviceName: 'engine-test' });
+    const parent = tracer.startSpan('parent', { kind: 'server', startTime: 1000 });
+    tracer.startSpan('child', {
+      traceId: parent.traceId,
+      parentSpanId: parent.spanId,
+      attributes: { count: 2, ratio: 0.5, ok: true, tags: ['a'], missing: undefined }
+    }).end({ status: 'error', error: 'boom' });
+    parent.end({ status: 'ok', endTime: 3000 });
+    parent.end();
+
+    expect(tracer.payloads).toHaveLength(1);
+    const [payload] = tracer.payloads;
+    expect(payload.resourceSpans[0].resource.attributes).toEqual([
+      { key: 'service.name', value: { stringValue: 'engine-test' } }
+    ]);
+    const [child, root] = payload.resourceSpans[0].scopeSpans[0].spans;
+    expect(root).toMatchObject({
+      traceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+      spanId: expect.stringMatching(/^[0-9a-f]{16}$/),
+      kind: 2,
+      startTimeUnixNano: '1000000000',
+      endTimeUnixNano: '3000000000',
+      status: { code: 1 }
+    });
+    expect(child).toMatchObject({ traceId: root.traceId, parentSpanId: root.spanId, status: { code: 2, message: 'boom' } });
+    expect(child.attributes).toEqual([
+      { key: 'count', value: { intValue: '2' } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+      { key: 'ok', value: { boolValue: true } },
+      { key: 'tags', value: { stringValue: '["a"]' } }
+    ]);
+    expect(parent.traceparent).toBe(`00-${parent.traceId}-${parent.spanId}-01`);
+  });
+
+  it('drops a batch the exporter fails to take', async () => {
+    const tracer = createTracer();
+    tracer.exporter = { export: async () => { throw new Error('collector down'); } };
+    tracer.startSpan('work').end();
+
+    await tracer.flush();
+
+    expect(tracer.buffer).toEqual([]);
+  });
+
+  it('appends one OTLP request per line to a file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'traces-')), 'nested', 'traces.jsonl');
+    const tracer = new Tracer({ exporter: 'file', file });
+    tracer.startSpan('first').end();
+    await tracer.flush();
+    tracer.startSpan('second').end();
+    await tracer.shutdown();
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.resourceSpans[0].scopeSpans[0].spans[0].name)).toEqual(['first', 'second']);
+    expect(tracer.exporter).toBeInstanceOf(FileExporter);
+    expect(() => new Tracer({ exporter: 'zipkin' })).toThrow('Unknown tracing exporter: zipkin');
+  });
+});
+
+describe('execution traces', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createTestEngine({
+      nodes: { echo: EchoNode, reject: RejectNode, foreach: ForEachNode, subworkflow: ExecuteWorkflowNode, http: HTTPNode },
+      config: { maxConcurrency: 4, retry: { attempts: 1 } }
+    });
+    engine.tracer = createTracer();
+  });
+
+  it('traces an execution with a queue wait and a span per node attempt', async () => {
+    const { execution } = await runWorkflow(engine, {
+      name: 'chain',
+      nodes: [{ id: 'a', type: 'echo', config: {} }, { id: 'b', type: 'reject', config: {} }],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }]
+    });
+
+    const spans = await exportedSpans(engine.tracer);
+    const root = spans.find(span => span.name === 'execution');
+    expect(root).toMatchObject({ traceId: execution.traceId, spanId: execution.spanId, status: { code: 2, message: 'rejected' } });
+    expect(attribute(root, 'workflow.execution.status')).toBe('failed');
+    expect(spans.every(span => span.traceId === execution.traceId)).toBe(true);
+    expect(spans.filter(span => span.name === 'queue wait')).toHaveLength(2);
+
+    const nodes = spans.filter(span => span.name.startsWith('node '));
+    expect(nodes.map(span => [attribute(span, 'workflow.node.id'), span.parentSpanId, span.status.code])).toEqual([
+      ['a', execution.spanId, 1],
+      ['b', execution.spanId, 2]
+    ]);
+  });
+
+  it('nests loop bodies under their loop node and children under the calling node', async () => {
+    const child = await engine.createWorkflow({ name: 'child', nodes: [{ id: 'c', type: 'echo', config: {} }], edges: [] });
+    const { execution } = await runWorkflow(engine, {
+      name: 'parent',
+      nodes: [
+        { id: 'loop', type: 'foreach', config: { path: 'items' } },
+        { id: 'body', type: 'echo', config: {} },
+        { id: 'call', type: 'subworkflow', config: { workflowId: child.id } }
+      ],
+      edges: [
+        { id: 'e1', source: 'loop', target: 'body', sourceHandle: 'item' },
+        { id: 'e2', source: 'loop', target: 'call' }
+      ]
+    }, { items: [1, 2] });
+    expect(execution.status).toBe('completed');
+
+    const spans = await exportedSpans(engine.tracer);
+    const byNode = (nodeId) => spans.filter(span => attribute(span, 'workflow.node.id') === nodeId && span.name.startsWith('node '));
+    const [loop] = byNode('loop');
+    const [call] = byNode('call');
+    expect(byNode('body').map(span => span.parentSpanId)).toEqual([loop.spanId, loop.spanId]);
+
+    const childRoot = spans.find(span => span.name === 'execution' && attribute(span, 'workflow.id') === child.id);
+    expect(childRoot).toMatchObject({ traceId: execution.traceId, parentSpanId: call.spanId });
+    expect(byNode('c')[0].parentSpanId).toBe(childRoot.spanId);
+  });
+
+  it('sends the node span as traceparent on HTTP requests, only when tracing', async () => {
+    const headers = [];
+    const server = http.createServer((req, res) => {
+      headers.push(req.headers.traceparent);
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const callServer = {
+      name: 'http',
+      nodes: [{ id: 'call', type: 'http', config: { url: `http://127.0.0.1:${server.address().port}/` } }],
+      edges: []
+    };
+
+    try {
+      const { execution } = await runWorkflow(engine, callServer);
+      const call = (await exportedSpans(engine.tracer)).find(span => span.name === 'node http');
+
+      engine.tracer = new Tracer();
+      await runWorkflow(engine, callServer);
+
+      expect(execution.status).toBe('completed');
+      expect(headers).toEqual([`00-${execution.traceId}-${call.spanId}-01`, undefined]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,109 @@
+import { validateWorkflow } from '../../src/core/validator.js';
+import { BaseNode } from '../../src/nodes/base.js';
+import { ValidationError } from '../../src/middleware/errorHandler.js';
+import { createTestEngine } from '../helpers/engine.js';
+
+class EchoNode extends BaseNode {}
+
+class StrictNode extends BaseNode {
+  validateConfig() {
+    if (!this.config.url) {
+      throw new Error('Strict node requires url config');
+    }
+  }
+}
+
+const nodeTypes = new Map([['echo', EchoNode], ['strict', StrictNode]]);
+
+const codes = (definition) => validateWorkflow(definition, nodeTypes).errors.map(error => error.code);
+
+describe('validateWorkflow', () => {
+  it('accepts a valid graph', () => {
+    expect(validateWorkflow({
+      nodes: [{ id: 'a', type: 'echo' }, { id: 'b', type: 'strict', config: { url: 'http://example.com' } }],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }]
+    }, nodeTypes)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports duplicate nodes and edges', () => {
+    expect(codes({
+      nodes: [{ id: 'a', type: 'echo' }, { id: 'a', type: 'echo' }, { id: 'b', type: 'echo' }],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }, { id: 'e1', source: 'a', target: 'b' }]
+    })).toEqual(['duplicate_node', 'duplicate_edge']);
+  });
+
+  it('reports edges to unknown nodes', () => {
+    const { errors } = validateWorkflow({
+      nodes: [{ id: 'a', type: 'echo' }],
+      edges: [{ id: 'e1', source: 'a', target: 'ghost' }]
+    }, nodeTypes);
+
+    expect(errors).toEqual([expect.objectContaining({ edgeId: 'e1', code: 'dangling_edge' })]);
+    expect(errors[0].message).toContain('ghost');
+  });
+
+  it('reports every node of a cycle', () => {
+    const { errors } = validateWorkflow({
+      nodes: [{ id: 'a', type: 'echo' }, { id: 'b', type: 'echo' }, { id: 'c', type: 'echo' }],
+      edges: [
+        { id: 'e1', source: 'a', target: 'b' },
+        { id: 'e2', source: 'b', target: 'c' },
+        { id: 'e3', source: 'c', target: 'a' }
+      ]
+    }, nodeTypes);
+
+    expect(errors.map(error => error.nodeId).sort()).toEqual(['a', 'b', 'c']);
+    expect(errors[0].message).toContain('a -> b -> c -> a');
+  });
+
+  it('reports unknown types and invalid configs', () => {
+    const { errors } = validateWorkflow({
+      nodes: [{ id: 'a', type: 'missing' }, { id: 'b', type: 'strict', config: {} }],
+      edges: []
+    }, nodeTypes);
+
+    expect(errors).toEqual([
+      expect.objectContaining({ nodeId: 'a', code: 'unknown_type' }),
+      expect.objectContaining({ nodeId: 'b', code: 'invalid_config', message: 'Strict node requires url config' })
+    ]);
+  });
+
+  it('reports expressions that do not parse', () => {
+    expect(codes({
+      nodes: [{ id: 'a', type: 'strict', config: { url: 'http://example.com/{{ input. }}' } }],
+      edges: []
+    })).toEqual(['invalid_expression']);
+  });
+
+  it('keeps loop bodies inside their loop', () => {
+    expect(codes({
+      nodes: [{ id: 'loop', type: 'echo' }, { id: 'body', type: 'echo' }, { id: 'other', type: 'echo' }],
+      edges: [
+        { id: 'e1', source: 'loop', target: 'body', sourceHandle: 'item' },
+        { id: 'e2', source: 'other', target: 'body' },
+        { id: 'e3', source: 'body', target: 'loop' }
+      ]
+    })).toEqual(expect.arrayContaining(['loop_body_entry', 'loop_body_exit']));
+  });
+});
+
+describe('engine validation', () => {
+  it('rejects invalid workflows on create and update with every error', async () => {
+    const engine = createTestEngine({ nodes: { echo: EchoNode } });
+    const invalid = {
+      name: 'invalid',
+      nodes: [{ id: 'a', type: 'echo' }, { id: 'a', type: 'unknown' }],
+      edges: []
+    };
+
+    await expect(engine.createWorkflow(invalid)).rejects.toThrow(ValidationError);
+    await expect(engine.createWorkflow(invalid)).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [expect.objectContaining({ code: 'duplicate_node' }), expect.objectContaining({ code: 'unknown_type' })]
+    });
+
+    const workflow = await engine.createWorkflow({ name: 'valid', nodes: [{ id: 'a', type: 'echo' }], edges: [] });
+    await expect(engine.updateWorkflow(workflow.id, invalid)).rejects.toThrow(ValidationError);
+    expect((await engine.getWorkflow(workflow.id)).version).toBe(1);
+  });
+});
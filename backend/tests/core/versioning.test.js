@@ -0,0 +1,69 @@
+import { BaseNode } from '../../src/nodes/base.js';
+import { createTestEngine } from '../helpers/engine.js';
+
+class LabelNode extends BaseNode {
+  async execute() {
+    return { success: true, label: this.config.label };
+  }
+}
+
+const definition = (label) => ({
+  name: `label ${label}`,
+  nodes: [{ id: 'label', type: 'label', config: { label } }],
+  edges: []
+});
+
+describe('workflow versions', () => {
+  let engine;
+  let workflow;
+
+  beforeEach(async () => {
+    engine = createTestEngine({ nodes: { label: LabelNode } });
+    workflow = await engine.createWorkflow(definition('one'));
+  });
+
+  it('saves every update as a new version', async () => {
+    const updated = await engine.updateWorkflow(workflow.id, definition('two'));
+
+    expect(updated.version).toBe(2);
+    expect((await engine.getWorkflow(workflow.id)).nodes[0].config.label).toBe('two');
+    expect((await engine.getWorkflow(workflow.id, 1)).nodes[0].config.label).toBe('one');
+    expect((await engine.listWorkflowVersions(workflow.id)).map(v => v.version)).toEqual([2, 1]);
+  });
+
+  it('returns null when updating a workflow that does not exist', async () => {
+    expect(await engine.updateWorkflow('missing', definition('two'))).toBeNull();
+  });
+
+  it('runs an execution on the version it started with', async () => {
+    const { executionId } = await engine.executeWorkflow(workflow.id, {});
+    await engine.updateWorkflow(workflow.id, definition('two'));
+    await engine.queue.runJobs();
+
+    const execution = await engine.getExecution(executionId);
+    expect(execution.workflowVersion).toBe(1);
+    expect(execution.nodeResults.label.label).toBe('one');
+  });
+
+  it('rolls back by saving the old definition as a new version', async () => {
+    await engine.updateWorkflow(workflow.id, definition('two'));
+    const rolledBack = await engine.rollbackWorkflow(workflow.id, 1);
+
+    expect(rolledBack.version).toBe(3);
+    expect(rolledBack.nodes[0].config.label).toBe('one');
+    expect(await engine.rollbackWorkflow(workflow.id, 9)).toBeNull();
+  });
+
+  it('diffs two versions node by node', async () => {
+    await engine.updateWorkflow(workflow.id, definition('two'));
+    const diff = await engine.diffWorkflowVersions(workflow.id, 1, 2);
+
+    expect(diff.fromVersion).toBe(1);
+    expect(diff.toVersion).toBe(2);
+    expect(diff.fields.name).toEqual({ before: 'label one', after: 'label two' });
+    expect(diff.nodes.changed).toHaveLength(1);
+    expect(diff.nodes.changed[0].after.config.label).toBe('two');
+    expect(diff.nodes.added).toEqual([]);
+    expect(await engine.diffWorkflowVersions(workflow.id, 1, 5)).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+import express from 'express';
+import { createRoutes } from '../../src/api/routes.js';
+
+// The API routes behind a stand-in for authenticate(): every request runs as
+// `app.user`, which tests can switch between requests. The router is shared
+// by the module, so call this once per test file.
+export function createTestApp(engine, services = {}) {
+  const app = express();
+  app.user = { id: 'admin', role: 'admin' };
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = app.user;
+    next();
+  });
+  app.use('/api', createRoutes(engine, {
+    credentials: engine.credentials,
+    auth: { assertWorkflowAccess: async () => {} },
+    audit: { record: async () => {} },
+    ...services
+  }));
+  return app;
+}
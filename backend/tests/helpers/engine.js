@@ -0,0 +1,382 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { WorkflowEngine } from '../../src/core/engine.js';
+import { Tracer } from '../../src/core/tracing.js';
+import { ResultStore } from '../../src/core/blobs.js';
+import { CredentialStore } from '../../src/core/credentials.js';
+import { redactor } from '../../src/utils/redact.js';
+
+// In-memory stand-ins for the Redis client, the Bull queue and the
+// repositories, so engine tests run without any services. Jobs only run when
+// a test calls runJobs(); failed jobs are retried like Bull does, without the
+// backoff delay.
+
+export class FakeRedis {
+  constructor() {
+    this.store = new Map();
+    // Expiry in ms of the keys set with PX
+    this.ttls = new Map();
+  }
+
+  async set(key, value, { PX } = {}) {
+    this.store.set(key, value);
+    if (PX) {
+      this.ttls.set(key, PX);
+    } else {
+      this.ttls.delete(key);
+    }
+    return 'OK';
+  }
+
+  async get(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  async del(keys) {
+    for (const key of [].concat(keys)) {
+      this.store.delete(key);
+      this.ttls.delete(key);
+    }
+  }
+
+  async mGet(keys) {
+    return keys.map(key => (this.store.has(key) ? this.store.get(key) : null));
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async *scanIterator({ MATCH }) {
+    const prefix = MATCH.replace(/\*$/, '');
+    for (const key of this.store.keys()) {
+      if (key.startsWith(prefix)) {
+        yield key;
+      }
+    }
+  }
+
+  async quit() {}
+}
+
+export class FakeQueue {
+  constructor() {
+    this.name = 'workflow-execution';
+    this.jobs = [];
+    this.handlers = {};
+    this.processor = null;
+    this.onAdd = null;
+    this.nextId = 1;
+  }
+
+  process(concurrency, processor) {
+    this.concurrency = concurrency;
+    this.processor = processor;
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  async add(data, opts = {}) {
+    const job = {
+      id: String(this.nextId++),
+      data,
+      opts: { attempts: 1, ...opts },
+      attemptsMade: 0,
+      timestamp: Date.now(),
+      state: 'waiting',
+      discarded: false,
+      discard() {
+        this.discarded = true;
+      },
+      isDiscarded() {
+        return this.discarded;
+      },
+      async getState() {
+        return this.state;
+      },
+      async remove() {
+        this.state = 'removed';
+      }
+    };
+    this.jobs.push(job);
+    this.onAdd?.();
+    return job;
+  }
+
+  async getJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  async getJobCounts() {
+    const count = (state) => this.jobs.filter(job => job.state === state).length;
+    return { waiting: count('waiting'), active: count('active'), completed: count('completed'), failed: count('failed'), delayed: 0, paused: 0 };
+  }
+
+  async isPaused() {
+    return false;
+  }
+
+  async getActive() {
+    return this.jobs.filter(job => job.state === 'active');
+  }
+
+  async getWaiting() {
+    return this.jobs.filter(job => job.state === 'waiting');
+  }
+
+  async close() {}
+
+  // Runs the oldest waiting job; resolves false when none is waiting
+  async runNext() {
+    const job = this.jobs.find(candidate => candidate.state === 'waiting');
+    if (!job) {
+      return false;
+    }
+    job.state = 'active';
+    job.processedOn = Date.now();
+    try {
+      const result = await this.processor(job);
+      job.state = 'completed';
+      job.returnvalue = result;
+      this.handlers.completed?.(job, result);
+    } catch (error) {
+      job.attemptsMade += 1;
+      job.failedReason = error.message;
+      const willRetry = job.attemptsMade < job.opts.attempts && !job.discarded;
+      job.state = willRetry ? 'waiting' : 'failed';
+      this.handlers.failed?.(job, error);
+    }
+    return true;
+  }
+
+  // Runs up to `concurrency` jobs at a time until none are waiting or active,
+  // so nodes that wait for a sub-workflow leave room for its jobs
+  async runJobs() {
+    const running = new Set();
+    for (;;) {
+      if (running.size < this.concurrency && this.jobs.some(job => job.state === 'waiting')) {
+        const run = this.runNext().finally(() => running.delete(run));
+        running.add(run);
+        continue;
+      }
+      if (running.size === 0) {
+        return;
+      }
+      // Wake up when a job finishes or a running one queues another
+      await new Promise(resolve => {
+        this.onAdd = resolve;
+        Promise.race(running).then(resolve, resolve);
+      });
+      this.onAdd = null;
+    }
+  }
+}
+
+export class FakeWorkflowRepository {
+  constructor() {
+    this.workflows = new Map();
+    this.versions = new Map();
+    this.shares = [];
+  }
+
+  async create(workflow) {
+    const saved = { ...workflow, version: 1, createdAt: new Date(), updatedAt: new Date() };
+    this.workflows.set(workflow.id, saved);
+    this.versions.set(`${workflow.id}:1`, saved);
+    return saved;
+  }
+
+  async createVersion(id, workflow) {
+    const current = this.workflows.get(id);
+    if (!current) {
+      return null;
+    }
+    const saved = { ...current, ...workflow, createdBy: current.createdBy, version: current.version + 1, updatedAt: new Date() };
+    this.workflows.set(id, saved);
+    this.versions.set(`${id}:${saved.version}`, { ...saved, versionCreatedBy: workflow.createdBy });
+    return saved;
+  }
+
+  async findById(id) {
+    return this.workflows.get(id) || null;
+  }
+
+  async findVersion(id, version) {
+    return this.versions.get(`${id}:${version}`) || null;
+  }
+
+  async listVersions(id) {
+    return [...this.versions.values()]
+      .filter(version => version.id === id)
+      .sort((a, b) => b.version - a.version)
+      .map(({ version, name, description, versionCreatedBy, updatedAt }) => ({
+        version, name, description, createdBy: versionCreatedBy, createdAt: updatedAt
+      }));
+  }
+
+  async list() {
+    return [...this.workflows.values()];
+  }
+
+  async delete(id) {
+    return this.workflows.delete(id);
+  }
+
+  async findShare(workflowId, userId) {
+    return this.shares.find(share => share.workflowId === workflowId && share.userId === userId) || null;
+  }
+
+  async saveShare(share) {
+    this.shares = this.shares.filter(other => other.workflowId !== share.workflowId || other.userId !== share.userId);
+    this.shares.push(share);
+    return share;
+  }
+}
+
+export class FakeExecutionRepository {
+  constructor() {
+    this.executions = new Map();
+    this.nodeExecutions = [];
+  }
+
+  async create(execution) {
+    this.executions.set(execution.id, JSON.parse(JSON.stringify(execution)));
+  }
+
+  async update(id, fields) {
+    Object.assign(this.executions.get(id), JSON.parse(JSON.stringify(fields)));
+  }
+
+  async findById(id) {
+    return this.executions.get(id) || null;
+  }
+
+  async list({ workflowId, statuses, limit = 50 } = {}) {
+    const executions = [...this.executions.values()]
+      .filter(execution => !workflowId || execution.workflowId === workflowId)
+      .filter(execution => !statuses || statuses.includes(execution.status))
+      .slice(0, limit);
+    return { executions, next: null };
+  }
+
+  async createNodeExecution(nodeExecution) {
+    const id = uuidv4();
+    this.nodeExecutions.push({ id, status: 'running', ...JSON.parse(JSON.stringify(nodeExecution)) });
+    return id;
+  }
+
+  async completeNodeExecution(id, fields) {
+    Object.assign(this.nodeExecutions.find(row => row.id === id), JSON.parse(JSON.stringify(fields)));
+  }
+
+  async listNodeExecutions(executionId) {
+    return this.nodeExecutions.filter(row => row.executionId === executionId);
+  }
+}
+
+export class FakeCredentialRepository {
+  constructor() {
+    this.rows = new Map();
+    this.shares = [];
+  }
+
+  async create(row) {
+    const credential = { ...row, createdAt: new Date(), updatedAt: new Date() };
+    this.rows.set(row.id, credential);
+    return credential;
+  }
+
+  async update(id, fields) {
+    const credential = this.rows.get(id);
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) credential[key] = value;
+    }
+    return credential;
+  }
+
+  async findById(id) {
+    return this.rows.get(id) || null;
+  }
+
+  async list({ type, accessibleBy } = {}) {
+    return [...this.rows.values()]
+      .filter(row => !type || row.type === type)
+      .filter(row => !accessibleBy || row.createdBy === accessibleBy || this.shares.some(share =>
+        share.credentialId === row.id && share.userId === accessibleBy));
+  }
+
+  async delete(id) {
+    return this.rows.delete(id);
+  }
+
+  async findWorkflowsUsing() {
+    return [];
+  }
+
+  async findShare(credentialId, userId) {
+    return this.shares.find(share => share.credentialId === credentialId && share.userId === userId) || null;
+  }
+
+  async saveShare(share) {
+    if (!await this.findShare(share.credentialId, share.userId)) {
+      this.shares.push(share);
+    }
+    return share;
+  }
+}
+
+// The real store over the fake repository, seeded with credentials by id as
+// { type, data, createdBy }
+export class FakeCredentialStore extends CredentialStore {
+  constructor(credentials = {}) {
+    super('test-master-key');
+    this.credentialRepository = new FakeCredentialRepository();
+    for (const [id, { type, data, createdBy }] of Object.entries(credentials)) {
+      this.credentialRepository.rows.set(id, { id, name: id, type, encryptedData: this.encrypt(id, data), createdBy });
+    }
+  }
+}
+
+// A WorkflowEngine wired to the fakes above, with the given node types
+export function createTestEngine({ nodes = {}, config = {}, credentials = {}, blobs = {} } = {}) {
+  const engine = Object.create(WorkflowEngine.prototype);
+  const credentialStore = new FakeCredentialStore(credentials);
+  EventEmitter.call(engine);
+  Object.assign(engine, {
+    config: { maxConcurrency: 1, retry: {}, maxWorkflowDepth: 10, ...config },
+    queue: new FakeQueue(),
+    redis: new FakeRedis(),
+    workflowRepository: new FakeWorkflowRepository(),
+    executionRepository: new FakeExecutionRepository(),
+    credentials: credentialStore,
+    tracer: new Tracer(),
+    results: new ResultStore({
+      directory: fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-blobs-')),
+      sealer: credentialStore,
+      ...blobs
+    }),
+    redactor,
+    executions: new Map(),
+    unredacted: new WeakMap(),
+    nodes: new Map()
+  });
+  engine.setupQueueHandlers();
+
+  for (const [type, NodeClass] of Object.entries(nodes)) {
+    engine.nodes.set(type, NodeClass);
+  }
+  return engine;
+}
+
+// Creates the workflow, starts it and runs jobs until the queue is empty
+export async function runWorkflow(engine, definition, input = {}, options = {}) {
+  const workflow = await engine.createWorkflow(definition, options);
+  const { executionId } = await engine.executeWorkflow(workflow.id, input, options);
+  await engine.queue.runJobs();
+  return { workflow, execution: await engine.getExecution(executionId) };
+}
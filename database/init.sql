@@ -16,10 +16,81 @@ CREATE TABLE workflows (
     version INTEGER DEFAULT 1
 );
 
+-- Workflow versions table (immutable history of every saved definition)
+CREATE TABLE workflow_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    definition JSONB NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (workflow_id, version)
+);
+
+-- Users table
+CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL DEFAULT 'viewer',
+    disabled BOOLEAN NOT NULL DEFAULT FALSE,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- API keys table (only a SHA-256 hash of each key is stored)
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Workflow shares table (access granted to users other than the owner)
+CREATE TABLE workflow_shares (
+    workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    permission VARCHAR(50) NOT NULL DEFAULT 'view',
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (workflow_id, user_id)
+);
+
+-- Credentials table (secrets encrypted with AES-256-GCM)
+CREATE TABLE credentials (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    encrypted_data TEXT NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Credential shares table (users other than the owner who may use a credential)
+CREATE TABLE credential_shares (
+    credential_id UUID NOT NULL REFERENCES credentials(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (credential_id, user_id)
+);
+
 -- Executions table
 CREATE TABLE executions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     workflow_id UUID REFERENCES workflows(id) ON DELETE CASCADE,
+    workflow_version INTEGER,
+    parent_execution_id UUID REFERENCES executions(id) ON DELETE SET NULL,
+    retry_of_execution_id UUID REFERENCES executions(id) ON DELETE SET NULL,
     status VARCHAR(50) NOT NULL DEFAULT 'pending',
     started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     completed_at TIMESTAMP,
@@ -27,9 +98,25 @@ CREATE TABLE executions (
     output_data JSONB,
     error TEXT,
     execution_time_ms INTEGER,
+    trigger_type VARCHAR(50) DEFAULT 'manual',
     created_by VARCHAR(255)
 );
 
+-- Workflow schedules table (cron triggers)
+CREATE TABLE workflow_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    cron VARCHAR(255) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    status VARCHAR(50) NOT NULL DEFAULT 'active',
+    missed_run_policy VARCHAR(50) NOT NULL DEFAULT 'skip',
+    input_data JSONB,
+    last_run_at TIMESTAMP,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Node executions table
 CREATE TABLE node_executions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -43,6 +130,7 @@ CREATE TABLE node_executions (
     output_data JSONB,
     error TEXT,
     retry_count INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 1,
     execution_time_ms INTEGER
 );
 
@@ -63,9 +151,20 @@ CREATE INDEX idx_workflows_created_at ON workflows(created_at DESC);
 CREATE INDEX idx_executions_workflow_id ON executions(workflow_id);
 CREATE INDEX idx_executions_status ON executions(status);
 CREATE INDEX idx_executions_started_at ON executions(started_at DESC);
+CREATE INDEX idx_executions_parent_execution_id ON executions(parent_execution_id);
+CREATE INDEX idx_executions_retry_of_execution_id ON executions(retry_of_execution_id);
+CREATE INDEX idx_executions_trigger_type ON executions(trigger_type);
+CREATE INDEX idx_workflows_created_by ON workflows(created_by);
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX idx_workflow_shares_user_id ON workflow_shares(user_id);
+CREATE INDEX idx_credentials_type ON credentials(type);
+CREATE INDEX idx_credential_shares_user_id ON credential_shares(user_id);
+CREATE INDEX idx_workflow_schedules_workflow_id ON workflow_schedules(workflow_id);
+CREATE INDEX idx_workflow_schedules_status ON workflow_schedules(status);
 CREATE INDEX idx_node_executions_execution_id ON node_executions(execution_id);
 CREATE INDEX idx_node_executions_status ON node_executions(status);
 CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at DESC);
 
 -- Function to update updated_at timestamp
@@ -81,4 +180,22 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_workflows_updated_at 
     BEFORE UPDATE ON workflows 
     FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for users updated_at
+CREATE TRIGGER update_users_updated_at 
+    BEFORE UPDATE ON users 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for credentials updated_at
+CREATE TRIGGER update_credentials_updated_at 
+    BEFORE UPDATE ON credentials 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for workflow_schedules updated_at
+CREATE TRIGGER update_workflow_schedules_updated_at 
+    BEFORE UPDATE ON workflow_schedules 
+    FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
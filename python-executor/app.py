@@ -0,0 +1,29 @@
+"""HTTP front end for the Python node executor.
+
+POST /execute takes {code, input, context, timeoutMs, maxMemoryMb} and
+streams newline-delimited JSON events (see executor.run) while the code runs.
+"""
+import json
+
+from flask import Flask, Response, jsonify, request
+
+from executor import Limits, run
+
+app = Flask(__name__)
+limits = Limits()
+
+
+@app.get('/health')
+def health():
+    return jsonify(status='ok')
+
+
+@app.post('/execute')
+def execute():
+    payload = request.get_json(silent=True)
+    if not isinstance(payload, dict) or not isinstance(payload.get('code'), str):
+        return jsonify(error='code is required'), 400
+
+    # Closing the generator when the client disconnects kills the process
+    events = (json.dumps(event, default=str) + '\n' for event in run(payload, limits))
+    return Response(events, mimetype='application/x-ndjson')
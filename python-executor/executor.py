@@ -0,0 +1,171 @@
+"""Runs Python node code in a child process and streams what happens.
+
+run() yields events as dicts:
+  {"type": "stdout" | "stderr", "data": "<line>"}   as the code prints
+  {"type": "result", "data": <value of result>}    when it succeeds
+  {"type": "error", "error": "...", "traceback": "..."}  when it fails
+Exactly one result or error event ends every run.
+"""
+import json
+import os
+import resource
+import selectors
+import signal
+import subprocess
+import sys
+import time
+
+RUNNER = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'runner.py')
+
+DEFAULT_ALLOWED_MODULES = [
+    'collections', 'datetime', 'decimal', 'functools', 'itertools', 'json',
+    'math', 'random', 're', 'statistics', 'string', 'time', 'typing',
+    'dateutil', 'numpy', 'pandas', 'pytz',
+]
+
+MAX_OUTPUT_LINE = 10000
+
+
+class Limits:
+    def __init__(self, env=os.environ):
+        self.timeout_ms = int(env.get('PYTHON_TIMEOUT_MS', 30000))
+        self.max_memory_mb = int(env.get('PYTHON_MAX_MEMORY_MB', 512))
+        self.max_output_bytes = int(env.get('PYTHON_MAX_OUTPUT_BYTES', 1024 * 1024))
+        modules = env.get('PYTHON_ALLOWED_MODULES')
+        self.allowed_modules = (
+            [m.strip() for m in modules.split(',') if m.strip()] if modules else DEFAULT_ALLOWED_MODULES
+        )
+
+    def clamp(self, timeout_ms=None, max_memory_mb=None):
+        """Requests may lower the limits, never raise them."""
+        return (
+            min(timeout_ms or self.timeout_ms, self.timeout_ms),
+            min(max_memory_mb or self.max_memory_mb, self.max_memory_mb),
+        )
+
+
+def apply_rlimits(timeout_ms, max_memory_mb):
+    def preexec():
+        memory = max_memory_mb * 1024 * 1024
+        cpu_seconds = max(1, -(-timeout_ms // 1000))
+        resource.setrlimit(resource.RLIMIT_AS, (memory, memory))
+        resource.setrlimit(resource.RLIMIT_CPU, (cpu_seconds, cpu_seconds + 1))
+        resource.setrlimit(resource.RLIMIT_FSIZE, (0, 0))
+        resource.setrlimit(resource.RLIMIT_CORE, (0, 0))
+        os.setsid()
+    return preexec
+
+
+def run(payload, limits):
+    timeout_ms, max_memory_mb = limits.clamp(payload.get('timeoutMs'), payload.get('maxMemoryMb'))
+    result_read, result_write = os.pipe()
+
+    process = subprocess.Popen(
+        [sys.executable, '-I', RUNNER, str(result_write)],
+        stdin=subprocess.PIPE,
+        stdout=subprocess.PIPE,
+        stderr=subprocess.PIPE,
+        pass_fds=(result_write,),
+        env={'PYTHONUNBUFFERED': '1', 'PYTHONDONTWRITEBYTECODE': '1'},
+        cwd='/tmp',
+        preexec_fn=apply_rlimits(timeout_ms, max_memory_mb),
+    )
+    os.close(result_write)
+
+    try:
+        process.stdin.write(json.dumps({
+            'code': payload['code'],
+            'input': payload.get('input', {}),
+            'context': payload.get('context', {}),
+            'allowedModules': limits.allowed_modules,
+        }).encode())
+        process.stdin.close()
+    except BrokenPipeError:
+        pass
+
+    yield from stream(process, result_read, timeout_ms, limits.max_output_bytes)
+
+
+def stream(process, result_read, timeout_ms, max_output_bytes):
+    selector = selectors.DefaultSelector()
+    selector.register(process.stdout, selectors.EVENT_READ, 'stdout')
+    selector.register(process.stderr, selectors.EVENT_READ, 'stderr')
+    selector.register(result_read, selectors.EVENT_READ, 'result')
+
+    buffers = {'stdout': b'', 'stderr': b'', 'result': b''}
+    output_bytes = 0
+    failure = None
+    deadline = time.monotonic() + timeout_ms / 1000
+
+    try:
+        while selector.get_map() and failure is None:
+            remaining = deadline - time.monotonic()
+            if remaining <= 0:
+                failure = f'Python execution timed out after {timeout_ms}ms'
+                break
+
+            for key, _ in selector.select(timeout=remaining):
+                name = key.data
+                chunk = os.read(key.fd, 65536)
+                if not chunk:
+                    selector.unregister(key.fileobj)
+                    if name != 'result' and buffers[name]:
+                        yield line_event(name, buffers[name])
+                        buffers[name] = b''
+                    continue
+
+                buffers[name] += chunk
+                if name == 'result':
+                    continue
+
+                output_bytes += len(chunk)
+                if output_bytes > max_output_bytes:
+                    failure = f'Python output exceeded {max_output_bytes} bytes'
+                    break
+
+                *lines, buffers[name] = buffers[name].split(b'\n')
+                for line in lines:
+                    yield line_event(name, line)
+    finally:
+        selector.close()
+        if failure is not None or process.poll() is None:
+            kill(process)
+        process.wait()
+        os.close(result_read)
+
+    if failure is not None:
+        yield {'type': 'error', 'error': failure}
+        return
+
+    yield outcome_event(process.returncode, buffers['result'])
+
+
+def line_event(name, line):
+    text = line.decode('utf-8', errors='replace')
+    if len(text) > MAX_OUTPUT_LINE:
+        text = text[:MAX_OUTPUT_LINE] + '...'
+    return {'type': name, 'data': text}
+
+
+def outcome_event(returncode, raw):
+    try:
+        outcome = json.loads(raw) if raw else None
+    except ValueError:
+        outcome = None
+
+    if outcome is None:
+        if returncode == -signal.SIGXCPU or returncode == -signal.SIGKILL:
+            message = 'Python execution exceeded its CPU time limit'
+        else:
+            message = f'Python process exited with code {returncode}'
+        return {'type': 'error', 'error': message}
+    if 'error' in outcome:
+        return {'type': 'error', 'error': outcome['error'], 'traceback': outcome.get('traceback')}
+    return {'type': 'result', 'data': outcome['result']}
+
+
+def kill(process):
+    try:
+        os.killpg(process.pid, signal.SIGKILL)
+    except ProcessLookupError:
+        pass
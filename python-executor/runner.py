@@ -0,0 +1,129 @@
+"""Runs one Python node's code. Started by executor.py in a fresh process
+with resource limits already applied.
+
+Reads {code, input, context, allowedModules} as JSON from stdin. The user's
+prints go to stdout/stderr untouched; the final outcome is written as JSON
+to the file descriptor given as the first argument, so it can't be mixed up
+with printed output.
+"""
+import builtins
+import importlib
+import json
+import os
+import sys
+import traceback
+
+# Builtins user code does not get; code run through them would pick its own
+# builtins and globals
+REMOVED_BUILTINS = ('exec', 'eval', 'compile', 'open')
+
+# Loaded on demand by allowed modules from C, with the user's code as the caller:
+# datetime.strptime() and time.strptime() import _strptime the first time
+IMPLICIT_MODULES = {'_strptime'}
+
+IMPORTLIB_DIR = os.path.dirname(importlib.__file__)
+
+
+def restrict_imports(user_builtins, allowed_modules):
+    """Checks every import requested by the user's code against the
+    allow-list, while allowed modules can still import whatever they need
+    internally. User code is anything running with the user's builtins or
+    compiled from a string, so code exec()'d with other globals is included.
+
+    builtins.__import__ is replaced, which covers import statements and any
+    __import__ the code gets hold of. A finder placed first on sys.meta_path
+    covers modules loaded without it, e.g. through importlib; it looks past
+    the import machinery's frames to the code that asked for the module.
+
+    Modules already loaded stay reachable as attributes of allowed ones, so
+    the process limits set by executor.py remain the actual boundary."""
+    original_import = builtins.__import__
+    allowed = frozenset(allowed_modules) | IMPLICIT_MODULES
+
+    def is_user_code(frame):
+        filename = frame.f_code.co_filename
+        return frame.f_builtins is user_builtins or (
+            filename.startswith('<') and not filename.startswith('<frozen')
+        )
+
+    def check(name):
+        root = name.split('.')[0]
+        if root not in allowed:
+            raise ImportError(f"Module '{root}' is not allowed")
+
+    def guarded_import(name, globals=None, locals=None, fromlist=(), level=0):
+        if is_user_code(sys._getframe(1)):
+            if level > 0:
+                raise ImportError('Relative imports are not allowed')
+            check(name)
+        return original_import(name, globals, locals, fromlist, level)
+
+    class GuardedFinder:
+        @staticmethod
+        def find_spec(name, path=None, target=None):
+            frame = sys._getframe(1)
+            while frame is not None and (
+                frame.f_code.co_filename.startswith('<frozen importlib')
+                or frame.f_code.co_filename.startswith(IMPORTLIB_DIR)
+            ):
+                frame = frame.f_back
+            if frame is not None and is_user_code(frame):
+                check(name)
+            # Loading is left to the regular finders
+            return None
+
+    builtins.__import__ = guarded_import
+    user_builtins['__import__'] = guarded_import
+    sys.meta_path.insert(0, GuardedFinder)
+
+
+def format_traceback(error):
+    """The traceback without the runner's own frames."""
+    frames = [frame for frame in traceback.extract_tb(error.__traceback__) if frame.filename == '<node>']
+    return (
+        'Traceback (most recent call last):\n'
+        + ''.join(traceback.format_list(frames))
+        + ''.join(traceback.format_exception_only(type(error), error))
+    )
+
+
+def write_outcome(outcome):
+    with os.fdopen(int(sys.argv[1]), 'w') as result_file:
+        json.dump(outcome, result_file, default=str)
+
+
+def main():
+    payload = json.loads(sys.stdin.read())
+    sys.stdin = open(os.devnull)
+
+    user_builtins = {
+        name: value for name, value in vars(builtins).items() if name not in REMOVED_BUILTINS
+    }
+    user_globals = {
+        '__name__': '__node__',
+        '__builtins__': user_builtins,
+        'input_value': payload.get('input', {}),
+        'context': payload.get('context', {}),
+        'result': None,
+    }
+
+    try:
+        code = compile(payload['code'], '<node>', 'exec')
+        restrict_imports(user_builtins, payload.get('allowedModules', []))
+        exec(code, user_globals)
+    except BaseException as error:  # SystemExit and MemoryError included
+        sys.stdout.flush()
+        write_outcome({
+            'error': f'{type(error).__name__}: {error}',
+            'traceback': format_traceback(error),
+        })
+        return 1
+
+    sys.stdout.flush()
+    result = user_globals.get('result')
+    write_outcome({'result': result if result is not None else {}})
+    return 0
+
+
+if __name__ == '__main__':
+    sys.exit(main())
@@ -0,0 +1,80 @@
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+import executor  # noqa: E402
+
+
+def run(code, input_value=None):
+    """The final result or error event of running `code` as a Python node."""
+    limits = executor.Limits(env={})
+    events = list(executor.run({'code': code, 'input': input_value or {}}, limits))
+    return events[-1]
+
+
+class AllowedImportsTest(unittest.TestCase):
+    def test_allowed_modules_import_their_own_dependencies(self):
+        outcome = run(
+            'import json, statistics\n'
+            'from collections import abc\n'
+            'result = {"mean": statistics.mean(input_value["values"]), "mapping": issubclass(dict, abc.Mapping)}',
+            {'values': [1, 2, 3]},
+        )
+        self.assertEqual(outcome, {'type': 'result', 'data': {'mean': 2, 'mapping': True}})
+
+    def test_modules_loaded_on_demand_by_allowed_ones(self):
+        outcome = run(
+            'import datetime\n'
+            'result = datetime.datetime.strptime("2024-01-02", "%Y-%m-%d").day'
+        )
+        self.assertEqual(outcome, {'type': 'result', 'data': 2})
+
+
+class BlockedImportsTest(unittest.TestCase):
+    def assertNotAllowed(self, code, module='os'):
+        outcome = run(code)
+        self.assertEqual(outcome['type'], 'error')
+        self.assertEqual(outcome['error'], f"ImportError: Module '{module}' is not allowed")
+
+    def test_import_statement(self):
+        self.assertNotAllowed('import os')
+        self.assertNotAllowed('from os import path')
+
+    def test_relative_import(self):
+        outcome = run('from . import json')
+        self.assertEqual(outcome['error'], 'ImportError: Relative imports are not allowed')
+
+    def test_import_through_builtins(self):
+        self.assertNotAllowed('__builtins__["__import__"]("os")')
+        self.assertNotAllowed('import json\njson.__builtins__["__import__"]("os")')
+
+    def test_exec_with_fresh_globals(self):
+        self.assertNotAllowed('import json\njson.__builtins__["exec"]("import os", g := {})')
+        self.assertNotAllowed(
+            'import json\n'
+            'real = json.__builtins__\n'
+            'real["exec"]("import os", {"__builtins__": real})'
+        )
+
+    def test_import_machinery(self):
+        self.assertNotAllowed('import importlib', 'importlib')
+        self.assertNotAllowed(
+            'import json\n'
+            'bootstrap = type(json.__spec__.loader).__init__.__globals__["_bootstrap"]\n'
+            'bootstrap._gcd_import("socket")',
+            'socket',
+        )
+
+
+class BuiltinsTest(unittest.TestCase):
+    def test_code_execution_and_file_builtins_are_removed(self):
+        for name in ('exec', 'eval', 'compile', 'open'):
+            with self.subTest(name=name):
+                outcome = run(f'{name}("x")')
+                self.assertEqual(outcome['error'], f"NameError: name '{name}' is not defined")
+
+
+if __name__ == '__main__':
+    unittest.main()